@@ -1,3 +1,5 @@
+import { SEVERITIES } from "./validations/validationConfig";
+
 /**
  * @typedef Property
  * @type {object}
@@ -56,25 +58,175 @@ export function getProperties(values, defaultProperties, target) {
     return defaultProperties;
 }
 
-// /**
-//  * @param {Object} values
-//  * @returns {Problem[]} returns a list of problems.
-//  */
-// export function check(values) {
-//    /** @type {Problem[]} */
-//    const errors = [];
-//    // Add errors to the above array to throw errors in Studio and Studio Pro.
-//    /* Example
-//    if (values.myProperty !== "custom") {
-//        errors.push({
-//            property: `myProperty`,
-//            message: `The value of 'myProperty' is different of 'custom'.`,
-//            url: "https://github.com/myrepo/mywidget"
-//        });
-//    }
-//    */
-//    return errors;
-// }
+/**
+ * @param {Object} values
+ * @returns {Problem[]} returns a list of problems.
+ */
+export function check(values) {
+    /** @type {Problem[]} */
+    const errors = [];
+
+    if (values.validationRules && values.validationRules.trim()) {
+        try {
+            const rules = JSON.parse(values.validationRules);
+
+            if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+                errors.push({
+                    property: "validationRules",
+                    message: "Validation rules must be a JSON object keyed by rule ID."
+                });
+            } else {
+                Object.entries(rules).forEach(([ruleId, setting]) => {
+                    const severity = typeof setting === "string" ? setting : setting?.severity;
+                    if (severity && !SEVERITIES.includes(severity)) {
+                        errors.push({
+                            property: "validationRules",
+                            severity: "warning",
+                            message: `Rule "${ruleId}" has an invalid severity "${severity}".`
+                        });
+                    }
+                });
+            }
+        } catch (e) {
+            errors.push({
+                property: "validationRules",
+                message: `Validation rules are not valid JSON: ${e.message}`
+            });
+        }
+    }
+
+    if (values.simulationResources && values.simulationResources.trim()) {
+        try {
+            const resources = JSON.parse(values.simulationResources);
+
+            if (!resources || typeof resources !== "object" || Array.isArray(resources)) {
+                errors.push({
+                    property: "simulationResources",
+                    message: "Simulation resources must be a JSON object keyed by department."
+                });
+            } else {
+                Object.entries(resources).forEach(([department, count]) => {
+                    if (!Number.isInteger(count) || count < 1) {
+                        errors.push({
+                            property: "simulationResources",
+                            severity: "warning",
+                            message: `Department "${department}" needs a whole number of resources of at least 1.`
+                        });
+                    }
+                });
+            }
+        } catch (e) {
+            errors.push({
+                property: "simulationResources",
+                message: `Simulation resources are not valid JSON: ${e.message}`
+            });
+        }
+    }
+
+    if (values.modelingPolicies && values.modelingPolicies.trim()) {
+        try {
+            const policies = JSON.parse(values.modelingPolicies);
+
+            if (!policies || typeof policies !== "object" || Array.isArray(policies)) {
+                errors.push({
+                    property: "modelingPolicies",
+                    message: "Modeling policies must be a JSON object."
+                });
+            } else {
+                ["protectedElements", "connections", "placements"].forEach(key => {
+                    if (policies[key] !== undefined && !Array.isArray(policies[key])) {
+                        errors.push({
+                            property: "modelingPolicies",
+                            message: `Modeling policies "${key}" must be a list of rules.`
+                        });
+                    }
+                });
+
+                (Array.isArray(policies.protectedElements) ? policies.protectedElements : []).forEach((rule, i) => {
+                    if (!rule?.attribute) {
+                        errors.push({
+                            property: "modelingPolicies",
+                            severity: "warning",
+                            message: `Protected element rule ${i + 1} has no attribute and is ignored.`
+                        });
+                    }
+                });
+
+                (Array.isArray(policies.placements) ? policies.placements : []).forEach((rule, i) => {
+                    if (!rule?.containers || !rule.containers.length) {
+                        errors.push({
+                            property: "modelingPolicies",
+                            severity: "warning",
+                            message: `Placement rule ${i + 1} has no containers and is ignored.`
+                        });
+                    }
+                });
+            }
+        } catch (e) {
+            errors.push({
+                property: "modelingPolicies",
+                message: `Modeling policies are not valid JSON: ${e.message}`
+            });
+        }
+    }
+
+    if (values.taskData && !values.taskDataId) {
+        errors.push({
+            property: "taskDataId",
+            message: "Select the task ID attribute to match task objects to the diagram."
+        });
+    }
+
+    if (values.versionData && !values.versionXml) {
+        errors.push({
+            property: "versionXml",
+            message: "Select the attribute that holds the BPMN XML of each revision."
+        });
+    }
+
+    if (values.commentData) {
+        ["commentThreadId", "commentElementId", "commentText"]
+            .filter(key => !values[key])
+            .forEach(key =>
+                errors.push({
+                    property: key,
+                    message: "Comments from a datasource need the thread ID, element ID and text attributes."
+                })
+            );
+
+        if (!values.onCommentAdd) {
+            errors.push({
+                property: "onCommentAdd",
+                severity: "warning",
+                message: "Without an On add comment action, comments from the datasource are read-only."
+            });
+        }
+    }
+
+    if (values.collaborationMode === "webSocket" && !values.collaborationUrl) {
+        errors.push({
+            property: "collaborationUrl",
+            message: "Enter the URL of the WebSocket relay."
+        });
+    }
+
+    if (values.collaborationMode === "mendix" && (!values.onCollaborationSend || !values.collaborationInbox)) {
+        errors.push({
+            property: values.onCollaborationSend ? "collaborationInbox" : "onCollaborationSend",
+            message: "The Mendix relay needs both an On send action and an Incoming messages attribute."
+        });
+    }
+
+    if (values.collaborationMode !== "off" && !values.collaborationRoom && !values.draftKey && !values.bpmnName) {
+        errors.push({
+            property: "collaborationRoom",
+            severity: "warning",
+            message: "Without a room, draft key or BPMN name, collaboration stays off."
+        });
+    }
+
+    return errors;
+}
 
 // /**
 //  * @param {object} values
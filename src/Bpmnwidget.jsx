@@ -1,8 +1,18 @@
 import { createElement, useCallback, useMemo } from "react";
 import BpmnEditor from "./components/BpmnEditor";
+import BpmnViewer from "./components/BpmnViewer";
+import { resolveValidationConfig } from "./validations/validationConfig";
+import { createDeclarativeRule, exposeValidationApi } from "./validations/customRules";
+import { parseModelingPolicies } from "./custom/modelingPolicies";
+import { parseRuntimeState } from "./utils/runtimeOverlays";
+import { useTaskDatasource } from "./hooks/useTaskDatasource";
+import { useCollaborationTransport } from "./hooks/useCollaborationTransport";
 import "./ui/Bpmnwidget.css";
 import "./ui/bpmn-styles.css";
 
+// Lets Mendix JavaScript actions call window.BpmnWidget.registerValidationRule
+exposeValidationApi();
+
 /**
  * Bpmnwidget - Main Widget Component
  *
@@ -12,7 +22,35 @@ import "./ui/bpmn-styles.css";
  * Mendix Props:
  * - bpmnXML: EditableValue<string> - The BPMN XML attribute from entity
  * - onSaveAction: ActionValue - Mendix action to execute on save
+ * - draftKey: DynamicValue<string> + bpmnName - Key of the autosaved draft in the browser
+ * - lastSavedDate: EditableValue<Date> - Last save time; older drafts are not offered
  * - onCancelAction: ActionValue - Mendix action to execute on cancel
+ * - onSelectionChange (+ selectedElementId, selectedElementType, selectedElementName): Selection written to
+ *   attributes, then the action runs
+ * - onElementAdded / onElementRemoved: ActionValue - Run with { elementId, elementType, elementName }
+ * - hasUnsavedChanges: EditableValue<boolean> - Whether the diagram has unsaved changes
+ * - onDirtyChange: ActionValue - Runs with { isDirty } when unsaved changes appear or are saved
+ * - mode: "view" | "comment" | "edit" - View and comment mode show the diagram read-only in a NavigatedViewer;
+ *   comment mode still lets users add and resolve comments
+ * - editAllowed: DynamicValue<boolean> - Expression that downgrades edit mode to view mode when false
+ * - taskDataJson: EditableValue<string> - Task data JSON (versioned schema, see utils/taskSchema.js)
+ * - taskData (+ taskDataId, taskDataName, ... and onTaskCreate, onTaskUpdate, onTaskDelete): Task master data
+ *   as a datasource list, kept in sync with the tasks on the canvas
+ * - validationRules: string - JSON overrides for the validation rule set
+ * - customRules: object list - Declarative company-specific validation rules
+ * - simulationInstances / simulationArrivalInterval / simulationResources: Simulation settings
+ * - simulationResults: EditableValue<string> - Receives the last simulation results as JSON
+ * - enableCustomModules: boolean - Enables the custom modeling modules from src/custom
+ * - modelingPolicies: string - JSON policies that block deleting, connecting or placing elements
+ * - runtimeStateJson / runtimeData (+ runtimeElementId, runtimeStatus, runtimeCount): Process instance state
+ *   rendered as overlays, from a JSON attribute or a datasource list
+ * - eventLogData: EditableValue<string> - Event log (CSV or JSON) for the process mining heatmap
+ * - versionData (+ versionXml, versionLabel, versionDate, versionAuthor): Previous revisions for the History panel
+ * - commentData (+ commentThreadId, commentElementId, commentText, commentAuthor, commentDate, commentResolved and
+ *   onCommentAdd, onCommentResolve): Review comments as a datasource list; without it they are stored in the diagram
+ * - userName: DynamicValue<string> - Current user, shown to collaborators and as comment author
+ * - collaborationMode (+ collaborationRoom, collaborationUrl, onCollaborationSend, collaborationInbox): Real-time
+ *   editing with other users through the chosen transport
  * - class: string - CSS class from Mendix
  * - style: object - Style object from Mendix
  * - tabIndex: number - Tab index for accessibility
@@ -23,14 +61,58 @@ export function Bpmnwidget(props) {
         bpmnXML,
         previewImageAttr,
         bpmnName,
+        draftKey,
+        lastSavedDate,
         onSaveAction,
         onCancelAction,
+        onSelectionChange,
+        selectedElementId,
+        selectedElementType,
+        selectedElementName,
+        onElementAdded,
+        onElementRemoved,
+        hasUnsavedChanges,
+        onDirtyChange,
+        mode,
+        editAllowed,
         taskDataJson,
+        validationRules,
+        customRules,
+        simulationInstances,
+        simulationArrivalInterval,
+        simulationResources,
+        simulationResults,
+        enableCustomModules,
+        modelingPolicies,
+        runtimeStateJson,
+        runtimeData,
+        runtimeElementId,
+        runtimeStatus,
+        runtimeCount,
+        eventLogData,
+        versionData,
+        versionXml,
+        versionLabel,
+        versionDate,
+        versionAuthor,
+        commentData,
+        commentThreadId,
+        commentElementId,
+        commentText,
+        commentAuthor,
+        commentDate,
+        commentResolved,
+        onCommentAdd,
+        onCommentResolve,
+        collaborationRoom,
+        userName,
         class: className,
         style,
         tabIndex
     } = props;
 
+    const { enabled: hasTaskDatasource, taskRecords, syncTasks } = useTaskDatasource(props);
+
     /**
      * Get the current BPMN XML value from Mendix attribute
      * useMemo ensures we only recompute when bpmnXML changes
@@ -44,6 +126,125 @@ export function Bpmnwidget(props) {
     }, [bpmnXML]);
 
     const currentBpmnName = bpmnName?.status === "available" ? bpmnName.value : null;
+    const currentUserName = userName?.status === "available" ? userName.value : undefined;
+
+    /**
+     * Drafts are keyed by the object (draft key expression) and the diagram name;
+     * wait for the expression so a draft isn't looked up under a partial key
+     */
+    const currentDraftKey =
+        draftKey?.status === "loading" ? null : [draftKey?.value, currentBpmnName].filter(Boolean).join(":") || null;
+
+    /**
+     * Users in the same room edit together; the room defaults to the draft key.
+     * Without either, collaboration stays off rather than mixing unrelated diagrams.
+     */
+    const currentRoom = collaborationRoom?.status === "loading" ? null : collaborationRoom?.value || currentDraftKey;
+    const collaborationTransport = useCollaborationTransport(props, currentRoom);
+
+    /**
+     * Validation rule set: defaults merged with the widget's JSON overrides
+     */
+    const validationConfig = useMemo(() => resolveValidationConfig(validationRules), [validationRules]);
+
+    /**
+     * Declarative rules from the widget properties; invalid entries are
+     * logged and skipped so one typo doesn't disable validation
+     */
+    const declarativeRules = useMemo(
+        () =>
+            (customRules || []).reduce((rules, item) => {
+                try {
+                    rules.push(
+                        createDeclarativeRule({
+                            id: item.ruleId,
+                            elementTypes: item.ruleElementTypes,
+                            check: item.ruleCheck,
+                            attribute: item.ruleAttribute,
+                            pattern: item.rulePattern,
+                            message: item.ruleMessage,
+                            severity: item.ruleSeverity
+                        })
+                    );
+                } catch (e) {
+                    console.error("Invalid custom validation rule", e);
+                }
+                return rules;
+            }, []),
+        [customRules]
+    );
+
+    const policies = useMemo(() => parseModelingPolicies(modelingPolicies), [modelingPolicies]);
+
+    /**
+     * Process instance state for the runtime overlays; the datasource wins over
+     * the JSON attribute. Recomputed whenever Mendix refreshes either.
+     */
+    const runtimeState = useMemo(() => {
+        if (runtimeData?.status === "available" && runtimeElementId && runtimeStatus) {
+            return parseRuntimeState(
+                runtimeData.items.map(item => ({
+                    elementId: runtimeElementId.get(item).value,
+                    state: runtimeStatus.get(item).value,
+                    count: runtimeCount?.get(item).value
+                }))
+            );
+        }
+
+        return parseRuntimeState(runtimeStateJson?.status === "available" ? runtimeStateJson.value : null);
+    }, [runtimeData, runtimeElementId, runtimeStatus, runtimeCount, runtimeStateJson]);
+
+    /**
+     * Revisions for the History panel, or undefined without a datasource so
+     * the editor falls back to the versions saved in this browser
+     */
+    const revisions = useMemo(() => {
+        if (versionData?.status !== "available" || !versionXml) {
+            return undefined;
+        }
+
+        return versionData.items
+            .map(item => ({
+                id: item.id,
+                xml: versionXml.get(item).value,
+                label: versionLabel?.get(item).displayValue,
+                date: versionDate?.get(item).value,
+                author: versionAuthor?.get(item).value
+            }))
+            .filter(revision => revision.xml);
+    }, [versionData, versionXml, versionLabel, versionDate, versionAuthor]);
+
+    /**
+     * Comments from the datasource, one record per comment, or undefined
+     * without one so they are stored in the diagram
+     */
+    const commentRecords = useMemo(() => {
+        if (!commentData || !commentElementId || !commentText) {
+            return undefined;
+        }
+        if (commentData.status !== "available") {
+            return [];
+        }
+
+        return commentData.items.map(item => ({
+            id: item.id,
+            threadId: commentThreadId?.get(item).value,
+            elementId: commentElementId.get(item).value,
+            text: commentText.get(item).value,
+            author: commentAuthor?.get(item).value,
+            date: commentDate?.get(item).value,
+            resolved: commentResolved?.get(item).value
+        }));
+    }, [commentData, commentThreadId, commentElementId, commentText, commentAuthor, commentDate, commentResolved]);
+
+    const simulationSettings = useMemo(
+        () => ({
+            instances: simulationInstances,
+            arrivalInterval: simulationArrivalInterval,
+            resources: simulationResources
+        }),
+        [simulationInstances, simulationArrivalInterval, simulationResources]
+    );
 
     /**
      * Handle Save
@@ -88,12 +289,107 @@ export function Bpmnwidget(props) {
     }, [onCancelAction]);
 
     const handleTasksExtracted = useCallback(
-        tasks => {
+        taskData => {
             if (taskDataJson && taskDataJson.status === "available") {
-                taskDataJson.setValue(JSON.stringify(tasks));
+                taskDataJson.setValue(JSON.stringify(taskData));
+            }
+            syncTasks(taskData);
+        },
+        [taskDataJson, syncTasks]
+    );
+
+    /**
+     * Write the selected element to its attributes, then run the action so it
+     * sees the new values
+     */
+    const handleSelectionChange = useCallback(
+        element => {
+            [
+                [selectedElementId, element?.elementId],
+                [selectedElementType, element?.elementType],
+                [selectedElementName, element?.elementName]
+            ].forEach(([attribute, value]) => {
+                if (attribute && attribute.status === "available" && !attribute.readOnly) {
+                    attribute.setValue(value || undefined);
+                }
+            });
+
+            if (onSelectionChange && onSelectionChange.canExecute) {
+                onSelectionChange.execute();
+            }
+        },
+        [selectedElementId, selectedElementType, selectedElementName, onSelectionChange]
+    );
+
+    const handleElementAdded = useCallback(
+        element => {
+            if (onElementAdded && onElementAdded.canExecute) {
+                onElementAdded.execute(element);
+            }
+        },
+        [onElementAdded]
+    );
+
+    const handleElementRemoved = useCallback(
+        element => {
+            if (onElementRemoved && onElementRemoved.canExecute) {
+                onElementRemoved.execute(element);
+            }
+        },
+        [onElementRemoved]
+    );
+
+    const handleDirtyChange = useCallback(
+        isDirty => {
+            if (hasUnsavedChanges && hasUnsavedChanges.status === "available" && !hasUnsavedChanges.readOnly) {
+                hasUnsavedChanges.setValue(isDirty);
+            }
+
+            if (onDirtyChange && onDirtyChange.canExecute) {
+                onDirtyChange.execute({ isDirty });
+            }
+        },
+        [hasUnsavedChanges, onDirtyChange]
+    );
+
+    /**
+     * Comments stored in the diagram from comment mode: only the XML attribute
+     * is written, the save action (which usually closes the page) does not run
+     */
+    const handleCommentsSave = useCallback(
+        xml => {
+            if (bpmnXML && bpmnXML.status === "available" && !bpmnXML.readOnly) {
+                bpmnXML.setValue(xml);
+            }
+        },
+        [bpmnXML]
+    );
+
+    const handleCommentAdd = useCallback(
+        comment => {
+            if (onCommentAdd && onCommentAdd.canExecute) {
+                onCommentAdd.execute(comment);
+            }
+        },
+        [onCommentAdd]
+    );
+
+    const handleCommentResolve = useCallback(
+        ({ threadId, resolved }) => {
+            if (onCommentResolve && onCommentResolve.canExecute) {
+                onCommentResolve.execute({ threadId, resolved });
+            }
+        },
+        [onCommentResolve]
+    );
+
+    const handleSimulationComplete = useCallback(
+        results => {
+            if (simulationResults && simulationResults.status === "available") {
+                simulationResults.setValue(JSON.stringify(results));
             }
         },
-        [taskDataJson]
+        [simulationResults]
     );
 
     /**
@@ -111,6 +407,21 @@ export function Bpmnwidget(props) {
         );
     }
 
+    /**
+     * Edit mode is only granted once the permission expression says so,
+     * so users without the right role never get a modeler, even briefly
+     */
+    if (mode === "edit" && editAllowed && editAllowed.status === "loading") {
+        return (
+            <div className={`bpmn-widget ${className || ""}`} style={style}>
+                <div className="bpmn-loading">
+                    <div className="bpmn-loading-spinner"></div>
+                    <p>Loading...</p>
+                </div>
+            </div>
+        );
+    }
+
     /**
      * Error state check
      * Show error if Mendix attribute is unavailable
@@ -119,6 +430,31 @@ export function Bpmnwidget(props) {
         return null;
     }
 
+    const canEdit = mode === "edit" && (!editAllowed || editAllowed.value === true);
+
+    if (!canEdit) {
+        return (
+            <div className={`bpmn-widget ${className || ""}`} style={style} tabIndex={tabIndex}>
+                <BpmnViewer
+                    xml={currentXml}
+                    bpmnFile={currentBpmnName}
+                    mode={mode === "comment" ? "comment" : "view"}
+                    runtimeState={runtimeState}
+                    onClose={onCancelAction ? handleCancel : undefined}
+                    commentRecords={commentRecords}
+                    onCommentAdd={onCommentAdd ? handleCommentAdd : undefined}
+                    onCommentResolve={onCommentResolve ? handleCommentResolve : undefined}
+                    onSave={
+                        mode === "comment" && !commentRecords && bpmnXML && !bpmnXML.readOnly
+                            ? handleCommentsSave
+                            : undefined
+                    }
+                    userName={currentUserName}
+                />
+            </div>
+        );
+    }
+
     /**
      * Main render
      * Render the BpmnEditor component with props
@@ -132,6 +468,28 @@ export function Bpmnwidget(props) {
                 bpmnFile={currentBpmnName}
                 onTasksExtracted={handleTasksExtracted}
                 taskDataJson={taskDataJson?.value}
+                taskRecords={taskRecords}
+                onTasksChanged={hasTaskDatasource ? syncTasks : undefined}
+                validationConfig={validationConfig}
+                customRules={declarativeRules}
+                simulationSettings={simulationSettings}
+                onSimulationComplete={handleSimulationComplete}
+                enableCustomModules={enableCustomModules}
+                modelingPolicies={policies}
+                runtimeState={runtimeState}
+                eventLog={eventLogData?.status === "available" ? eventLogData.value : null}
+                onSelectionChange={handleSelectionChange}
+                onElementAdded={handleElementAdded}
+                onElementRemoved={handleElementRemoved}
+                onDirtyChange={handleDirtyChange}
+                draftKey={currentDraftKey}
+                savedAt={lastSavedDate?.status === "available" ? lastSavedDate.value : undefined}
+                revisions={revisions}
+                collaborationTransport={collaborationTransport}
+                userName={currentUserName}
+                commentRecords={commentRecords}
+                onCommentAdd={onCommentAdd ? handleCommentAdd : undefined}
+                onCommentResolve={onCommentResolve ? handleCommentResolve : undefined}
             />
         </div>
     );
@@ -0,0 +1,10 @@
+/**
+ * Real-time collaboration
+ *
+ * - transports.js: message delivery (BroadcastChannel, WebSocket relay, host relay)
+ * - session.js:    sharing and merging edits
+ * - presence.js:   remote cursors and selections
+ */
+export { createBroadcastChannelTransport, createRelayTransport, createWebSocketTransport } from "./transports";
+export { compareStamps, createClientId, createCollaborationSession } from "./session";
+export { createPresence, getPeerColor } from "./presence";
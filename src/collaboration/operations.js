@@ -0,0 +1,379 @@
+import { isExpanded } from "bpmn-js/lib/util/DiUtil";
+
+/**
+ * Collaboration operations
+ *
+ * Diagram elements travel between participants as flat field maps, so that
+ * concurrent edits to different aspects of one element (its name and its
+ * position, say) never conflict:
+ *
+ *   type, parent, host       element type, containing shape and boundary host
+ *   bounds | waypoints       shape bounds or connection waypoints
+ *   source, target           connection ends
+ *   label                    bounds of the external label
+ *   expanded                 expanded sub process or participant
+ *   prop:<name>              semantic property (nested elements as plain
+ *                            objects, references as { $ref: id })
+ *   attr:<name>              extension attribute
+ *
+ * Remote fields are applied with the regular modeling commands, so rules,
+ * behaviors and rendering work as for local edits.
+ */
+
+// Structure that follows from the shapes themselves, or root-level elements
+// the diagram elements don't carry
+const SKIPPED_PROPERTIES = new Set([
+    "id",
+    "di",
+    "flowElements",
+    "artifacts",
+    "laneSets",
+    "childLaneSet",
+    "lanes",
+    "flowNodeRef",
+    "incoming",
+    "outgoing",
+    "sourceRef",
+    "targetRef",
+    "attachedToRef",
+    "participants",
+    "messageFlows",
+    "processRef",
+    "categoryValueRef",
+    "dataObjectRef"
+]);
+
+const PROPERTY_PREFIX = "prop:";
+const ATTRIBUTE_PREFIX = "attr:";
+
+/**
+ * Elements shared between participants: shapes and connections below the
+ * root, with labels folded into their owner
+ */
+export function isSharedElement(element) {
+    return !!element && !!element.parent && !element.labelTarget && element.type !== "label";
+}
+
+// Explicitly set, non-empty values only; defaults live on the prototype
+function isSet(bo, property) {
+    if (!Object.prototype.hasOwnProperty.call(bo, property.name)) {
+        return false;
+    }
+
+    const value = bo[property.name];
+    return value !== undefined && value !== null && (!Array.isArray(value) || value.length > 0);
+}
+
+function isSemanticAttribute(key) {
+    return !key.startsWith("xmlns") && key !== "xsi:type";
+}
+
+function toPlain(value, isReference = false) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => toPlain(item, isReference));
+    }
+
+    if (isReference) {
+        return { $ref: value.id };
+    }
+
+    if (typeof value !== "object" || !value.$type) {
+        return value;
+    }
+
+    const plain = { $type: value.$type };
+    value.$descriptor.properties.forEach(property => {
+        if (!property.isVirtual && isSet(value, property)) {
+            plain[property.name] = toPlain(value[property.name], property.isReference);
+        }
+    });
+    Object.entries(value.$attrs || {})
+        .filter(([key]) => isSemanticAttribute(key))
+        .forEach(([key, attr]) => {
+            plain[`${ATTRIBUTE_PREFIX}${key}`] = attr;
+        });
+
+    return plain;
+}
+
+function findReference(modeler, id) {
+    const element = modeler.get("elementRegistry").get(id);
+    if (element) {
+        return element.businessObject;
+    }
+
+    return (modeler.getDefinitions()?.rootElements || []).find(root => root.id === id);
+}
+
+function fromPlain(modeler, plain) {
+    if (plain === undefined || plain === null) {
+        return undefined;
+    }
+
+    if (Array.isArray(plain)) {
+        return plain.map(item => fromPlain(modeler, item)).filter(item => item !== undefined);
+    }
+
+    if (typeof plain !== "object") {
+        return plain;
+    }
+
+    if (plain.$ref) {
+        return findReference(modeler, plain.$ref);
+    }
+
+    const { $type, ...rest } = plain;
+    const element = modeler.get("moddle").create($type);
+
+    Object.entries(rest).forEach(([key, value]) => {
+        if (key.startsWith(ATTRIBUTE_PREFIX)) {
+            element.$attrs[key.slice(ATTRIBUTE_PREFIX.length)] = value;
+            return;
+        }
+
+        const converted = fromPlain(modeler, value);
+        if (converted === undefined) return;
+
+        element.set(key, converted);
+        (Array.isArray(converted) ? converted : [converted]).forEach(child => {
+            if (child?.$type && !child.$parent) {
+                child.$parent = element;
+            }
+        });
+    });
+
+    return element;
+}
+
+function round(value) {
+    return Math.round(value);
+}
+
+function toBounds({ x, y, width, height }) {
+    return { x: round(x), y: round(y), width: round(width), height: round(height) };
+}
+
+/**
+ * Flat field map of a shared element
+ */
+export function describeElement(element) {
+    const bo = element.businessObject;
+    const fields = { type: element.type, parent: element.parent.id };
+
+    if (element.waypoints) {
+        fields.waypoints = element.waypoints.map(point => ({ x: round(point.x), y: round(point.y) }));
+        fields.source = element.source?.id || null;
+        fields.target = element.target?.id || null;
+    } else {
+        fields.bounds = toBounds(element);
+        fields.host = element.host?.id || null;
+        if (bo.di?.isExpanded !== undefined) {
+            fields.expanded = isExpanded(element);
+        }
+    }
+
+    if (element.label) {
+        fields.label = toBounds(element.label);
+    }
+
+    bo.$descriptor.properties.forEach(property => {
+        if (property.isVirtual || SKIPPED_PROPERTIES.has(property.name) || !isSet(bo, property)) {
+            return;
+        }
+        fields[`${PROPERTY_PREFIX}${property.name}`] = toPlain(bo[property.name], property.isReference);
+    });
+
+    Object.entries(bo.$attrs || {})
+        .filter(([key]) => isSemanticAttribute(key))
+        .forEach(([key, value]) => {
+            fields[`${ATTRIBUTE_PREFIX}${key}`] = value;
+        });
+
+    return fields;
+}
+
+export function isSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Names of the fields that differ between two field maps, including fields
+ * that are only set in one of them
+ */
+export function changedFields(before, after) {
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(
+        field => !isSameValue(before[field], after[field])
+    );
+}
+
+/**
+ * updateProperties() argument for the prop: and attr: fields of a field map
+ */
+function collectProperties(modeler, fields) {
+    const properties = {};
+
+    Object.entries(fields).forEach(([field, value]) => {
+        if (field.startsWith(PROPERTY_PREFIX)) {
+            properties[field.slice(PROPERTY_PREFIX.length)] = fromPlain(modeler, value);
+        } else if (field.startsWith(ATTRIBUTE_PREFIX)) {
+            properties[field.slice(ATTRIBUTE_PREFIX.length)] = value ?? undefined;
+        }
+    });
+
+    return properties;
+}
+
+function moveLabel(modeling, element, bounds) {
+    const label = element.label;
+    if (!label || !bounds) return;
+
+    const delta = { x: bounds.x - round(label.x), y: bounds.y - round(label.y) };
+    if (delta.x || delta.y) {
+        modeling.moveShape(label, delta);
+    }
+}
+
+function updateShape(modeler, element, fields) {
+    const elementRegistry = modeler.get("elementRegistry");
+    const modeling = modeler.get("modeling");
+
+    const hostId = "host" in fields ? fields.host : element.host?.id;
+    const host = hostId ? elementRegistry.get(hostId) : null;
+    const parent = ("parent" in fields && elementRegistry.get(fields.parent)) || element.parent;
+    const newParent = host || parent;
+    const bounds = fields.bounds || toBounds(element);
+
+    const delta = { x: bounds.x - round(element.x), y: bounds.y - round(element.y) };
+    const isReparented = newParent !== element.parent || (host || null) !== (element.host || null);
+
+    if (delta.x || delta.y || isReparented) {
+        modeling.moveShape(element, delta, isReparented ? newParent : null, host ? { attach: true } : undefined);
+    }
+    if (bounds.width !== round(element.width) || bounds.height !== round(element.height)) {
+        modeling.resizeShape(element, bounds);
+    }
+    if ("expanded" in fields && fields.expanded !== isExpanded(element)) {
+        modeling.toggleCollapse(element);
+    }
+}
+
+function updateConnection(modeler, element, fields) {
+    const elementRegistry = modeler.get("elementRegistry");
+    const modeling = modeler.get("modeling");
+
+    const source = ("source" in fields && elementRegistry.get(fields.source)) || element.source;
+    const target = ("target" in fields && elementRegistry.get(fields.target)) || element.target;
+    const waypoints = fields.waypoints || element.waypoints;
+
+    if (source !== element.source || target !== element.target) {
+        modeling.reconnect(element, source, target, waypoints);
+    } else if (fields.waypoints) {
+        modeling.updateWaypoints(element, waypoints);
+    }
+}
+
+/**
+ * Apply remote fields to an existing element
+ */
+export function updateElement(modeler, element, fields) {
+    const properties = collectProperties(modeler, fields);
+    if (Object.keys(properties).length) {
+        modeler.get("modeling").updateProperties(element, properties);
+    }
+
+    if (element.waypoints) {
+        updateConnection(modeler, element, fields);
+    } else {
+        updateShape(modeler, element, fields);
+    }
+
+    if (fields.label) {
+        moveLabel(modeler.get("modeling"), element, fields.label);
+    }
+}
+
+/**
+ * Create an element from its complete field map, keeping its ID. Returns the
+ * element, or null when its parent, host or connection ends are missing.
+ */
+export function createElement(modeler, id, fields) {
+    const canvas = modeler.get("canvas");
+    const elementRegistry = modeler.get("elementRegistry");
+    const elementFactory = modeler.get("elementFactory");
+    const bpmnFactory = modeler.get("bpmnFactory");
+    const modeling = modeler.get("modeling");
+
+    // A root replaced on the other side (process to collaboration) has a different ID
+    const parent = elementRegistry.get(fields.parent) || canvas.getRootElement();
+    const businessObject = bpmnFactory.create(fields.type, { id });
+    let element;
+
+    if (fields.waypoints) {
+        const source = elementRegistry.get(fields.source);
+        const target = elementRegistry.get(fields.target);
+        if (!source || !target) {
+            return null;
+        }
+
+        element = modeling.createConnection(
+            source,
+            target,
+            elementFactory.createConnection({ type: fields.type, businessObject, waypoints: fields.waypoints }),
+            parent
+        );
+
+        // Keep the sender's layout over the one the create behaviors computed
+        if (!isSameValue(describeElement(element).waypoints, fields.waypoints)) {
+            modeling.updateWaypoints(element, fields.waypoints);
+        }
+    } else {
+        const host = fields.host ? elementRegistry.get(fields.host) : null;
+        if (fields.host && !host) {
+            return null;
+        }
+
+        const { x, y, width, height } = fields.bounds;
+        const shape = elementFactory.createShape({
+            type: fields.type,
+            businessObject,
+            width,
+            height,
+            ...(fields.expanded !== undefined && { isExpanded: fields.expanded })
+        });
+
+        element = modeling.createShape(
+            shape,
+            { x: x + width / 2, y: y + height / 2 },
+            host || parent,
+            host ? { attach: true } : undefined
+        );
+    }
+
+    const properties = collectProperties(modeler, fields);
+    if (Object.keys(properties).length) {
+        modeling.updateProperties(element, properties);
+    }
+    moveLabel(modeling, element, fields.label);
+
+    return element;
+}
+
+export function removeElement(modeler, element) {
+    modeler.get("modeling").removeElements([element]);
+}
+
+/**
+ * Depth of an element below the root, to apply container changes before the
+ * changes of their children
+ */
+export function getDepth(element) {
+    let depth = 0;
+    for (let parent = element.parent; parent; parent = parent.parent) {
+        depth++;
+    }
+    return depth;
+}
@@ -0,0 +1,249 @@
+import {
+    append as svgAppend,
+    attr as svgAttr,
+    classes as svgClasses,
+    clear as svgClear,
+    create as svgCreate
+} from "tiny-svg";
+import { getBBox } from "diagram-js/lib/util/Elements";
+
+/**
+ * Collaboration presence
+ *
+ * Shares this participant's cursor and selection through a collaboration
+ * session and draws the ones of the other participants on the canvas: a
+ * pointer with the user's name, and an outline around each selected element.
+ * Participants that stop sending (closed tab, lost connection) disappear
+ * after PEER_TIMEOUT.
+ */
+
+const LAYER_NAME = "collaboration";
+
+// Minimum milliseconds between two presence messages
+const PRESENCE_INTERVAL = 100;
+const HEARTBEAT_INTERVAL = 5000;
+const PEER_TIMEOUT = 15000;
+
+const SELECTION_PADDING = 6;
+const CURSOR_PATH = "M0,0 L0,16 L4.5,12 L8,19 L10.5,18 L7,11 L13,11 Z";
+const NAME_CHAR_WIDTH = 7;
+
+export const PEER_COLORS = ["#e6194b", "#3cb44b", "#4363d8", "#f58231", "#911eb4", "#008080", "#9a6324", "#f032e6"];
+
+/**
+ * Stable colour for a participant without one of its own
+ */
+export function getPeerColor(clientId) {
+    let hash = 0;
+    for (let i = 0; i < clientId.length; i++) {
+        hash = (hash * 31 + clientId.charCodeAt(i)) % 1000003;
+    }
+    return PEER_COLORS[hash % PEER_COLORS.length];
+}
+
+/**
+ * Start sharing presence for a session. `onPeersChange(peers)` is called with
+ * the list of other participants: { clientId, name, color, selection }.
+ *
+ * Returns { getPeers(), destroy() }.
+ */
+export function createPresence(modeler, session, onPeersChange = () => {}) {
+    const canvas = modeler.get("canvas");
+    const eventBus = modeler.get("eventBus");
+    const elementRegistry = modeler.get("elementRegistry");
+    const selection = modeler.get("selection");
+    const container = canvas.getContainer();
+
+    const peers = new Map();
+
+    let cursor = null;
+    let lastSent = 0;
+    let sendTimer = null;
+
+    const getPeers = () =>
+        [...peers.values()].map(({ clientId, name, color, selection: selected }) => ({
+            clientId,
+            name,
+            color,
+            selection: selected
+        }));
+
+    // ---------------------------------------------------------------------------
+    // Drawing
+    // ---------------------------------------------------------------------------
+
+    const drawSelection = (group, peer, scale) => {
+        peer.selection.forEach(id => {
+            const element = elementRegistry.get(id);
+            if (!element) return;
+
+            const box = getBBox(element);
+            const outline = svgCreate("rect");
+            svgAttr(outline, {
+                x: box.x - SELECTION_PADDING,
+                y: box.y - SELECTION_PADDING,
+                width: box.width + SELECTION_PADDING * 2,
+                height: box.height + SELECTION_PADDING * 2,
+                rx: 4,
+                stroke: peer.color,
+                "stroke-width": 2 * scale
+            });
+            svgClasses(outline).add("bpmn-peer-selection");
+            svgAppend(group, outline);
+        });
+    };
+
+    const drawCursor = (group, peer, scale) => {
+        const pointer = svgCreate("g");
+        svgAttr(pointer, { transform: `translate(${peer.cursor.x}, ${peer.cursor.y}) scale(${scale})` });
+        svgClasses(pointer).add("bpmn-peer-cursor");
+
+        const arrow = svgCreate("path");
+        svgAttr(arrow, { d: CURSOR_PATH, fill: peer.color });
+        svgAppend(pointer, arrow);
+
+        const badge = svgCreate("rect");
+        svgAttr(badge, {
+            x: 12,
+            y: 18,
+            width: peer.name.length * NAME_CHAR_WIDTH + 10,
+            height: 18,
+            rx: 3,
+            fill: peer.color
+        });
+        svgAppend(pointer, badge);
+
+        const text = svgCreate("text");
+        svgAttr(text, { x: 17, y: 31 });
+        text.textContent = peer.name;
+        svgAppend(pointer, text);
+
+        svgAppend(group, pointer);
+    };
+
+    const render = () => {
+        const layer = canvas.getLayer(LAYER_NAME);
+        const scale = 1 / (canvas.viewbox().scale || 1);
+
+        svgClear(layer);
+        peers.forEach(peer => {
+            drawSelection(layer, peer, scale);
+            if (peer.cursor) {
+                drawCursor(layer, peer, scale);
+            }
+        });
+    };
+
+    // ---------------------------------------------------------------------------
+    // Local presence
+    // ---------------------------------------------------------------------------
+
+    const publish = () => {
+        clearTimeout(sendTimer);
+        sendTimer = null;
+        lastSent = Date.now();
+
+        session.broadcast("presence", {
+            user: session.user,
+            cursor,
+            selection: selection.get().map(element => (element.labelTarget || element).id)
+        });
+    };
+
+    const schedulePublish = () => {
+        if (sendTimer) return;
+        sendTimer = setTimeout(publish, Math.max(0, PRESENCE_INTERVAL - (Date.now() - lastSent)));
+    };
+
+    const onMouseMove = event => {
+        const rect = container.getBoundingClientRect();
+        const viewbox = canvas.viewbox();
+
+        cursor = {
+            x: Math.round(viewbox.x + (event.clientX - rect.left) / viewbox.scale),
+            y: Math.round(viewbox.y + (event.clientY - rect.top) / viewbox.scale)
+        };
+        schedulePublish();
+    };
+
+    const onMouseLeave = () => {
+        cursor = null;
+        schedulePublish();
+    };
+
+    // ---------------------------------------------------------------------------
+    // Remote presence
+    // ---------------------------------------------------------------------------
+
+    const notify = () => onPeersChange(getPeers());
+
+    const onPresence = message => {
+        const isNew = !peers.has(message.from);
+        const previous = peers.get(message.from);
+        const name = message.user?.name || "Anonymous";
+        const color = message.user?.color || getPeerColor(message.from);
+
+        peers.set(message.from, {
+            clientId: message.from,
+            name,
+            color,
+            cursor: message.cursor || null,
+            selection: message.selection || [],
+            lastSeen: Date.now()
+        });
+        render();
+
+        if (isNew || previous.name !== name || previous.selection.join() !== (message.selection || []).join()) {
+            notify();
+        }
+    };
+
+    const removePeer = clientId => {
+        if (peers.delete(clientId)) {
+            render();
+            notify();
+        }
+    };
+
+    const expirePeers = () => {
+        const now = Date.now();
+        peers.forEach(peer => {
+            if (now - peer.lastSeen > PEER_TIMEOUT) {
+                removePeer(peer.clientId);
+            }
+        });
+    };
+
+    const heartbeat = setInterval(() => {
+        publish();
+        expirePeers();
+    }, HEARTBEAT_INTERVAL);
+
+    const unsubscribe = [
+        session.on("presence", onPresence),
+        // Introduce ourselves to participants that just joined
+        session.on("hello", publish),
+        session.on("bye", message => removePeer(message.from))
+    ];
+
+    container.addEventListener("mousemove", onMouseMove);
+    container.addEventListener("mouseleave", onMouseLeave);
+    eventBus.on("selection.changed", schedulePublish);
+    eventBus.on(["canvas.viewbox.changed", "elements.changed"], render);
+
+    publish();
+
+    return {
+        getPeers,
+        destroy: () => {
+            clearInterval(heartbeat);
+            clearTimeout(sendTimer);
+            unsubscribe.forEach(off => off());
+            container.removeEventListener("mousemove", onMouseMove);
+            container.removeEventListener("mouseleave", onMouseLeave);
+            eventBus.off("selection.changed", schedulePublish);
+            eventBus.off(["canvas.viewbox.changed", "elements.changed"], render);
+            svgClear(canvas.getLayer(LAYER_NAME));
+        }
+    };
+}
@@ -0,0 +1,379 @@
+import {
+    changedFields,
+    createElement,
+    describeElement,
+    getDepth,
+    isSharedElement,
+    removeElement,
+    updateElement
+} from "./operations";
+
+/**
+ * Collaboration session
+ *
+ * Shares the edits of one modeler with the other participants of a room over
+ * a transport (see transports.js).
+ *
+ * Every command stack change is turned into operations on the changed
+ * elements: the complete field map for created elements, the changed fields
+ * for updated ones, and a deletion for removed ones (see operations.js).
+ * Operations are stamped with [clock, clientId], where clock is a Lamport
+ * clock shared by all participants.
+ *
+ * Conflicts resolve per field, the same way for every participant: the
+ * higher stamp wins, and equal clocks are ordered by client ID. A deletion
+ * wins over concurrent edits of the deleted element, but not over a later
+ * re-creation (undoing the deletion).
+ *
+ * Messages: { v, from, clock, type, ... } where type is
+ * - hello:    a participant joined or reconnected and asks for a sync
+ * - sync:     { to, elements: [{ id, fields, stamps }], tombstones: [[id, stamp]] }
+ * - ops:      { ops: [{ id, fields, created? } | { id, deleted }] }
+ * - presence: { user, cursor, selection } (see presence.js)
+ * - bye:      the participant left
+ *
+ * Remote operations are applied as one command, so they show up on the local
+ * undo stack; undoing them is an edit like any other and is shared as well.
+ */
+
+const PROTOCOL_VERSION = 1;
+
+const APPLY_REMOTE_COMMAND = "collaboration.applyRemote";
+
+// Remote operations run from preExecute so that their modeling calls end up
+// in one command stack entry
+const applyRemoteHandler = {
+    preExecute(context) {
+        context.apply();
+    }
+};
+
+const collaborationStacks = new WeakSet();
+
+export function createClientId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Order stamps [clock, clientId]; a missing stamp (imported state) is the oldest
+ */
+export function compareStamps(a, b) {
+    if (!a || !b) {
+        return (a ? 1 : 0) - (b ? 1 : 0);
+    }
+    if (a[0] !== b[0]) {
+        return a[0] - b[0];
+    }
+    if (a[1] === b[1]) {
+        return 0;
+    }
+    return a[1] > b[1] ? 1 : -1;
+}
+
+// Order in which operations are applied: containers before their contents,
+// shapes before the connections between them
+function compareOrder(a, b) {
+    return !!a.waypoints - !!b.waypoints || getDepth(a) - getDepth(b);
+}
+
+function pickFields(fields, names) {
+    const picked = {};
+    names.forEach(name => {
+        picked[name] = fields[name] ?? null;
+    });
+    return picked;
+}
+
+function stampFields(fields, stamp) {
+    const stamps = {};
+    Object.keys(fields).forEach(field => {
+        stamps[field] = stamp;
+    });
+    return stamps;
+}
+
+/**
+ * Start sharing a modeler's edits over `transport`.
+ *
+ * Options:
+ * - user: { name, color } shown to the other participants
+ * - clientId: ID of this participant, unique per open editor
+ *
+ * Returns { clientId, user, broadcast(type, payload), on(type, listener), close() }.
+ */
+export function createCollaborationSession(modeler, transport, { user = {}, clientId = createClientId() } = {}) {
+    const eventBus = modeler.get("eventBus");
+    const elementRegistry = modeler.get("elementRegistry");
+    const commandStack = modeler.get("commandStack");
+
+    const snapshots = new Map();
+    const versions = new Map();
+    const tombstones = new Map();
+    const listeners = new Map();
+
+    let clock = 0;
+    let isApplyingRemote = false;
+
+    const broadcast = (type, payload = {}) => {
+        transport.send({ ...payload, v: PROTOCOL_VERSION, from: clientId, clock, type });
+    };
+
+    const on = (type, listener) => {
+        if (!listeners.has(type)) {
+            listeners.set(type, new Set());
+        }
+        listeners.get(type).add(listener);
+        return () => listeners.get(type).delete(listener);
+    };
+
+    const emit = message => (listeners.get(message.type) || []).forEach(listener => listener(message));
+
+    const refreshSnapshot = id => {
+        const element = elementRegistry.get(id);
+        if (isSharedElement(element)) {
+            snapshots.set(id, describeElement(element));
+        } else {
+            snapshots.delete(id);
+        }
+    };
+
+    /**
+     * Start over from the diagram on the canvas, e.g. after an import
+     */
+    const reset = () => {
+        snapshots.clear();
+        versions.clear();
+        tombstones.clear();
+        elementRegistry.filter(isSharedElement).forEach(element => refreshSnapshot(element.id));
+    };
+
+    // ---------------------------------------------------------------------------
+    // Local changes
+    // ---------------------------------------------------------------------------
+
+    const collectOperations = ids => {
+        const removed = [];
+        const changed = [];
+
+        ids.forEach(id => {
+            const element = elementRegistry.get(id);
+            const previous = snapshots.get(id);
+
+            if (!isSharedElement(element)) {
+                if (previous && !element) {
+                    snapshots.delete(id);
+                    removed.push({ id, deleted: true });
+                }
+                return;
+            }
+
+            const fields = describeElement(element);
+            snapshots.set(id, fields);
+
+            if (!previous) {
+                changed.push({ element, op: { id, created: true, fields } });
+                return;
+            }
+
+            const names = changedFields(previous, fields);
+            if (names.length) {
+                changed.push({ element, op: { id, fields: pickFields(fields, names) } });
+            }
+        });
+
+        changed.sort((a, b) => compareOrder(a.element, b.element));
+
+        return [...removed, ...changed.map(entry => entry.op)];
+    };
+
+    const onElementsChanged = ({ elements }) => {
+        const ids = new Set(elements.map(element => (element.labelTarget || element).id));
+
+        // Consequences of remote operations are not shared again
+        if (isApplyingRemote) {
+            ids.forEach(refreshSnapshot);
+            return;
+        }
+
+        const ops = collectOperations(ids);
+        if (!ops.length) return;
+
+        clock++;
+        const stamp = [clock, clientId];
+
+        ops.forEach(op => {
+            if (op.deleted) {
+                tombstones.set(op.id, stamp);
+                versions.delete(op.id);
+            } else if (op.created) {
+                tombstones.delete(op.id);
+                versions.set(op.id, stampFields(op.fields, stamp));
+            } else {
+                versions.set(op.id, { ...versions.get(op.id), ...stampFields(op.fields, stamp) });
+            }
+        });
+
+        broadcast("ops", { ops });
+    };
+
+    // ---------------------------------------------------------------------------
+    // Remote changes
+    // ---------------------------------------------------------------------------
+
+    // The plan functions decide about a remote entry and do the bookkeeping;
+    // they return the diagram change to run, if any
+
+    const planDeletion = ({ id, stamp }) => {
+        // Re-created after this deletion
+        const createdAt = versions.get(id)?.type;
+        if (compareStamps(createdAt, stamp) > 0) return null;
+
+        const tombstone = tombstones.get(id);
+        if (!tombstone || compareStamps(stamp, tombstone) > 0) {
+            tombstones.set(id, stamp);
+        }
+        versions.delete(id);
+
+        if (!elementRegistry.get(id)) return null;
+
+        // Removing an earlier element of the batch may have removed this one as well
+        return () => {
+            const element = elementRegistry.get(id);
+            if (element) {
+                removeElement(modeler, element);
+            }
+        };
+    };
+
+    const planEntry = entry => {
+        const { id, fields, stamps } = entry;
+
+        const tombstone = tombstones.get(id);
+        if (tombstone) {
+            if (!entry.created || compareStamps(stamps.type, tombstone) <= 0) return null;
+            tombstones.delete(id);
+        }
+
+        if (!elementRegistry.get(id)) {
+            if (!entry.created) return null;
+
+            return () => {
+                if (createElement(modeler, id, fields)) {
+                    versions.set(id, { ...stamps });
+                }
+            };
+        }
+
+        const local = versions.get(id) || {};
+        const accepted = Object.keys(fields).filter(
+            field => field !== "type" && compareStamps(stamps[field], local[field]) > 0
+        );
+        if (!accepted.length) return null;
+
+        versions.set(id, { ...local, ...pickFields(stamps, accepted) });
+
+        return () => {
+            const element = elementRegistry.get(id);
+            if (element) {
+                updateElement(modeler, element, pickFields(fields, accepted));
+            }
+        };
+    };
+
+    const applyRemote = entries => {
+        const changes = entries
+            .map(entry => ({ id: entry.id, run: entry.deleted ? planDeletion(entry) : planEntry(entry) }))
+            .filter(change => change.run);
+
+        // Nothing to change: keep the undo stack clean
+        if (!changes.length) return;
+
+        if (!collaborationStacks.has(commandStack)) {
+            commandStack.register(APPLY_REMOTE_COMMAND, applyRemoteHandler);
+            collaborationStacks.add(commandStack);
+        }
+
+        const apply = () =>
+            changes.forEach(change => {
+                try {
+                    change.run();
+                } catch (err) {
+                    console.warn(`Could not apply remote change to ${change.id}`, err);
+                }
+            });
+
+        isApplyingRemote = true;
+        try {
+            commandStack.execute(APPLY_REMOTE_COMMAND, { apply });
+        } finally {
+            isApplyingRemote = false;
+        }
+    };
+
+    const sendSync = to => {
+        const elements = elementRegistry
+            .filter(element => snapshots.has(element.id))
+            .sort(compareOrder)
+            .map(({ id }) => ({ id, fields: snapshots.get(id), stamps: versions.get(id) || {} }));
+
+        broadcast("sync", { to, elements, tombstones: [...tombstones] });
+    };
+
+    const receive = message => {
+        if (!message || message.v !== PROTOCOL_VERSION || message.from === clientId) return;
+        if (message.to && message.to !== clientId) return;
+
+        clock = Math.max(clock, message.clock || 0);
+
+        if (message.type === "ops") {
+            const stamp = [message.clock, message.from];
+            applyRemote(
+                (message.ops || []).map(op =>
+                    op.deleted ? { id: op.id, deleted: true, stamp } : { ...op, stamps: stampFields(op.fields, stamp) }
+                )
+            );
+        } else if (message.type === "sync") {
+            applyRemote([
+                ...(message.tombstones || []).map(([id, stamp]) => ({ id, deleted: true, stamp })),
+                ...(message.elements || []).map(element => ({ ...element, created: true }))
+            ]);
+        } else if (message.type === "hello") {
+            sendSync(message.from);
+        }
+
+        emit(message);
+    };
+
+    const onImportDone = () => {
+        reset();
+        broadcast("hello");
+    };
+
+    reset();
+
+    eventBus.on("elements.changed", onElementsChanged);
+    eventBus.on("import.done", onImportDone);
+
+    const unsubscribe = transport.subscribe(receive);
+    const unsubscribeReconnect = transport.onReconnect?.(() => {
+        broadcast("hello");
+        sendSync(null);
+    });
+
+    broadcast("hello");
+
+    return {
+        clientId,
+        user,
+        broadcast,
+        on,
+        close: () => {
+            broadcast("bye");
+            eventBus.off("elements.changed", onElementsChanged);
+            eventBus.off("import.done", onImportDone);
+            unsubscribe();
+            unsubscribeReconnect?.();
+            listeners.clear();
+        }
+    };
+}
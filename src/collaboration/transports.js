@@ -0,0 +1,160 @@
+/**
+ * Collaboration transports
+ *
+ * A transport delivers messages (JSON-serializable objects) between the
+ * participants of one room:
+ *
+ *   {
+ *     send(message),                  // deliver to the other participants
+ *     subscribe(listener) => unsubscribe,
+ *     onReconnect?(listener) => unsubscribe,
+ *     close()
+ *   }
+ *
+ * Transports may echo a participant's own messages and need not keep order
+ * between senders; the session ignores its own messages and orders operations
+ * by their logical clock. `onReconnect` is optional: it tells the session that
+ * messages may have been lost so it can request a full sync.
+ */
+
+// Delay before the first reconnect attempt; doubled per failure up to MAX_RECONNECT_DELAY
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+function createListeners() {
+    const listeners = new Set();
+
+    return {
+        add: listener => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        emit: value =>
+            listeners.forEach(listener => {
+                try {
+                    listener(value);
+                } catch (err) {
+                    console.error("Error handling collaboration message:", err);
+                }
+            }),
+        clear: () => listeners.clear()
+    };
+}
+
+function parseMessage(data) {
+    return typeof data === "string" ? JSON.parse(data) : data;
+}
+
+/**
+ * Transport between tabs and windows of the same browser, for trying out
+ * collaboration without a server
+ */
+export function createBroadcastChannelTransport(room) {
+    if (typeof BroadcastChannel === "undefined") {
+        throw new Error("BroadcastChannel is not supported in this browser");
+    }
+
+    const channel = new BroadcastChannel(`bpmnwidget:${room}`);
+    const listeners = createListeners();
+
+    channel.onmessage = event => listeners.emit(event.data);
+
+    return {
+        send: message => channel.postMessage(message),
+        subscribe: listeners.add,
+        close: () => {
+            listeners.clear();
+            channel.close();
+        }
+    };
+}
+
+/**
+ * Transport through a WebSocket relay: a server that forwards each text
+ * message to the other clients connected with the same `room` query
+ * parameter. Messages sent while disconnected are queued, and the socket
+ * reconnects after a drop.
+ */
+export function createWebSocketTransport(url, room) {
+    const separator = url.includes("?") ? "&" : "?";
+    const socketUrl = `${url}${separator}room=${encodeURIComponent(room)}`;
+
+    const listeners = createListeners();
+    const reconnectListeners = createListeners();
+    const queue = [];
+
+    let socket = null;
+    let delay = RECONNECT_DELAY;
+    let hasConnected = false;
+    let isClosed = false;
+    let retryTimer = null;
+
+    const connect = () => {
+        socket = new WebSocket(socketUrl);
+
+        socket.onopen = () => {
+            delay = RECONNECT_DELAY;
+            queue.splice(0).forEach(text => socket.send(text));
+            if (hasConnected) {
+                reconnectListeners.emit();
+            }
+            hasConnected = true;
+        };
+        socket.onmessage = event => {
+            try {
+                listeners.emit(parseMessage(event.data));
+            } catch (err) {
+                console.warn("Ignoring malformed collaboration message", err);
+            }
+        };
+        socket.onclose = () => {
+            if (isClosed) return;
+            retryTimer = setTimeout(connect, delay);
+            delay = Math.min(delay * 2, MAX_RECONNECT_DELAY);
+        };
+    };
+
+    connect();
+
+    return {
+        send: message => {
+            const text = JSON.stringify(message);
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(text);
+            } else {
+                queue.push(text);
+            }
+        },
+        subscribe: listeners.add,
+        onReconnect: reconnectListeners.add,
+        close: () => {
+            isClosed = true;
+            clearTimeout(retryTimer);
+            listeners.clear();
+            reconnectListeners.clear();
+            socket.close();
+        }
+    };
+}
+
+/**
+ * Transport around a relay the host provides, e.g. Mendix actions: `send`
+ * forwards an outgoing message, and the host passes every incoming message
+ * (object or JSON text) to `receive`.
+ */
+export function createRelayTransport(send) {
+    const listeners = createListeners();
+
+    return {
+        send,
+        receive: data => {
+            try {
+                listeners.emit(parseMessage(data));
+            } catch (err) {
+                console.warn("Ignoring malformed collaboration message", err);
+            }
+        },
+        subscribe: listeners.add,
+        close: listeners.clear
+    };
+}
@@ -10,7 +10,35 @@ import downIcon from "../assets/chevron-down.svg";
 import companyLogo from "../assets/LCL-brand-clr-logo.png";
 import watermarkImg from "../assets/LCL-brand-clr-icon.png";
 import jsPDF from "jspdf";
-import { applyBottleneckColors, clearBottleneckColors } from "../utils/bottleneckAnalyzer";
+import {
+    BOTTLENECK_LEVELS,
+    analyzeBottlenecks,
+    applyBottleneckColors,
+    clearBottleneckColors,
+    formatDuration
+} from "../utils/bottleneckAnalyzer";
+import { buildValidationReport, reportToCSV, reportToHTML, reportToJSON } from "../utils/validationReport";
+import { MAX_INSTANCES, simulateProcess } from "../utils/processSimulator";
+import { applyRuntimeOverlays } from "../utils/runtimeOverlays";
+import {
+    HEATMAP_METRICS,
+    analyzeEventLog,
+    applyEventLogHeatmap,
+    clearEventLogHeatmap,
+    getHeatmapLegend,
+    parseEventLog
+} from "../utils/processMining";
+import { applyConformanceMarkers, checkConformance, clearConformanceMarkers } from "../utils/conformanceChecker";
+import { useDirtyState, useModelerEvents } from "../hooks/useModelerEvents";
+import { useDraftAutosave } from "../hooks/useDraftAutosave";
+import { useVersionHistory } from "../hooks/useVersionHistory";
+import { useCollaboration } from "../hooks/useCollaboration";
+import { useComments } from "../hooks/useComments";
+import { getElementLabel } from "../utils/diagramComments";
+import { DIFF_KINDS } from "../utils/diagramDiff";
+import { applyMerge, planMerge } from "../utils/diagramMerge";
+import DiagramPreview from "./DiagramPreview";
+import CommentsPanel from "./CommentsPanel";
 
 /**
  * BpmnEditor Component
@@ -23,12 +51,70 @@ import { applyBottleneckColors, clearBottleneckColors } from "../utils/bottlenec
  * - Loading state
  *
  * Props:
- * - initialXml: Initial BPMN XML to load
+ * - initialXml: Initial BPMN XML to load. When it changes while there are unsaved changes (saved in another
+ *   session), the diagram is not reloaded; the stored version is merged in on save (see diagramMerge.js)
  * - onSave: Callback function(xml) when user saves
  * - onCancel: Callback function when user cancels
+ * - onTasksExtracted: Callback function(taskData) with the task data in the versioned schema (see taskSchema.js)
+ * - taskDataJson: Task data from Mendix; changed fields are applied to the diagram as undoable edits
+ * - taskRecords: Fields changed in the task datasource since its last refresh, applied the same way as taskDataJson
+ * - onTasksChanged: Callback function(taskData) after modeling changes, used to mirror tasks to the datasource
+ * - validationConfig: Rule set passed to validateDiagram
+ * - customRules: Widget-level custom validation rules
+ * - simulationSettings: Defaults for the process simulation { instances, arrivalInterval, resources }
+ * - onSimulationComplete: Callback function(results) after a simulation run
+ * - enableCustomModules: Enables the custom modeling modules (renderer, palette, context pad, rules, properties)
+ * - modelingPolicies: Parsed modeling policies (protected elements, allowed connections, placements)
+ * - runtimeState: Process instance state [{ elementId, state, count }] shown as overlays
+ * - eventLog: Event log (CSV or JSON text) loaded into the process mining heatmap
+ * - onSelectionChange: Callback function({ elementId, elementType, elementName } | null) when the selection changes
+ * - onElementAdded / onElementRemoved: Callback function({ elementId, elementType, elementName }) for modeling changes
+ * - onDirtyChange: Callback function(isDirty) when the diagram starts or stops differing from the saved state
+ * - draftKey: Key for autosaved drafts (Mendix object and diagram name); no drafts are kept without it
+ * - savedAt: Date the diagram was last saved in Mendix; older drafts are not offered for restore
+ * - revisions: Previous versions [{ id, xml, label, date, author }] for the History panel; without them the
+ *   versions saved in this browser (per draftKey) are listed
+ * - collaborationTransport: Transport to edit together with other users (see collaboration/); off without it
+ * - userName: Current user, shown to the other users and as the author of comments
+ * - commentRecords: Comments [{ id, threadId, elementId, author, date, text, resolved }] from the comment datasource;
+ *   without them comments are stored in the diagram
+ * - onCommentAdd: Callback function({ threadId, elementId, text, author }) to add a comment to commentRecords
+ * - onCommentResolve: Callback function({ threadId, resolved }) to resolve or reopen a thread in commentRecords
  */
 
-export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtracted, taskDataJson }) => {
+// Milliseconds to wait after the last modeling change before reporting tasks
+const TASK_SYNC_DELAY = 500;
+
+export const BpmnEditor = ({
+    initialXml,
+    onSave,
+    onCancel,
+    bpmnFile,
+    onTasksExtracted,
+    taskDataJson,
+    taskRecords,
+    onTasksChanged,
+    validationConfig,
+    customRules,
+    simulationSettings,
+    onSimulationComplete,
+    enableCustomModules,
+    modelingPolicies,
+    runtimeState,
+    eventLog,
+    onSelectionChange,
+    onElementAdded,
+    onElementRemoved,
+    onDirtyChange,
+    draftKey,
+    savedAt,
+    revisions,
+    collaborationTransport,
+    userName,
+    commentRecords,
+    onCommentAdd,
+    onCommentResolve
+}) => {
     // State management
     const [error, setError] = useState(null);
     const [isSaving, setIsSaving] = useState(false);
@@ -40,26 +126,121 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
     const [isSimulationMode, setIsSimulationMode] = useState(false);
     const [validationResults, setValidationResults] = useState({ errors: [], warnings: [] });
     const [isBottleneckMode, setIsBottleneckMode] = useState(false);
+    const [bottleneckAnalysis, setBottleneckAnalysis] = useState(null);
+    const [isProcessSimulationOpen, setIsProcessSimulationOpen] = useState(false);
+    const [isProcessSimulationRunning, setIsProcessSimulationRunning] = useState(false);
+    const [processSimulationResults, setProcessSimulationResults] = useState(null);
+    const [simulationInstances, setSimulationInstances] = useState(simulationSettings?.instances || 500);
+    const [simulationSeed, setSimulationSeed] = useState(1);
     const [expandedPanel, setExpandedPanel] = useState(null);
+    const [isEventLogOpen, setIsEventLogOpen] = useState(false);
+    const [eventLogAnalysis, setEventLogAnalysis] = useState(null);
+    const [heatmapMetric, setHeatmapMetric] = useState("frequency");
+    const [conformance, setConformance] = useState(null);
+    const [conformanceCase, setConformanceCase] = useState(null);
+    const [pendingDiscard, setPendingDiscard] = useState(null);
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+    const [isStoredXmlChanged, setIsStoredXmlChanged] = useState(false);
+    const [pendingMerge, setPendingMerge] = useState(null);
 
     // Refs
     const fileInputRef = useRef(null);
+    const eventLogInputRef = useRef(null);
+    const eventLogEventsRef = useRef([]);
     const modelerMethodsRef = useRef(null);
     const lastLoadedXmlRef = useRef(initialXml);
+    // Stored XML this session's changes are based on; the base of a merge on save
+    const baseXmlRef = useRef(initialXml);
+    const isDirtyRef = useRef(false);
     const editorActionsRef = useRef(null);
     const lastAppliedTaskJsonRef = useRef(null);
     const logoImgRef = useRef(null);
     const watermarkImgRef = useRef(null);
 
+    useModelerEvents(modelerMethodsRef, isLoading, { onSelectionChange, onElementAdded, onElementRemoved });
+    const { isDirty, markSaved, markImportUnsaved } = useDirtyState(modelerMethodsRef, isLoading, onDirtyChange);
+    isDirtyRef.current = isDirty;
+    const { draft, dismissDraft, discardDraft } = useDraftAutosave(modelerMethodsRef, {
+        draftKey,
+        baseXml: initialXml,
+        savedAt,
+        isDirty,
+        isLoading
+    });
+    const history = useVersionHistory(modelerMethodsRef, {
+        revisions,
+        snapshotKey: draftKey,
+        isOpen: isHistoryOpen,
+        isLoading
+    });
+    const { peers } = useCollaboration(modelerMethodsRef, {
+        transport: collaborationTransport,
+        user: userName ? { name: userName } : undefined,
+        isLoading
+    });
+
+    const getDiagram = useCallback(() => modelerMethodsRef.current?.getModeler(), []);
+    const showComments = useCallback(() => setExpandedPanel("comments"), []);
+    const comments = useComments(getDiagram, {
+        records: commentRecords,
+        user: userName,
+        onAdd: onCommentAdd,
+        onResolve: onCommentResolve,
+        onShow: showComments,
+        isLoading
+    });
+
+    /**
+     * Ask the browser to confirm leaving the page while there are unsaved changes
+     */
+    useEffect(() => {
+        if (!isDirty) return undefined;
+
+        const handleBeforeUnload = event => {
+            event.preventDefault();
+            // Older browsers only prompt when returnValue is set
+            event.returnValue = "";
+        };
+
+        window.addEventListener("beforeunload", handleBeforeUnload);
+        return () => window.removeEventListener("beforeunload", handleBeforeUnload);
+    }, [isDirty]);
+
+    /**
+     * Run an action that throws away the current diagram, asking first when it
+     * has unsaved changes. `label` names the action on the confirm button.
+     */
+    const confirmDiscard = (label, action) => {
+        if (isDirty) {
+            setPendingDiscard({ label, action });
+        } else {
+            action();
+        }
+    };
+
+    const handleDiscardConfirmed = () => {
+        const { action } = pendingDiscard;
+        setPendingDiscard(null);
+        action();
+    };
+
     /**
      * Only reload diagram if we're opening a genuinely different diagram
      * This prevents unwanted re-imports when user is editing
      */
     useEffect(() => {
         if (initialXml && initialXml !== lastLoadedXmlRef.current && initialXml.trim().length > 100) {
+            // Saved in another session: keep the local changes and merge on save
+            if (isDirtyRef.current) {
+                setIsStoredXmlChanged(true);
+                return;
+            }
+
             console.log("New diagram detected, reloading editor");
             setCurrentXml(initialXml);
             lastLoadedXmlRef.current = initialXml;
+            baseXmlRef.current = initialXml;
+            setIsStoredXmlChanged(false);
         }
     }, [initialXml]);
 
@@ -109,8 +290,7 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
 
             // ✅ SAFE POINT: XML fully ready
             if (onTasksExtracted && methods.extractTasks) {
-                const tasks = methods.extractTasks();
-                onTasksExtracted(tasks);
+                onTasksExtracted(methods.extractTasks());
             }
 
             // Optional: show blocking message immediately
@@ -155,10 +335,9 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
     };
 
     /**
-     * Handle Save button click
-     * Exports XML from modeler and calls parent's onSave callback
+     * Validate the diagram on the canvas, export it and call the parent's onSave callback
      */
-    const handleSave = async () => {
+    const saveDiagram = async () => {
         if (!modelerMethodsRef.current) {
             setError("Modeler not ready");
             return;
@@ -179,8 +358,7 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
             }
 
             if (onTasksExtracted && modelerMethodsRef.current.extractTasks) {
-                const tasks = modelerMethodsRef.current.extractTasks();
-                onTasksExtracted(tasks);
+                onTasksExtracted(modelerMethodsRef.current.extractTasks());
             }
 
             // ✅ SAFE TO SAVE
@@ -190,7 +368,14 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
             const base64SVG = btoa(unescape(encodeURIComponent(svg)));
             const dataURL = `data:image/svg+xml;base64,${base64SVG}`;
 
+            // The saved XML comes back as initialXml; it must not reload the editor
+            baseXmlRef.current = xml;
+            lastLoadedXmlRef.current = xml;
+            setIsStoredXmlChanged(false);
+
             onSave?.(xml, dataURL);
+            markSaved();
+            history.saveSnapshot(xml, bpmnFile);
         } catch (err) {
             console.error(err);
             setError("Failed to save diagram");
@@ -199,32 +384,169 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
         }
     };
 
+    /**
+     * Show the merged diagram; it is unsaved until saveDiagram runs
+     */
+    const applyMergedDiagram = (plan, storedXml, resolutions) =>
+        Promise.resolve()
+            .then(() => applyMerge(plan, resolutions))
+            .then(merged => {
+                baseXmlRef.current = storedXml;
+                lastLoadedXmlRef.current = storedXml;
+                setIsStoredXmlChanged(false);
+
+                if (merged === plan.mineXml) {
+                    return null;
+                }
+                markImportUnsaved();
+                return modelerMethodsRef.current.importXML(merged);
+            });
+
+    const handleMergeError = err => {
+        console.error("Error merging diagrams:", err);
+        setError(`Failed to merge with the saved diagram: ${err.message}`);
+    };
+
+    /**
+     * Handle Save button click
+     * When the stored diagram was saved in another session since this one
+     * started, the changes of both are merged first. Conflicting changes to
+     * the same element are resolved in a dialog before saving.
+     */
+    const handleSave = () => {
+        if (!modelerMethodsRef.current) {
+            setError("Modeler not ready");
+            return;
+        }
+
+        const storedXml = initialXml;
+        if (!storedXml || !baseXmlRef.current || storedXml === baseXmlRef.current) {
+            saveDiagram();
+            return;
+        }
+
+        modelerMethodsRef.current
+            .exportXML()
+            .then(mineXml => {
+                const plan = planMerge(baseXmlRef.current, mineXml, storedXml);
+
+                if (plan.conflicts.length) {
+                    setPendingMerge({ plan, storedXml, resolutions: {} });
+                    return null;
+                }
+                return applyMergedDiagram(plan, storedXml, {}).then(saveDiagram);
+            })
+            .catch(handleMergeError);
+    };
+
+    const handleMergeChoice = (key, side) => {
+        setPendingMerge(prev => ({ ...prev, resolutions: { ...prev.resolutions, [key]: side } }));
+    };
+
+    const handleMergeResolved = () => {
+        const { plan, storedXml, resolutions } = pendingMerge;
+        setPendingMerge(null);
+
+        applyMergedDiagram(plan, storedXml, resolutions).then(saveDiagram).catch(handleMergeError);
+    };
+
     useEffect(() => {
         if (!modelerMethodsRef.current) return;
         if (!taskDataJson) return;
         if (taskDataJson === lastAppliedTaskJsonRef.current) return;
 
         try {
-            const tasks = JSON.parse(taskDataJson);
             if (modelerMethodsRef.current?.updateTasks) {
-                modelerMethodsRef.current.updateTasks(tasks);
+                modelerMethodsRef.current.updateTasks(taskDataJson);
             }
 
             lastAppliedTaskJsonRef.current = taskDataJson;
         } catch (e) {
-            console.error("Invalid task master data JSON", e);
+            console.error("Invalid task data JSON", e);
         }
     }, [taskDataJson]);
 
     /**
-     * Handle Cancel button click
+     * Task data from the datasource, once the diagram is loaded and whenever
+     * Mendix refreshes the list. Only fields changed in Mendix are included, so
+     * empty attributes never clear values set on the canvas.
+     */
+    useEffect(() => {
+        if (!taskRecords || !modelerMethodsRef.current?.updateTasks) return;
+
+        try {
+            modelerMethodsRef.current.updateTasks(taskRecords);
+        } catch (e) {
+            console.error("Failed to apply task data", e);
+        }
+    }, [taskRecords, isLoading]);
+
+    /**
+     * Report the tasks after each edit, undo or redo (not on import), debounced
+     * so a burst of changes is mirrored once
+     */
+    useEffect(() => {
+        const modeler = modelerMethodsRef.current?.getModeler();
+        if (!modeler || !onTasksChanged) return undefined;
+
+        const eventBus = modeler.get("eventBus");
+        let timer = null;
+
+        const notify = event => {
+            if (event.trigger === "clear") return;
+
+            clearTimeout(timer);
+            timer = setTimeout(() => onTasksChanged(modelerMethodsRef.current.extractTasks()), TASK_SYNC_DELAY);
+        };
+
+        eventBus.on("commandStack.changed", notify);
+
+        return () => {
+            clearTimeout(timer);
+            eventBus.off("commandStack.changed", notify);
+        };
+    }, [onTasksChanged, isLoading]);
+
+    /**
+     * Show the runtime state of the process instances, and again after
+     * every import since importing clears all overlays
+     */
+    useEffect(() => {
+        const modeler = modelerMethodsRef.current?.getModeler();
+        if (!modeler) return undefined;
+
+        const applyOverlays = () => applyRuntimeOverlays(modeler, runtimeState);
+        const eventBus = modeler.get("eventBus");
+
+        applyOverlays();
+        eventBus.on("import.done", applyOverlays);
+
+        return () => eventBus.off("import.done", applyOverlays);
+    }, [runtimeState, isLoading]);
+
+    /**
+     * Handle Cancel button click; unsaved changes need confirmation
      */
     const handleCancel = () => {
         if (onCancel) {
-            onCancel();
+            confirmDiscard("Discard and close", () => {
+                discardDraft();
+                onCancel();
+            });
         }
     };
 
+    /**
+     * Replace the diagram with the autosaved draft; it stays unsaved until the user saves
+     */
+    const handleRestoreDraft = () => {
+        // An outdated draft is merged with the stored diagram on save
+        baseXmlRef.current = draft.baseXml || initialXml;
+        markImportUnsaved();
+        setCurrentXml(draft.xml);
+        dismissDraft();
+    };
+
     const MIN_ZOOM = 0.5;
     const MAX_ZOOM = 2.5;
 
@@ -261,6 +583,42 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
         setExpandedPanel(prev => (prev === "validation" ? null : "validation"));
     };
 
+    const handleCommentsClick = () => {
+        setExpandedPanel(prev => (prev === "comments" ? null : "comments"));
+    };
+
+    /**
+     * Run a quick fix from the Validation panel.
+     * Validation re-runs on the resulting commandStack change.
+     */
+    const handleQuickFix = (result, fixId) => {
+        try {
+            modelerMethodsRef.current?.applyQuickFix(result, fixId);
+        } catch (err) {
+            console.error("Error applying quick fix:", err);
+            setError("Failed to apply quick fix");
+        }
+    };
+
+    const renderQuickFixes = result =>
+        result.fixes?.length > 0 && (
+            <span className="validation-fixes">
+                {result.fixes.map(fix => (
+                    <button
+                        type="button"
+                        key={fix.id}
+                        className="validation-fix-btn"
+                        onClick={e => {
+                            e.stopPropagation();
+                            handleQuickFix(result, fix.id);
+                        }}
+                    >
+                        {fix.label}
+                    </button>
+                ))}
+            </span>
+        );
+
     /**
      * Sanitize the file names
      */
@@ -271,11 +629,51 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
         return name.trim();
     };
 
+    /**
+     * Replay an event log (CSV or JSON text) on the model and show the heatmap
+     */
+    const loadEventLog = (input, metric = heatmapMetric) => {
+        const modeler = modelerMethodsRef.current?.getModeler();
+        if (!modeler) {
+            return;
+        }
+
+        try {
+            const { events, skipped } = parseEventLog(input);
+            if (!events.length) {
+                setError("The event log has no usable events. Each row needs a case ID, activity and timestamp.");
+                return;
+            }
+
+            const analysis = { ...analyzeEventLog(modeler, events), skipped };
+            eventLogEventsRef.current = events;
+            clearConformanceMarkers(modeler);
+            applyEventLogHeatmap(modeler, analysis, metric);
+            setEventLogAnalysis(analysis);
+            setConformance(null);
+            setConformanceCase(null);
+        } catch (err) {
+            console.error("Error reading event log:", err);
+            setError(`Failed to read event log: ${err.message}`);
+        }
+    };
+
+    const closeEventLog = () => {
+        const modeler = modelerMethodsRef.current?.getModeler();
+        if (modeler) {
+            clearEventLogHeatmap(modeler);
+            clearConformanceMarkers(modeler);
+        }
+        setIsEventLogOpen(false);
+        setConformance(null);
+        setConformanceCase(null);
+    };
+
     /**
      * Function to handle bottleneck analysis
      */
     const handleBottleneckAnalysis = () => {
-        if (!modelerMethodsRef.current?.extractTasks || !modelerMethodsRef.current?.getModeler) {
+        if (!modelerMethodsRef.current?.getModeler) {
             return;
         }
         const modeler = modelerMethodsRef.current.getModeler();
@@ -283,18 +681,153 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
             //turnoff the bottleneck mode
             clearBottleneckColors(modeler);
             setIsBottleneckMode(false);
+            setBottleneckAnalysis(null);
         } else {
-            const tasks = modelerMethodsRef.current.extractTasks();
-            const tasksWithDuration = tasks.filter(t => t.duration && t.duration.trim() !== "");
-            if (tasksWithDuration.length === 0) {
+            const analysis = analyzeBottlenecks(modeler);
+            if (analysis.tasks.length === 0) {
                 alert("No tasks with duration found, please add duration to the tasks first");
                 return;
             }
-            applyBottleneckColors(modeler, tasks);
+            closeEventLog();
+            applyBottleneckColors(modeler, analysis);
+            setBottleneckAnalysis(analysis);
             setIsBottleneckMode(true);
+            setIsProcessSimulationOpen(false);
+            setIsHistoryOpen(false);
+        }
+    };
+
+    /**
+     * Toggle the process simulation panel (shares its place with the bottleneck panel)
+     */
+    const handleProcessSimulationToggle = () => {
+        if (!isProcessSimulationOpen && isBottleneckMode) {
+            handleBottleneckAnalysis();
+        }
+        if (!isProcessSimulationOpen) {
+            closeEventLog();
+            setIsHistoryOpen(false);
+        }
+        setIsProcessSimulationOpen(prev => !prev);
+    };
+
+    /**
+     * Toggle the process mining panel; the widget's event log is loaded on first open
+     */
+    const handleEventLogToggle = () => {
+        if (isEventLogOpen) {
+            closeEventLog();
+            return;
+        }
+
+        if (isBottleneckMode) {
+            handleBottleneckAnalysis();
+        }
+        setIsProcessSimulationOpen(false);
+        setIsHistoryOpen(false);
+        setIsEventLogOpen(true);
+
+        if (eventLogAnalysis) {
+            applyEventLogHeatmap(modelerMethodsRef.current.getModeler(), eventLogAnalysis, heatmapMetric);
+        } else if (eventLog) {
+            loadEventLog(eventLog);
         }
     };
 
+    /**
+     * Toggle the version history panel; closing it removes the comparison markers
+     */
+    const handleHistoryToggle = () => {
+        if (!isHistoryOpen) {
+            if (isBottleneckMode) {
+                handleBottleneckAnalysis();
+            }
+            closeEventLog();
+            setIsProcessSimulationOpen(false);
+        }
+        setIsHistoryOpen(prev => !prev);
+    };
+
+    const handleEventLogFile = event => {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = e => loadEventLog(e.target.result);
+        reader.onerror = () => setError("Failed to read file. Please try again.");
+        reader.readAsText(file);
+
+        // Reset input so same file can be selected again
+        event.target.value = "";
+    };
+
+    const handleHeatmapMetricChange = metric => {
+        setHeatmapMetric(metric);
+        if (eventLogAnalysis && modelerMethodsRef.current?.getModeler) {
+            applyEventLogHeatmap(modelerMethodsRef.current.getModeler(), eventLogAnalysis, metric);
+        }
+    };
+
+    /**
+     * Replay every case of the loaded log on the model and mark where they deviate
+     */
+    const handleCheckConformance = () => {
+        const modeler = modelerMethodsRef.current?.getModeler();
+        if (!modeler || !eventLogEventsRef.current.length) {
+            return;
+        }
+
+        const result = checkConformance(modeler, eventLogEventsRef.current);
+        applyConformanceMarkers(modeler, result);
+        setConformance(result);
+        setConformanceCase(null);
+    };
+
+    /**
+     * Show the deviations of a single case, or of the whole log when it is clicked again
+     */
+    const handleConformanceCaseSelect = caseResult => {
+        const modeler = modelerMethodsRef.current?.getModeler();
+        if (!modeler || !conformance) {
+            return;
+        }
+
+        const selected = conformanceCase === caseResult.caseId ? null : caseResult;
+        applyConformanceMarkers(modeler, conformance, selected);
+        setConformanceCase(selected ? selected.caseId : null);
+    };
+
+    /**
+     * Run the Monte Carlo simulation locally and hand the results to Mendix
+     */
+    const handleRunProcessSimulation = () => {
+        if (!modelerMethodsRef.current?.getModeler) {
+            return;
+        }
+
+        setIsProcessSimulationRunning(true);
+
+        // Let the panel render its running state before the synchronous run
+        setTimeout(() => {
+            try {
+                const results = simulateProcess(modelerMethodsRef.current.getModeler(), {
+                    ...simulationSettings,
+                    instances: simulationInstances,
+                    seed: simulationSeed
+                });
+                setProcessSimulationResults(results);
+                onSimulationComplete?.(results);
+            } catch (err) {
+                console.error("Error running process simulation:", err);
+                setError(err.message || "Failed to run process simulation");
+            } finally {
+                setIsProcessSimulationRunning(false);
+            }
+        }, 0);
+    };
+
     /**
      * Function to focus on task when it is clicked.
      */
@@ -357,6 +890,48 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
         }
     };
 
+    /**
+     * Export the current validation results as JSON, CSV or a standalone HTML report
+     */
+    const handleExportValidationReport = async format => {
+        if (!modelerMethodsRef.current?.validateDiagram) {
+            return;
+        }
+
+        try {
+            const results = await modelerMethodsRef.current.validateDiagram();
+            const report = buildValidationReport(modelerMethodsRef.current.getModeler(), results, bpmnFile);
+
+            let content;
+            let type;
+            if (format === "csv") {
+                content = reportToCSV(report);
+                type = "text/csv;charset=utf-8";
+            } else if (format === "html") {
+                const svg = await modelerMethodsRef.current.exportSVG();
+                content = reportToHTML(report, svg);
+                type = "text/html;charset=utf-8";
+            } else {
+                content = reportToJSON(report);
+                type = "application/json";
+            }
+
+            const blob = new Blob([content], { type });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = `${sanitizeFilename(bpmnFile) || "diagram"}-validation.${format}`;
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error("Error exporting validation report:", err);
+            setError("Failed to export validation report");
+        }
+    };
+
     function addImageWatermark(pdf, watermarkImg) {
         const pageWidth = pdf.internal.pageSize.getWidth();
         const pageHeight = pdf.internal.pageSize.getHeight();
@@ -502,22 +1077,9 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
     };
 
     /**
-     * Handle file open from local filesystem
+     * Load a local BPMN file into the modeler
      */
-    const handleOpenFile = event => {
-        const file = event.target.files[0];
-        if (!file) {
-            return;
-        }
-
-        // Validate file type
-        const validExtensions = [".bpmn", ".xml", ".bpmn20.xml"];
-        const fileExtension = file.name.substring(file.name.lastIndexOf(".")).toLowerCase();
-        if (!validExtensions.includes(fileExtension)) {
-            setError("Invalid file type. Please select a .bpmn or .xml file");
-            return;
-        }
-
+    const readDiagramFile = file => {
         setIsImporting(true);
         setError(null);
 
@@ -527,7 +1089,9 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
             try {
                 const xmlContent = e.target.result;
 
-                // Update XML state - this will trigger BpmnModeler to reload
+                // Update XML state - this will trigger BpmnModeler to reload.
+                // The opened file isn't saved to Mendix yet, so it starts out dirty.
+                markImportUnsaved();
                 setCurrentXml(xmlContent);
                 lastLoadedXmlRef.current = xmlContent;
                 setIsImporting(false);
@@ -545,8 +1109,29 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
 
         // Read file as text
         reader.readAsText(file);
+    };
+
+    /**
+     * Handle file open from local filesystem; unsaved changes need confirmation
+     */
+    const handleOpenFile = event => {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+
+        // Validate file type
+        const validExtensions = [".bpmn", ".xml", ".bpmn20.xml"];
+        const fileExtension = file.name.substring(file.name.lastIndexOf(".")).toLowerCase();
+        if (!validExtensions.includes(fileExtension)) {
+            setError("Invalid file type. Please select a .bpmn or .xml file");
+            return;
+        }
+
         // Reset input so same file can be selected again
         event.target.value = "";
+
+        confirmDiscard("Discard and open", () => readDiagramFile(file));
     };
 
     useEffect(() => {
@@ -571,6 +1156,31 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
                 <div className="bpmn-toolbar">
                     <div className="bpmn-toolbar-left">
                         <h3 className="bpmn-title">BPMN Diagram</h3>
+                        {isDirty && (
+                            <span className="bpmn-unsaved-indicator" title="The diagram has changes that are not saved">
+                                Unsaved changes
+                            </span>
+                        )}
+                        {peers.length > 0 && (
+                            <div className="bpmn-peers" title="Also editing this diagram">
+                                {peers.map(peer => (
+                                    <button
+                                        key={peer.clientId}
+                                        type="button"
+                                        className="bpmn-peer"
+                                        style={{ backgroundColor: peer.color }}
+                                        title={
+                                            peer.selection.length
+                                                ? `${peer.name} - click to show their selection`
+                                                : peer.name
+                                        }
+                                        onClick={() => peer.selection.length && handleTaskFocus(peer.selection[0])}
+                                    >
+                                        {peer.name.charAt(0).toUpperCase()}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
                     </div>
 
                     <div className="bpmn-toolbar-center">
@@ -697,10 +1307,43 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
                             }`}
                             onClick={handleBottleneckAnalysis}
                             disabled={isLoading}
-                            title="Show task with high execution time"
+                            title="Analyse critical path and task contribution to cycle time"
                         >
                             {isBottleneckMode ? "Hide Bottleneck" : "Show Bottleneck"}
                         </button>
+                        <button
+                            type="button"
+                            className={`bpmn-btn bpmn-btn-secondary bpmn-btn-bottleneck ${
+                                isProcessSimulationOpen ? "active" : ""
+                            }`}
+                            onClick={handleProcessSimulationToggle}
+                            disabled={isLoading}
+                            title="Simulate process instances to estimate cycle time and resource load"
+                        >
+                            Simulate
+                        </button>
+                        <button
+                            type="button"
+                            className={`bpmn-btn bpmn-btn-secondary bpmn-btn-bottleneck ${
+                                isEventLogOpen ? "active" : ""
+                            }`}
+                            onClick={handleEventLogToggle}
+                            disabled={isLoading}
+                            title="Colour the model by frequency and duration from an event log"
+                        >
+                            Event Log
+                        </button>
+                        <button
+                            type="button"
+                            className={`bpmn-btn bpmn-btn-secondary bpmn-btn-bottleneck ${
+                                isHistoryOpen ? "active" : ""
+                            }`}
+                            onClick={handleHistoryToggle}
+                            disabled={isLoading}
+                            title="Compare the diagram with a previous version"
+                        >
+                            History
+                        </button>
                     </div>
 
                     <div className="bpmn-toolbar-right">
@@ -740,6 +1383,19 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
                 </div>
             )}
 
+            {isStoredXmlChanged && (
+                <div className="bpmn-warning-banner">
+                    <span className="bpmn-warning-icon">⚠</span>
+                    <div className="bpmn-warning-content">
+                        This diagram was saved in another session since you opened it. Your changes are merged with that
+                        version when you save.
+                    </div>
+                    <button type="button" className="bpmn-warning-close" onClick={() => setIsStoredXmlChanged(false)}>
+                        ×
+                    </button>
+                </div>
+            )}
+
             {/* Loading state */}
             {isLoading && (
                 <div className="bpmn-loading">
@@ -762,6 +1418,10 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
                             modelerMethodsRef.current?.applyValidationMarkers(errors, warnings);
                         }}
                         isSimulationMode={isSimulationMode}
+                        validationConfig={validationConfig}
+                        customRules={customRules}
+                        enableCustomModules={enableCustomModules}
+                        modelingPolicies={modelingPolicies}
                     />
                 </div>
 
@@ -805,6 +1465,22 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
                             }`}
                         >
                             <div className="validation-content">
+                                {/* EXPORT */}
+                                <div className="validation-export">
+                                    <span>Export report:</span>
+                                    {["json", "csv", "html"].map(format => (
+                                        <button
+                                            key={format}
+                                            type="button"
+                                            className="validation-export-btn"
+                                            onClick={() => handleExportValidationReport(format)}
+                                            disabled={isLoading}
+                                        >
+                                            {format.toUpperCase()}
+                                        </button>
+                                    ))}
+                                </div>
+
                                 {/* ERRORS */}
                                 {validationResults.errors.length > 0 && (
                                     <div className="validation-errors">
@@ -816,6 +1492,7 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
                                                 onClick={() => modelerMethodsRef.current?.focusElement(e.elementId)}
                                             >
                                                 {e.message}
+                                                {renderQuickFixes(e)}
                                             </div>
                                         ))}
                                     </div>
@@ -840,6 +1517,7 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
                                                             }
                                                         >
                                                             {w.elementId || "Global"}
+                                                            {renderQuickFixes(w)}
                                                         </div>
                                                     ))}
                                                 </div>
@@ -849,10 +1527,712 @@ export const BpmnEditor = ({ initialXml, onSave, onCancel, bpmnFile, onTasksExtr
                                 )}
                             </div>
                         </div>
+
+                        {/* ---------- COMMENTS HEADER ---------- */}
+                        <div className="validation-title" onClick={handleCommentsClick}>
+                            <h4>Comments ({comments.counts.open})</h4>
+                            <img
+                                src={downIcon}
+                                className={`validation-arrow ${expandedPanel === "comments" ? "rotated" : ""}`}
+                                alt="toggle comments"
+                            />
+                        </div>
+
+                        {/* ---------- COMMENTS CONTENT ---------- */}
+                        <div
+                            className={`bpmn-comments-content ${
+                                expandedPanel === "comments" ? "expanded" : "collapsed"
+                            }`}
+                        >
+                            <CommentsPanel
+                                comments={comments}
+                                getElementLabel={elementId => getElementLabel(getDiagram(), elementId)}
+                                canComment={!commentRecords || !!onCommentAdd}
+                                onFocus={handleTaskFocus}
+                            />
+                        </div>
                     </div>
                 )}
             </div>
 
+            {/* Bottleneck Analysis Panel */}
+            {isBottleneckMode && bottleneckAnalysis && !isSimulationMode && (
+                <div className="bottleneck-panel open">
+                    <div className="bottleneck-header">
+                        <h3>Bottleneck Analysis</h3>
+                        <button type="button" className="bottleneck-close" onClick={handleBottleneckAnalysis}>
+                            ×
+                        </button>
+                    </div>
+
+                    <div className="bottleneck-content">
+                        <div className="bottleneck-stats">
+                            <div className="bottleneck-stat">
+                                <span className="bottleneck-stat-label">Expected cycle time</span>
+                                <span className="bottleneck-stat-value">
+                                    {formatDuration(bottleneckAnalysis.cycleTime)}
+                                </span>
+                            </div>
+                            <div className="bottleneck-stat">
+                                <span className="bottleneck-stat-label">Critical path duration</span>
+                                <span className="bottleneck-stat-value">
+                                    {formatDuration(bottleneckAnalysis.criticalPathDuration)}
+                                </span>
+                            </div>
+                            <div className="bottleneck-stat">
+                                <span className="bottleneck-stat-label">Tasks analysed</span>
+                                <span className="bottleneck-stat-value">{bottleneckAnalysis.tasks.length}</span>
+                            </div>
+                        </div>
+
+                        <div className="bottleneck-legend">
+                            <h4>Contribution to cycle time</h4>
+                            {BOTTLENECK_LEVELS.map(level => (
+                                <div key={level.marker} className="legend-item">
+                                    <span className="legend-color" style={{ backgroundColor: level.color }} />
+                                    {level.label}
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="bottleneck-legend">
+                            <h4>Critical path</h4>
+                            <ol className="bottleneck-path-list">
+                                {bottleneckAnalysis.criticalPath.map(step => (
+                                    <li key={step.id} onClick={() => handleTaskFocus(step.id)}>
+                                        <span>{step.name || step.id}</span>
+                                        {step.duration > 0 && (
+                                            <span className="bottleneck-task-duration">
+                                                {formatDuration(step.duration)}
+                                            </span>
+                                        )}
+                                    </li>
+                                ))}
+                            </ol>
+                        </div>
+
+                        <h4>Task ranking</h4>
+                        <div className="bottleneck-tasks">
+                            {bottleneckAnalysis.tasks.map(task => (
+                                <div
+                                    key={task.id}
+                                    className="bottleneck-task-item"
+                                    onClick={() => handleTaskFocus(task.id)}
+                                >
+                                    <div className="bottleneck-task-header">
+                                        <span
+                                            className="bottleneck-task-severity"
+                                            style={{ backgroundColor: task.level.color }}
+                                        />
+                                        <span className="bottleneck-task-name">{task.name || task.id}</span>
+                                        {task.onCriticalPath && (
+                                            <span className="bottleneck-critical-tag">critical</span>
+                                        )}
+                                    </div>
+                                    <div className="bottleneck-task-details">
+                                        <span>
+                                            Duration{" "}
+                                            <span className="bottleneck-task-duration">
+                                                {formatDuration(task.duration)}
+                                            </span>
+                                        </span>
+                                        <span>{Math.round(task.visitProbability * 100)}% of cases</span>
+                                        <span>{Math.round(task.share * 100)}% of time</span>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Process Simulation Panel */}
+            {isProcessSimulationOpen && !isSimulationMode && (
+                <div className="bottleneck-panel simulation-panel open">
+                    <div className="bottleneck-header">
+                        <h3>Process Simulation</h3>
+                        <button type="button" className="bottleneck-close" onClick={handleProcessSimulationToggle}>
+                            ×
+                        </button>
+                    </div>
+
+                    <div className="bottleneck-content">
+                        <div className="simulation-form">
+                            <label>
+                                Instances
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max={MAX_INSTANCES}
+                                    value={simulationInstances}
+                                    onChange={e => setSimulationInstances(Number(e.target.value))}
+                                />
+                            </label>
+                            <label>
+                                Seed
+                                <input
+                                    type="number"
+                                    value={simulationSeed}
+                                    onChange={e => setSimulationSeed(Number(e.target.value))}
+                                />
+                            </label>
+                            <button
+                                type="button"
+                                className="bpmn-btn bpmn-btn-primary"
+                                onClick={handleRunProcessSimulation}
+                                disabled={isProcessSimulationRunning}
+                            >
+                                {isProcessSimulationRunning ? "Running..." : "Run"}
+                            </button>
+                        </div>
+
+                        {processSimulationResults && (
+                            <div>
+                                <div className="bottleneck-stats">
+                                    <div className="bottleneck-stat">
+                                        <span className="bottleneck-stat-label">Completed instances</span>
+                                        <span className="bottleneck-stat-value">
+                                            {processSimulationResults.completed} /{" "}
+                                            {processSimulationResults.settings.instances}
+                                        </span>
+                                    </div>
+                                    {[
+                                        ["Average cycle time", "average"],
+                                        ["Median (P50)", "p50"],
+                                        ["P90", "p90"],
+                                        ["P95", "p95"],
+                                        ["Longest", "max"]
+                                    ].map(([label, key]) => (
+                                        <div key={key} className="bottleneck-stat">
+                                            <span className="bottleneck-stat-label">{label}</span>
+                                            <span className="bottleneck-stat-value">
+                                                {formatDuration(processSimulationResults.cycleTime[key])}
+                                            </span>
+                                        </div>
+                                    ))}
+                                    <div className="bottleneck-stat">
+                                        <span className="bottleneck-stat-label">Average cost</span>
+                                        <span className="bottleneck-stat-value">
+                                            {processSimulationResults.averageCost.toFixed(2)}
+                                        </span>
+                                    </div>
+                                </div>
+
+                                {processSimulationResults.incomplete > 0 && (
+                                    <p className="simulation-warning">
+                                        {processSimulationResults.incomplete} instance(s) did not reach an end event
+                                        (deadlock or endless loop). Check the validation panel.
+                                    </p>
+                                )}
+
+                                {processSimulationResults.resources.length > 0 && (
+                                    <div className="bottleneck-legend">
+                                        <h4>Resource utilisation</h4>
+                                        {processSimulationResults.resources.map(resource => (
+                                            <div key={resource.department} className="bottleneck-stat">
+                                                <span className="bottleneck-stat-label">
+                                                    {resource.department} ({resource.capacity})
+                                                </span>
+                                                <span className="bottleneck-stat-value">
+                                                    {Math.round(resource.utilisation * 100)}%
+                                                </span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+
+                                <h4>Waiting time per task</h4>
+                                <div className="bottleneck-tasks">
+                                    {processSimulationResults.tasks.map(task => (
+                                        <div
+                                            key={task.id}
+                                            className="bottleneck-task-item"
+                                            onClick={() => handleTaskFocus(task.id)}
+                                        >
+                                            <div className="bottleneck-task-header">
+                                                <span className="bottleneck-task-name">{task.name || task.id}</span>
+                                                <span>{task.executions}×</span>
+                                            </div>
+                                            <div className="bottleneck-task-details">
+                                                <span>
+                                                    Waiting{" "}
+                                                    <span className="bottleneck-task-duration">
+                                                        {formatDuration(task.averageWaiting)}
+                                                    </span>
+                                                </span>
+                                                <span>
+                                                    Processing{" "}
+                                                    <span className="bottleneck-task-duration">
+                                                        {formatDuration(task.averageProcessing)}
+                                                    </span>
+                                                </span>
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {/* Process Mining Panel */}
+            {isEventLogOpen && !isSimulationMode && (
+                <div className="bottleneck-panel event-log-panel open">
+                    <div className="bottleneck-header">
+                        <h3>Event Log</h3>
+                        <button type="button" className="bottleneck-close" onClick={handleEventLogToggle}>
+                            ×
+                        </button>
+                    </div>
+
+                    <div className="bottleneck-content">
+                        <div className="simulation-form">
+                            <input
+                                ref={eventLogInputRef}
+                                type="file"
+                                accept=".csv,.json,.txt"
+                                onChange={handleEventLogFile}
+                                style={{ display: "none" }}
+                            />
+                            <button
+                                type="button"
+                                className="bpmn-btn bpmn-btn-secondary"
+                                onClick={() => eventLogInputRef.current?.click()}
+                                title="CSV or JSON with case ID, activity and timestamp columns"
+                            >
+                                Import CSV / JSON
+                            </button>
+                            {eventLog && (
+                                <button
+                                    type="button"
+                                    className="bpmn-btn bpmn-btn-secondary"
+                                    onClick={() => loadEventLog(eventLog)}
+                                >
+                                    Reload
+                                </button>
+                            )}
+                            {eventLogAnalysis && (
+                                <button
+                                    type="button"
+                                    className="bpmn-btn bpmn-btn-secondary"
+                                    onClick={handleCheckConformance}
+                                    title="Replay every case on the model and mark skipped and unexpected activities"
+                                >
+                                    Check conformance
+                                </button>
+                            )}
+                            <label>
+                                Colour by
+                                <select value={heatmapMetric} onChange={e => handleHeatmapMetricChange(e.target.value)}>
+                                    {HEATMAP_METRICS.map(metric => (
+                                        <option key={metric.value} value={metric.value}>
+                                            {metric.label}
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+                        </div>
+
+                        {!eventLogAnalysis && (
+                            <p className="event-log-hint">
+                                Import an event log with case ID, activity and timestamp columns. Activities are
+                                matched to tasks by ID or name.
+                            </p>
+                        )}
+
+                        {eventLogAnalysis && (
+                            <div>
+                                <div className="bottleneck-stats">
+                                    <div className="bottleneck-stat">
+                                        <span className="bottleneck-stat-label">Cases</span>
+                                        <span className="bottleneck-stat-value">{eventLogAnalysis.cases}</span>
+                                    </div>
+                                    <div className="bottleneck-stat">
+                                        <span className="bottleneck-stat-label">Events</span>
+                                        <span className="bottleneck-stat-value">{eventLogAnalysis.events}</span>
+                                    </div>
+                                    {eventLogAnalysis.skipped > 0 && (
+                                        <div className="bottleneck-stat">
+                                            <span className="bottleneck-stat-label">Skipped rows</span>
+                                            <span className="bottleneck-stat-value">{eventLogAnalysis.skipped}</span>
+                                        </div>
+                                    )}
+                                </div>
+
+                                <div className="bottleneck-legend">
+                                    <h4>
+                                        {heatmapMetric === "duration" ? "Average duration" : "Frequency"} (flows by
+                                        frequency)
+                                    </h4>
+                                    {getHeatmapLegend(eventLogAnalysis, heatmapMetric).map(item => (
+                                        <div key={item.color} className="legend-item">
+                                            <span className="legend-color" style={{ backgroundColor: item.color }} />
+                                            {item.label}
+                                        </div>
+                                    ))}
+                                    <div className="legend-item">
+                                        <span className="legend-color heatmap-unused-swatch" />
+                                        Never occurs
+                                    </div>
+                                </div>
+
+                                {eventLogAnalysis.unknownActivities.length > 0 && (
+                                    <div className="bottleneck-legend">
+                                        <h4>Activities not in the model</h4>
+                                        <ul className="event-log-list">
+                                            {eventLogAnalysis.unknownActivities.map(item => (
+                                                <li key={item.activity}>
+                                                    <span>{item.activity}</span>
+                                                    <span>{item.frequency}×</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
+
+                                {eventLogAnalysis.unusedTasks.length > 0 && (
+                                    <div className="bottleneck-legend">
+                                        <h4>Tasks that never occur</h4>
+                                        <ul className="event-log-list">
+                                            {eventLogAnalysis.unusedTasks.map(task => (
+                                                <li key={task.id} onClick={() => handleTaskFocus(task.id)}>
+                                                    <span>{task.name || task.id}</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
+
+                                {conformance && (
+                                    <div className="bottleneck-legend">
+                                        <h4>Conformance</h4>
+                                        <div className="bottleneck-stats">
+                                            <div className="bottleneck-stat">
+                                                <span className="bottleneck-stat-label">Average fitness</span>
+                                                <span className="bottleneck-stat-value">
+                                                    {Math.round(conformance.averageFitness * 100)}%
+                                                </span>
+                                            </div>
+                                            <div className="bottleneck-stat">
+                                                <span className="bottleneck-stat-label">Conforming</span>
+                                                <span className="bottleneck-stat-value">
+                                                    {conformance.conforming} / {conformance.cases.length}
+                                                </span>
+                                            </div>
+                                        </div>
+                                        <div className="legend-item">
+                                            <span className="legend-color conformance-skipped-swatch" />
+                                            Skipped
+                                        </div>
+                                        <div className="legend-item">
+                                            <span className="legend-color conformance-unexpected-swatch" />
+                                            Unexpected
+                                        </div>
+
+                                        {conformance.nonConforming.length > 0 && (
+                                            <ul className="event-log-list conformance-cases">
+                                                {conformance.nonConforming.map(result => (
+                                                    <li
+                                                        key={result.caseId}
+                                                        className={conformanceCase === result.caseId ? "active" : ""}
+                                                        onClick={() => handleConformanceCaseSelect(result)}
+                                                        title={[
+                                                            result.skipped.length &&
+                                                                `Skipped: ${result.skipped.join(", ")}`,
+                                                            result.unexpected.length &&
+                                                                `Unexpected: ${result.unexpected
+                                                                    .map(item => item.activity)
+                                                                    .join(", ")}`
+                                                        ]
+                                                            .filter(Boolean)
+                                                            .join("\n")}
+                                                    >
+                                                        <span>{result.caseId}</span>
+                                                        <span>{Math.round(result.fitness * 100)}%</span>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                    </div>
+                                )}
+
+                                <h4>Activities</h4>
+                                <div className="bottleneck-tasks">
+                                    {eventLogAnalysis.tasks.map(task => (
+                                        <div
+                                            key={task.id}
+                                            className="bottleneck-task-item"
+                                            onClick={() => handleTaskFocus(task.id)}
+                                        >
+                                            <div className="bottleneck-task-header">
+                                                <span className="bottleneck-task-name">{task.name || task.id}</span>
+                                                <span>{task.frequency}×</span>
+                                            </div>
+                                            <div className="bottleneck-task-details">
+                                                <span>{task.cases} case(s)</span>
+                                                <span>
+                                                    Average{" "}
+                                                    <span className="bottleneck-task-duration">
+                                                        {formatDuration(task.averageDuration)}
+                                                    </span>
+                                                </span>
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {/* Version History Panel */}
+            {isHistoryOpen && !isSimulationMode && (
+                <div className="bottleneck-panel history-panel open">
+                    <div className="bottleneck-header">
+                        <h3>History</h3>
+                        <button type="button" className="bottleneck-close" onClick={handleHistoryToggle}>
+                            ×
+                        </button>
+                    </div>
+
+                    <div className="bottleneck-content">
+                        {history.versions.length === 0 && (
+                            <p className="event-log-hint">
+                                {revisions
+                                    ? "There are no previous versions of this diagram."
+                                    : "No versions were saved in this browser yet. Each save keeps a local copy."}
+                            </p>
+                        )}
+
+                        {history.versions.length > 0 && (
+                            <div>
+                                <h4>{revisions ? "Versions" : "Versions saved in this browser"}</h4>
+                                <ul className="event-log-list history-versions">
+                                    {history.versions.map(version => (
+                                        <li
+                                            key={version.id}
+                                            className={history.selectedId === version.id ? "active" : ""}
+                                            onClick={() => history.selectVersion(version)}
+                                            title="Compare with the diagram on the canvas"
+                                        >
+                                            <span>
+                                                {version.label || "Version"}
+                                                {version.author && (
+                                                    <span className="history-version-author"> · {version.author}</span>
+                                                )}
+                                            </span>
+                                            <span>{version.date ? version.date.toLocaleString() : ""}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        {history.selectedId && history.isComparing && !history.diff && (
+                            <p className="event-log-hint">Comparing…</p>
+                        )}
+
+                        {history.diff?.error && <p className="event-log-hint">{history.diff.error}</p>}
+
+                        {history.diff?.changes && (
+                            <div className="bottleneck-legend">
+                                <h4>Changes since this version</h4>
+                                {Object.keys(DIFF_KINDS).map(kind => (
+                                    <div key={kind} className="legend-item">
+                                        <span className={`legend-color ${DIFF_KINDS[kind].marker}-swatch`} />
+                                        {DIFF_KINDS[kind].label}: {history.diff.counts[kind]}
+                                    </div>
+                                ))}
+
+                                {history.diff.changes.length === 0 && (
+                                    <p className="event-log-hint">The diagram is the same as this version.</p>
+                                )}
+
+                                <div className="bottleneck-tasks">
+                                    {history.diff.changes.map(change => (
+                                        <div
+                                            key={change.elementId}
+                                            className={`bottleneck-task-item history-change history-change-${change.kind}`}
+                                            onClick={() => handleTaskFocus(change.elementId)}
+                                            title={change.details
+                                                .map(detail => `${detail.property}: ${detail.before} → ${detail.after}`)
+                                                .join("\n")}
+                                        >
+                                            <div className="bottleneck-task-header">
+                                                <span className="bottleneck-task-name">
+                                                    {change.name || change.elementId}
+                                                </span>
+                                                <span>
+                                                    {change.kinds.map(kind => DIFF_KINDS[kind].label).join(", ")}
+                                                </span>
+                                            </div>
+                                            <div className="bottleneck-task-details">
+                                                <span>{change.elementType.replace("bpmn:", "")}</span>
+                                                {change.details.length > 0 && (
+                                                    <span>
+                                                        {change.details.map(detail => detail.property).join(", ")}
+                                                    </span>
+                                                )}
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {/* Draft recovery */}
+            {draft && (
+                <div className="keyboard-shortcuts-overlay">
+                    <div className="keyboard-shortcuts-modal bpmn-draft-modal" role="dialog">
+                        <div className="keyboard-shortcuts-header">
+                            <h3>Restore unsaved changes?</h3>
+                            <button type="button" className="keyboard-shortcuts-close" onClick={dismissDraft}>
+                                ×
+                            </button>
+                        </div>
+
+                        <div className="bpmn-draft-content">
+                            <p>
+                                A draft of this diagram was saved in this browser on{" "}
+                                {new Date(draft.savedAt).toLocaleString()} but never saved to the application.
+                            </p>
+                            {draft.isOutdated && (
+                                <p className="bpmn-draft-warning">
+                                    The saved diagram has changed since this draft was started. Restoring the draft
+                                    replaces those changes.
+                                </p>
+                            )}
+
+                            <div className="bpmn-draft-compare">
+                                <DiagramPreview xml={initialXml} title="Saved version" />
+                                <DiagramPreview
+                                    xml={draft.xml}
+                                    title="Draft"
+                                    subtitle={new Date(draft.savedAt).toLocaleString()}
+                                />
+                            </div>
+                        </div>
+
+                        <div className="bpmn-confirm-actions bpmn-draft-actions">
+                            <button type="button" className="bpmn-btn bpmn-btn-secondary" onClick={discardDraft}>
+                                Discard draft
+                            </button>
+                            <button type="button" className="bpmn-btn bpmn-btn-primary" onClick={handleRestoreDraft}>
+                                Restore draft
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Merge conflicts */}
+            {pendingMerge && (
+                <div className="keyboard-shortcuts-overlay">
+                    <div className="keyboard-shortcuts-modal bpmn-merge-modal" role="dialog">
+                        <div className="keyboard-shortcuts-header">
+                            <h3>Resolve conflicting changes</h3>
+                            <button
+                                type="button"
+                                className="keyboard-shortcuts-close"
+                                onClick={() => setPendingMerge(null)}
+                            >
+                                ×
+                            </button>
+                        </div>
+
+                        <div className="bpmn-draft-content">
+                            <p>
+                                This diagram was saved in another session while you were editing.
+                                {pendingMerge.plan.changes > 0 &&
+                                    ` ${pendingMerge.plan.changes} of those changes are merged automatically.`}{" "}
+                                Choose which change to keep where you both changed the same element.
+                            </p>
+
+                            <table className="bpmn-merge-conflicts">
+                                <thead>
+                                    <tr>
+                                        <th>Element</th>
+                                        <th>Your change</th>
+                                        <th>Saved change</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {pendingMerge.plan.conflicts.map(conflict => {
+                                        const choice = pendingMerge.resolutions[conflict.key] || "mine";
+
+                                        return (
+                                            <tr key={conflict.key}>
+                                                <td>
+                                                    <strong>{conflict.name || conflict.elementId}</strong>
+                                                    <span className="bpmn-merge-aspect">
+                                                        {conflict.aspect === "layout"
+                                                            ? "Position"
+                                                            : conflict.elementType}
+                                                    </span>
+                                                </td>
+                                                {["mine", "theirs"].map(side => (
+                                                    <td key={side}>
+                                                        <button
+                                                            type="button"
+                                                            className={`bpmn-merge-choice ${
+                                                                choice === side ? "active" : ""
+                                                            }`}
+                                                            onClick={() => handleMergeChoice(conflict.key, side)}
+                                                        >
+                                                            {conflict[side]}
+                                                        </button>
+                                                    </td>
+                                                ))}
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="bpmn-confirm-actions bpmn-draft-actions">
+                            <button
+                                type="button"
+                                className="bpmn-btn bpmn-btn-secondary"
+                                onClick={() => setPendingMerge(null)}
+                            >
+                                Keep editing
+                            </button>
+                            <button type="button" className="bpmn-btn bpmn-btn-primary" onClick={handleMergeResolved}>
+                                Merge and save
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Unsaved changes confirmation */}
+            {pendingDiscard && (
+                <div className="keyboard-shortcuts-overlay" onClick={() => setPendingDiscard(null)}>
+                    <div className="bpmn-confirm-dialog" role="alertdialog" onClick={e => e.stopPropagation()}>
+                        <h3>Unsaved changes</h3>
+                        <p>This diagram has changes that are not saved. They will be lost.</p>
+                        <div className="bpmn-confirm-actions">
+                            <button
+                                type="button"
+                                className="bpmn-btn bpmn-btn-secondary"
+                                onClick={() => setPendingDiscard(null)}
+                            >
+                                Keep editing
+                            </button>
+                            <button type="button" className="bpmn-btn bpmn-btn-danger" onClick={handleDiscardConfirmed}>
+                                {pendingDiscard.label}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {/* Keyboard Shortcuts Modal */}
             {showKeyboardShortcuts && (
                 <div className="keyboard-shortcuts-overlay" onClick={() => setShowKeyboardShortcuts(false)}>
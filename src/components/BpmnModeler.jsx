@@ -2,14 +2,16 @@ import { useEffect, useRef, useCallback, createElement } from "react";
 import BpmnModeler from "bpmn-js/lib/Modeler";
 import { CreateAppendAnythingModule } from "bpmn-js-create-append-anything";
 import ColorPickerModule from "bpmn-js-color-picker";
-import { validateDiagram as runValidation } from "../validations";
+import { applyQuickFix, onRegisteredRulesChanged, validateDiagram as runValidation } from "../validations";
 import TokenSimulationModeler from "bpmn-js-token-simulation/lib/modeler";
 import { useTokenSimulation } from "../hooks/useTokenSimulation";
 import { extractTasks } from "../utils/taskExtractor";
 import { updateTasks } from "../utils/taskUpdater";
-import { customModdle } from "../utils/customModdle";
+import { customModdle, migrateCustomNamespace } from "../utils/customModdle";
+import { getBBox } from "diagram-js/lib/util/Elements";
 import { BpmnPropertiesPanelModule, BpmnPropertiesProviderModule } from "bpmn-js-properties-panel";
-// import CustomModules from "../custom";
+import MetricsPropertiesProviderModule from "../properties";
+import CustomModules, { CustomRulesModule } from "../custom";
 
 
 /**
@@ -22,6 +24,10 @@ import { BpmnPropertiesPanelModule, BpmnPropertiesProviderModule } from "bpmn-js
  * - initialXml: The initial BPMN XML to load (optional)
  * - onError: Callback function when an error occurs
  * - onModelerReady: Callback when modeler is initialized
+ * - validationConfig: Rule set for validateDiagram (defaults to validationConfig.js)
+ * - customRules: Extra rules for this widget, next to the globally registered ones
+ * - enableCustomModules: Adds the custom renderer, palette, context pad, rules and properties from src/custom
+ * - modelingPolicies: Protection, connection and placement policies enforced by CustomRules
  */
 
 // Default empty BPMN diagram template
@@ -50,11 +56,24 @@ export const BpmnModelerComponent = ({
     onModelerReady,
     editorActionsRef,
     onValidate,
-    isSimulationMode
+    isSimulationMode,
+    validationConfig,
+    customRules,
+    enableCustomModules,
+    modelingPolicies
 }) => {
     const containerRef = useRef(null);
     const modelerRef = useRef(null);
     const lastImportedXmlRef = useRef(null);
+    const validationConfigRef = useRef(validationConfig);
+    const customRulesRef = useRef(customRules);
+
+    // Listeners are registered once, so they read the latest rule set from refs
+    validationConfigRef.current = validationConfig;
+    customRulesRef.current = customRules;
+
+    const runConfiguredValidation = modeler =>
+        runValidation(modeler, validationConfigRef.current, customRulesRef.current);
 
     /**
      * Token simulation hook
@@ -100,6 +119,45 @@ export const BpmnModelerComponent = ({
         });
     }, []);
 
+    const applyValidationMarkers = useCallback((errors = [], warnings = []) => {
+        if (!modelerRef.current) return;
+
+        const canvas = modelerRef.current.get("canvas");
+        const elementRegistry = modelerRef.current.get("elementRegistry");
+
+        // 1️⃣ Clear existing markers
+        elementRegistry.getAll().forEach(e => {
+            canvas.removeMarker(e.id, "bpmn-error");
+            canvas.removeMarker(e.id, "bpmn-warning");
+        });
+
+        // 2️⃣ Add markers to the element and any related element (e.g. the join of a gateway pair)
+        const mark = (result, marker) => {
+            [result.elementId, ...(result.relatedElementIds || [])].forEach(id => {
+                if (id && elementRegistry.get(id)) {
+                    canvas.addMarker(id, marker);
+                }
+            });
+        };
+
+        errors.forEach(e => mark(e, "bpmn-error"));
+        warnings.forEach(w => mark(w, "bpmn-warning"));
+    }, []);
+
+    /**
+     * Replace the diagram while keeping the viewport, e.g. with a merged version
+     */
+    const importXML = useCallback(xml => {
+        const modeler = modelerRef.current;
+        const viewbox = modeler.get("canvas").viewbox();
+        lastImportedXmlRef.current = xml;
+
+        return modeler.importXML(migrateCustomNamespace(xml)).then(result => {
+            modeler.get("canvas").viewbox(viewbox);
+            return result;
+        });
+    }, []);
+
     /**
      * Initialize the BPMN Modeler (runs once on mount)
      */
@@ -116,11 +174,15 @@ export const BpmnModelerComponent = ({
                 ColorPickerModule,
                 TokenSimulationModeler,
                 BpmnPropertiesPanelModule,
-                BpmnPropertiesProviderModule
+                BpmnPropertiesProviderModule,
+                MetricsPropertiesProviderModule,
+                CustomRulesModule,
+                ...(enableCustomModules ? [CustomModules] : [])
             ],
             moddleExtensions: {
                 custom: customModdle
-            }
+            },
+            modelingPolicies
         });
 
         modelerRef.current = modeler;
@@ -129,7 +191,7 @@ export const BpmnModelerComponent = ({
         lastImportedXmlRef.current = xmlToLoad;
 
         modeler
-            .importXML(xmlToLoad)
+            .importXML(migrateCustomNamespace(xmlToLoad))
             .then(({ warnings }) => {
                 if (warnings.length) {
                     console.warn("BPMN Import Warnings:", warnings);
@@ -150,11 +212,14 @@ export const BpmnModelerComponent = ({
                         exportSVG,
                         validateDiagram,
                         focusElement,
+                        importXML,
                         applyValidationMarkers,
                         fitAndCenter: () => fitAndCenter(modelerRef.current),
                         getModeler: () => modelerRef.current,
                         extractTasks: () => extractTasks(modelerRef.current),
-                        updateTasks: tasks => updateTasks(modelerRef.current, tasks)
+                        updateTasks: tasks => updateTasks(modelerRef.current, tasks),
+                        applyQuickFix: (result, fixId) =>
+                            applyQuickFix(modelerRef.current, result, fixId, customRulesRef.current)
                     });
                 }
             })
@@ -180,15 +245,19 @@ export const BpmnModelerComponent = ({
         const eventBus = modeler.get("eventBus");
 
         const runAutoValidation = async () => {
-            const { errors, warnings } = await runValidation(modeler);
+            const { errors, warnings } = await runConfiguredValidation(modeler);
             onValidate?.(errors, warnings);
         };
 
         // Trigger on any modeling change
         eventBus.on("commandStack.changed", runAutoValidation);
 
+        // ...and when a host application registers or removes a rule
+        const unsubscribe = onRegisteredRulesChanged(runAutoValidation);
+
         return () => {
             eventBus.off("commandStack.changed", runAutoValidation);
+            unsubscribe();
         };
     }, []);
 
@@ -268,7 +337,7 @@ export const BpmnModelerComponent = ({
         lastImportedXmlRef.current = initialXml;
 
         modelerRef.current
-            .importXML(xmlToLoad)
+            .importXML(migrateCustomNamespace(xmlToLoad))
             .then(async () => {
                 const modeler = modelerRef.current;
                 // RESET TOKEN SIMULATION ON NEW DIAGRAM
@@ -278,32 +347,14 @@ export const BpmnModelerComponent = ({
                     // tokenSimulation may not be available yet – safe to ignore
                 }
                 fitAndCenter(modeler);
-                const canvas = modeler.get("canvas");
-                const elementRegistry = modeler.get("elementRegistry");
 
-                // 1️⃣ CLEAR markers from previous diagram
-                elementRegistry.getAll().forEach(e => {
-                    canvas.removeMarker(e.id, "bpmn-error");
-                    canvas.removeMarker(e.id, "bpmn-warning");
-                });
-
-                // 2️⃣ RUN validation for the NEW diagram
-                const { errors, warnings } = await runValidation(modeler);
-
-                // 3️⃣ APPLY new markers
-                errors.forEach(e => {
-                    if (e.elementId) {
-                        canvas.addMarker(e.elementId, "bpmn-error");
-                    }
-                });
+                // 1️⃣ RUN validation for the NEW diagram
+                const { errors, warnings } = await runConfiguredValidation(modeler);
 
-                warnings.forEach(w => {
-                    if (w.elementId) {
-                        canvas.addMarker(w.elementId, "bpmn-warning");
-                    }
-                });
+                // 2️⃣ REPLACE markers from the previous diagram
+                applyValidationMarkers(errors, warnings);
 
-                // 4️⃣ UPDATE editor validation panel
+                // 3️⃣ UPDATE editor validation panel
                 onValidate?.(errors, warnings);
             })
             .catch(err => {
@@ -350,34 +401,7 @@ export const BpmnModelerComponent = ({
         if (!modelerRef.current) {
             throw new Error("Modeler not initialized");
         }
-        return runValidation(modelerRef.current);
-    }, []);
-
-    const applyValidationMarkers = useCallback((errors = [], warnings = []) => {
-        if (!modelerRef.current) return;
-
-        const canvas = modelerRef.current.get("canvas");
-        const elementRegistry = modelerRef.current.get("elementRegistry");
-
-        // 1️⃣ Clear existing markers
-        elementRegistry.getAll().forEach(e => {
-            canvas.removeMarker(e.id, "bpmn-error");
-            canvas.removeMarker(e.id, "bpmn-warning");
-        });
-
-        // 2️⃣ Add error markers
-        errors.forEach(e => {
-            if (e.elementId) {
-                canvas.addMarker(e.elementId, "bpmn-error");
-            }
-        });
-
-        // 3️⃣ Add warning markers
-        warnings.forEach(w => {
-            if (w.elementId) {
-                canvas.addMarker(w.elementId, "bpmn-warning");
-            }
-        });
+        return runConfiguredValidation(modelerRef.current);
     }, []);
 
     const focusElement = useCallback(elementId => {
@@ -390,10 +414,12 @@ export const BpmnModelerComponent = ({
         if (!element) return;
 
         const viewbox = canvas.viewbox();
+        // Bounding box also covers connections, which have waypoints instead of x/y
+        const bounds = getBBox(element);
 
         canvas.viewbox({
-            x: element.x + element.width / 2 - viewbox.width / 2,
-            y: element.y + element.height / 2 - viewbox.height / 2,
+            x: bounds.x + bounds.width / 2 - viewbox.width / 2,
+            y: bounds.y + bounds.height / 2 - viewbox.height / 2,
             width: viewbox.width,
             height: viewbox.height
         });
@@ -0,0 +1,348 @@
+import { createElement, useCallback, useEffect, useRef, useState } from "react";
+import NavigatedViewer from "bpmn-js/lib/NavigatedViewer";
+import { customModdle, migrateCustomNamespace } from "../utils/customModdle";
+import { applyRuntimeOverlays } from "../utils/runtimeOverlays";
+import { getElementLabel } from "../utils/diagramComments";
+import { useComments } from "../hooks/useComments";
+import CommentsPanel from "./CommentsPanel";
+import plusIcon from "../assets/zoom-in.svg";
+import minusIcon from "../assets/zoom-out.svg";
+import resetIcon from "../assets/move-diagonal.svg";
+import downloadIcon from "../assets/download.svg";
+
+/**
+ * BpmnViewer Component
+ *
+ * Read-only counterpart of BpmnEditor for pages that only display a process.
+ * Mounts the lighter NavigatedViewer (zoom and pan, no palette, context pad
+ * or properties panel) and offers export only. Comment mode adds the Comments
+ * panel, so reviewers can discuss the diagram without editing it.
+ *
+ * Props:
+ * - xml: BPMN XML to display
+ * - bpmnFile: File name used for downloads
+ * - mode: "view" or "comment", shown as a badge in the toolbar; comment mode shows the Comments panel
+ * - runtimeState: Process instance state [{ elementId, state, count }] shown as overlays
+ * - onClose: Optional callback for the Close button
+ * - onViewerReady: Callback with { getViewer, exportXML, exportSVG, fitAndCenter } once the diagram is shown
+ * - commentRecords / onCommentAdd / onCommentResolve: Comments from the comment datasource (see BpmnEditor)
+ * - onSave: Callback function(xml) after a comment is stored in the diagram, without commentRecords
+ * - userName: Current user, the author of new comments
+ */
+
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 4;
+
+const MODE_LABELS = {
+    view: "Read only",
+    comment: "Comment only"
+};
+
+export const BpmnViewer = ({
+    xml,
+    bpmnFile,
+    mode = "view",
+    runtimeState,
+    onClose,
+    onViewerReady,
+    commentRecords,
+    onCommentAdd,
+    onCommentResolve,
+    onSave,
+    userName
+}) => {
+    const [error, setError] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [open, setOpen] = useState(false);
+
+    const containerRef = useRef(null);
+    const viewerRef = useRef(null);
+    // XML this viewer saved itself; it comes back through `xml` and needs no re-import
+    const savedXmlRef = useRef(null);
+    // Latest callback, so a new handler from the parent does not re-import the diagram
+    const onViewerReadyRef = useRef(onViewerReady);
+    onViewerReadyRef.current = onViewerReady;
+
+    const isCommentMode = mode === "comment";
+
+    const fitAndCenter = useCallback(() => {
+        viewerRef.current?.get("canvas").zoom("fit-viewport", "auto");
+    }, []);
+
+    const exportXML = useCallback(
+        () => viewerRef.current.saveXML({ format: true }).then(({ xml: result }) => result),
+        []
+    );
+
+    const exportSVG = useCallback(() => viewerRef.current.saveSVG().then(({ svg }) => svg), []);
+
+    const getDiagram = useCallback(() => (isCommentMode ? viewerRef.current : null), [isCommentMode]);
+
+    const saveComments = () =>
+        exportXML()
+            .then(result => {
+                savedXmlRef.current = result;
+                onSave?.(result);
+            })
+            .catch(err => {
+                console.error("Error saving comments:", err);
+                setError("Failed to save the comment");
+            });
+
+    const comments = useComments(getDiagram, {
+        records: commentRecords,
+        user: userName,
+        onAdd: onCommentAdd,
+        onResolve: onCommentResolve,
+        onDiagramChange: commentRecords ? undefined : saveComments,
+        isLoading
+    });
+
+    const handleCommentFocus = elementId => {
+        const element = viewerRef.current?.get("elementRegistry").get(elementId);
+        if (!element) return;
+
+        comments.selectElement(elementId);
+        viewerRef.current.get("canvas").scrollToElement(element);
+    };
+
+    /**
+     * Create the viewer once; later XML changes re-import into it
+     */
+    useEffect(() => {
+        if (!containerRef.current) return undefined;
+
+        viewerRef.current = new NavigatedViewer({
+            container: containerRef.current,
+            moddleExtensions: {
+                custom: customModdle
+            }
+        });
+
+        return () => {
+            viewerRef.current?.destroy();
+            viewerRef.current = null;
+        };
+    }, []);
+
+    useEffect(() => {
+        if (!viewerRef.current || !xml) {
+            viewerRef.current?.clear();
+            setIsLoading(false);
+            return;
+        }
+        if (xml === savedXmlRef.current) {
+            return;
+        }
+
+        setIsLoading(true);
+        setError(null);
+
+        viewerRef.current
+            .importXML(migrateCustomNamespace(xml))
+            .then(({ warnings }) => {
+                if (warnings.length) {
+                    console.warn("BPMN Import Warnings:", warnings);
+                }
+
+                fitAndCenter();
+                onViewerReadyRef.current?.({
+                    getViewer: () => viewerRef.current,
+                    exportXML,
+                    exportSVG,
+                    fitAndCenter
+                });
+            })
+            .catch(err => {
+                console.error("Error importing BPMN diagram:", err);
+                setError(err.message || "An error occurred while loading the diagram");
+            })
+            .finally(() => setIsLoading(false));
+    }, [xml, fitAndCenter, exportXML, exportSVG]);
+
+    /**
+     * Runtime overlays, re-applied after every import (importing clears them)
+     */
+    useEffect(() => {
+        const viewer = viewerRef.current;
+        if (!viewer) return undefined;
+
+        const applyOverlays = () => applyRuntimeOverlays(viewer, runtimeState);
+        const eventBus = viewer.get("eventBus");
+
+        applyOverlays();
+        eventBus.on("import.done", applyOverlays);
+
+        return () => eventBus.off("import.done", applyOverlays);
+    }, [runtimeState]);
+
+    /**
+     * Close dropdown menu when clicking outside
+     */
+    useEffect(() => {
+        if (!open) return undefined;
+
+        const handleClickOutside = event => {
+            if (!event.target.closest(".download-wrapper")) {
+                setOpen(false);
+            }
+        };
+
+        document.addEventListener("mousedown", handleClickOutside);
+        return () => document.removeEventListener("mousedown", handleClickOutside);
+    }, [open]);
+
+    const handleZoom = step => {
+        const canvas = viewerRef.current?.get("canvas");
+        if (!canvas) return;
+
+        canvas.zoom(Math.min(Math.max(canvas.zoom() + step, MIN_ZOOM), MAX_ZOOM));
+    };
+
+    const download = (format, type) =>
+        (format === "svg" ? exportSVG() : exportXML())
+            .then(content => {
+                const blob = new Blob([content], { type });
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement("a");
+                link.href = url;
+                link.download = `${bpmnFile?.trim() || "diagram"}.${format}`;
+
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                URL.revokeObjectURL(url);
+            })
+            .catch(err => {
+                console.error("Error downloading diagram:", err);
+                setError("Failed to download diagram");
+            });
+
+    return (
+        <div className="bpmn-editor-container bpmn-viewer">
+            <div className="bpmn-toolbar">
+                <div className="bpmn-toolbar-left">
+                    <h3 className="bpmn-title">BPMN Diagram</h3>
+                    <span className="bpmn-mode-badge">{MODE_LABELS[mode] || MODE_LABELS.view}</span>
+                </div>
+
+                <div className="bpmn-toolbar-center">
+                    <button
+                        type="button"
+                        className="bpmn-btn bpmn-btn-icon"
+                        onClick={() => handleZoom(0.1)}
+                        title="Zoom In"
+                        disabled={isLoading}
+                    >
+                        <img src={plusIcon} style={{ width: 18, height: 18 }} alt="Zoom In" />
+                    </button>
+
+                    <button
+                        type="button"
+                        className="bpmn-btn bpmn-btn-icon"
+                        onClick={() => handleZoom(-0.1)}
+                        title="Zoom Out"
+                        disabled={isLoading}
+                    >
+                        <img src={minusIcon} style={{ width: 18, height: 18 }} alt="Zoom Out" />
+                    </button>
+
+                    <button
+                        type="button"
+                        className="bpmn-btn bpmn-btn-icon"
+                        onClick={fitAndCenter}
+                        title="Fit to Screen"
+                        disabled={isLoading}
+                    >
+                        <img src={resetIcon} style={{ width: 18, height: 18 }} alt="Fit to Screen" />
+                    </button>
+
+                    <div className="download-wrapper">
+                        <button
+                            type="button"
+                            className="bpmn-btn bpmn-btn-secondary download-btn"
+                            onClick={() => setOpen(prev => !prev)}
+                            disabled={isLoading || !xml}
+                            title="Download diagram"
+                        >
+                            <img src={downloadIcon} style={{ width: 18, height: 18 }} alt="Download" />
+                        </button>
+
+                        {open && (
+                            <div className="download-menu" onMouseDown={e => e.stopPropagation()}>
+                                <div
+                                    className="download-item"
+                                    onClick={() => {
+                                        download("svg", "image/svg+xml");
+                                        setOpen(false);
+                                    }}
+                                >
+                                    Download SVG
+                                </div>
+                                <div
+                                    className="download-item"
+                                    onClick={() => {
+                                        download("bpmn", "application/bpmn20+xml");
+                                        setOpen(false);
+                                    }}
+                                >
+                                    Download BPMN
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                <div className="bpmn-toolbar-right">
+                    {onClose && (
+                        <button type="button" className="bpmn-btn bpmn-btn-secondary" onClick={onClose}>
+                            Close
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {error && (
+                <div className="bpmn-error-banner">
+                    <span className="bpmn-error-icon">⚠</span>
+                    <span className="bpmn-error-text">{error}</span>
+                    <button type="button" className="bpmn-error-close" onClick={() => setError(null)}>
+                        ×
+                    </button>
+                </div>
+            )}
+
+            {isLoading && (
+                <div className="bpmn-loading">
+                    <div className="bpmn-loading-spinner"></div>
+                    <p>Loading BPMN Diagram...</p>
+                </div>
+            )}
+
+            <div className="bpmn-workspace">
+                <div className="bpmn-canvas-wrapper">
+                    <div ref={containerRef} className="bpmn-modeler-container"></div>
+                    {!xml && !isLoading && <div className="bpmn-viewer-empty">No diagram to display</div>}
+                </div>
+
+                {isCommentMode && (
+                    <div className="bpmn-right-sidebar">
+                        <div className="validation-title">
+                            <h4>Comments ({comments.counts.open})</h4>
+                        </div>
+                        <div className="bpmn-comments-content expanded">
+                            <CommentsPanel
+                                comments={comments}
+                                getElementLabel={elementId => getElementLabel(viewerRef.current, elementId)}
+                                canComment={!!xml && (commentRecords ? !!onCommentAdd : !!onSave)}
+                                onFocus={handleCommentFocus}
+                            />
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default BpmnViewer;
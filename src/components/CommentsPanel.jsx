@@ -0,0 +1,141 @@
+import { createElement, useState } from "react";
+import { COMMENT_FILTERS } from "../utils/diagramComments";
+
+/**
+ * Text box with a submit button; cleared after submitting
+ */
+const CommentInput = ({ placeholder, submitLabel, onSubmit }) => {
+    const [text, setText] = useState("");
+
+    const submit = () => {
+        if (!text.trim()) return;
+        onSubmit(text.trim());
+        setText("");
+    };
+
+    return (
+        <div className="comment-input">
+            <textarea
+                value={text}
+                placeholder={placeholder}
+                rows={2}
+                onChange={event => setText(event.target.value)}
+                onKeyDown={event => {
+                    if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+                        submit();
+                    }
+                }}
+            />
+            <button type="button" className="bpmn-btn bpmn-btn-primary" onClick={submit} disabled={!text.trim()}>
+                {submitLabel}
+            </button>
+        </div>
+    );
+};
+
+/**
+ * CommentsPanel Component
+ *
+ * Review threads for the sidebar: filter by open or resolved, start a thread
+ * on the selected element, reply, and resolve or reopen threads.
+ *
+ * Props:
+ * - comments: Result of useComments
+ * - getElementLabel: Function(elementId) returning the name shown for an element
+ * - canComment: Whether the user may add comments and resolve threads
+ * - onFocus: Callback function(elementId) when a thread's element is clicked
+ */
+export const CommentsPanel = ({ comments, getElementLabel, canComment, onFocus }) => {
+    const { visibleThreads, counts, filter, setFilter, selectedElementId, addComment, setResolved } = comments;
+
+    return (
+        <div className="comments-content">
+            <div className="comments-filter">
+                {Object.entries(COMMENT_FILTERS).map(([key, label]) => (
+                    <button
+                        key={key}
+                        type="button"
+                        className={`comments-filter-btn ${filter === key ? "active" : ""}`}
+                        onClick={() => setFilter(key)}
+                    >
+                        {label} ({counts[key]})
+                    </button>
+                ))}
+            </div>
+
+            {canComment &&
+                (selectedElementId ? (
+                    <div className="comments-new">
+                        <span>
+                            New thread on <strong>{getElementLabel(selectedElementId)}</strong>
+                        </span>
+                        <CommentInput
+                            placeholder="Write a comment"
+                            submitLabel="Comment"
+                            onSubmit={text => addComment(selectedElementId, text)}
+                        />
+                    </div>
+                ) : (
+                    <p className="comments-hint">Select a shape or flow to start a thread.</p>
+                ))}
+
+            {visibleThreads.length === 0 && (
+                <p className="comments-empty">
+                    {filter === "all" ? "No comments yet" : `No ${COMMENT_FILTERS[filter].toLowerCase()} comments`}
+                </p>
+            )}
+
+            {visibleThreads.map(thread => (
+                <div
+                    key={thread.id}
+                    className={`comment-thread ${thread.resolved ? "resolved" : ""} ${
+                        thread.elementId === selectedElementId ? "selected" : ""
+                    }`}
+                >
+                    <div className="comment-thread-header">
+                        <button
+                            type="button"
+                            className="comment-thread-element"
+                            onClick={() => onFocus(thread.elementId)}
+                        >
+                            {getElementLabel(thread.elementId)}
+                        </button>
+                        {canComment && (
+                            <button
+                                type="button"
+                                className="comment-resolve-btn"
+                                onClick={() => setResolved(thread.id, !thread.resolved)}
+                            >
+                                {thread.resolved ? "Reopen" : "Resolve"}
+                            </button>
+                        )}
+                    </div>
+
+                    {thread.comments.map(comment => (
+                        <div key={comment.id} className="comment">
+                            <div className="comment-meta">
+                                <strong>{comment.author || "Anonymous"}</strong>
+                                {comment.date && <span>{comment.date.toLocaleString()}</span>}
+                            </div>
+                            <div className="comment-text">{comment.text}</div>
+                        </div>
+                    ))}
+
+                    {thread.resolved && thread.resolvedBy && (
+                        <div className="comment-resolved-by">Resolved by {thread.resolvedBy}</div>
+                    )}
+
+                    {canComment && !thread.resolved && (
+                        <CommentInput
+                            placeholder="Reply"
+                            submitLabel="Reply"
+                            onSubmit={text => addComment(thread.elementId, text, thread.id)}
+                        />
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default CommentsPanel;
@@ -0,0 +1,66 @@
+import { createElement, useEffect, useRef, useState } from "react";
+import NavigatedViewer from "bpmn-js/lib/NavigatedViewer";
+import { customModdle, migrateCustomNamespace } from "../utils/customModdle";
+
+/**
+ * DiagramPreview Component
+ *
+ * Small read-only rendering of a BPMN diagram (zoom and pan only), used to
+ * compare versions side by side.
+ *
+ * Props:
+ * - xml: BPMN XML to show
+ * - title: Caption above the diagram
+ * - subtitle: Optional second caption line, e.g. a timestamp
+ */
+export const DiagramPreview = ({ xml, title, subtitle }) => {
+    const [error, setError] = useState(null);
+
+    const containerRef = useRef(null);
+    const viewerRef = useRef(null);
+
+    useEffect(() => {
+        viewerRef.current = new NavigatedViewer({
+            container: containerRef.current,
+            moddleExtensions: {
+                custom: customModdle
+            }
+        });
+
+        return () => {
+            viewerRef.current.destroy();
+            viewerRef.current = null;
+        };
+    }, []);
+
+    useEffect(() => {
+        if (!xml) {
+            viewerRef.current.clear();
+            return;
+        }
+
+        setError(null);
+        viewerRef.current
+            .importXML(migrateCustomNamespace(xml))
+            .then(() => viewerRef.current?.get("canvas").zoom("fit-viewport", "auto"))
+            .catch(err => {
+                console.error("Error rendering diagram preview:", err);
+                setError(err.message || "The diagram could not be shown");
+            });
+    }, [xml]);
+
+    return (
+        <div className="bpmn-diagram-preview">
+            <div className="bpmn-diagram-preview-header">
+                <strong>{title}</strong>
+                {subtitle && <span>{subtitle}</span>}
+            </div>
+            <div className="bpmn-diagram-preview-body">
+                <div ref={containerRef} className="bpmn-diagram-preview-canvas" />
+                {(error || !xml) && <div className="bpmn-viewer-empty">{error || "No diagram"}</div>}
+            </div>
+        </div>
+    );
+};
+
+export default DiagramPreview;
@@ -1,171 +1,143 @@
-import { is } from 'bpmn-js/lib/util/ModelUtil';
+import { h } from "@bpmn-io/properties-panel/preact";
+import { SelectEntry, TextFieldEntry, isSelectEntryEdited, isTextFieldEntryEdited } from "@bpmn-io/properties-panel";
+import { useService } from "bpmn-js-properties-panel";
+import { is } from "bpmn-js/lib/util/ModelUtil";
 
 const LOW_PRIORITY = 500;
 
+const LEVEL_OPTIONS = [
+    { value: "", label: "None" },
+    { value: "low", label: "Low" },
+    { value: "medium", label: "Medium" },
+    { value: "high", label: "High" }
+];
+
+const STATUS_OPTIONS = [
+    { value: "", label: "None" },
+    { value: "pending", label: "Pending" },
+    { value: "in-progress", label: "In Progress" },
+    { value: "completed", label: "Completed" },
+    { value: "blocked", label: "Blocked" }
+];
+
 /**
  * Custom Properties Provider
  * Adds custom properties to the properties panel
  */
 export default class CustomPropertiesProvider {
-  constructor(propertiesPanel, translate, modeling) {
-    this.propertiesPanel = propertiesPanel;
-    this.translate = translate;
-    this.modeling = modeling;
-
-    propertiesPanel.registerProvider(LOW_PRIORITY, this);
-  }
-
-  getGroups(element) {
-    return (groups) => {
-      // Add custom properties group for tasks
-      if (is(element, 'bpmn:Task') || is(element, 'bpmn:ServiceTask') || is(element, 'bpmn:UserTask')) {
-        groups.push(this._createCustomPropertiesGroup(element));
-      }
-
-      return groups;
-    };
-  }
+    constructor(propertiesPanel, translate) {
+        this.translate = translate;
+
+        propertiesPanel.registerProvider(LOW_PRIORITY, this);
+    }
+
+    getGroups(element) {
+        return groups => {
+            // Add custom properties group for tasks (includes service and user tasks)
+            if (is(element, "bpmn:Task")) {
+                groups.push(this._createCustomPropertiesGroup(element));
+            }
+
+            return groups;
+        };
+    }
+
+    _createCustomPropertiesGroup(element) {
+        const entries = [
+            textEntry(element, "custom:taskType", "Task Type", "Type: api, manual, review, approval, etc."),
+            selectEntry(element, "custom:priority", "Priority", LEVEL_OPTIONS),
+            selectEntry(element, "custom:riskLevel", "Risk Level", LEVEL_OPTIONS),
+            textEntry(element, "custom:estimatedHours", "Estimated Hours"),
+            textEntry(element, "custom:assignee", "Assignee"),
+            textEntry(element, "custom:department", "Department"),
+            selectEntry(element, "custom:status", "Status", STATUS_OPTIONS)
+        ];
+
+        if (is(element, "bpmn:ServiceTask")) {
+            entries.push(
+                textEntry(element, "custom:apiEndpoint", "API Endpoint"),
+                textEntry(element, "custom:apiMethod", "API Method"),
+                textEntry(element, "custom:timeout", "Timeout")
+            );
+        }
+
+        if (is(element, "bpmn:UserTask")) {
+            entries.push(
+                textEntry(element, "custom:formKey", "Form Key"),
+                textEntry(element, "custom:dueDate", "Due Date")
+            );
+        }
+
+        return {
+            id: "custom-properties",
+            label: this.translate("Custom Properties"),
+            entries
+        };
+    }
+}
 
-  _createCustomPropertiesGroup(element) {
-    const { translate, modeling } = this;
+CustomPropertiesProvider.$inject = ["propertiesPanel", "translate"];
 
+function textEntry(element, modelProperty, label, description) {
     return {
-      id: 'custom-properties',
-      label: translate('Custom Properties'),
-      entries: [
-        {
-          id: 'custom-taskType',
-          element: element,
-          component: CustomTextInput,
-          label: translate('Task Type'),
-          modelProperty: 'custom:taskType',
-          description: translate('Type: api, manual, review, approval, etc.'),
-          modeling
-        },
-        {
-          id: 'custom-priority',
-          element: element,
-          component: CustomSelect,
-          label: translate('Priority'),
-          modelProperty: 'custom:priority',
-          options: [
-            { value: '', label: 'None' },
-            { value: 'low', label: 'Low' },
-            { value: 'medium', label: 'Medium' },
-            { value: 'high', label: 'High' }
-          ],
-          modeling
-        },
-        {
-          id: 'custom-riskLevel',
-          element: element,
-          component: CustomSelect,
-          label: translate('Risk Level'),
-          modelProperty: 'custom:riskLevel',
-          options: [
-            { value: '', label: 'None' },
-            { value: 'low', label: 'Low' },
-            { value: 'medium', label: 'Medium' },
-            { value: 'high', label: 'High' }
-          ],
-          modeling
-        },
-        {
-          id: 'custom-estimatedHours',
-          element: element,
-          component: CustomTextInput,
-          label: translate('Estimated Hours'),
-          modelProperty: 'custom:estimatedHours',
-          modeling
-        },
-        {
-          id: 'custom-assignee',
-          element: element,
-          component: CustomTextInput,
-          label: translate('Assignee'),
-          modelProperty: 'custom:assignee',
-          modeling
-        },
-        {
-          id: 'custom-department',
-          element: element,
-          component: CustomTextInput,
-          label: translate('Department'),
-          modelProperty: 'custom:department',
-          modeling
-        },
-        {
-          id: 'custom-status',
-          element: element,
-          component: CustomSelect,
-          label: translate('Status'),
-          modelProperty: 'custom:status',
-          options: [
-            { value: '', label: 'None' },
-            { value: 'pending', label: 'Pending' },
-            { value: 'in-progress', label: 'In Progress' },
-            { value: 'completed', label: 'Completed' },
-            { value: 'blocked', label: 'Blocked' }
-          ],
-          modeling
-        }
-      ]
+        id: `custom-${modelProperty.split(":")[1]}`,
+        element,
+        modelProperty,
+        label,
+        description,
+        component: CustomTextInput,
+        isEdited: isTextFieldEntryEdited
     };
-  }
 }
 
-CustomPropertiesProvider.$inject = ['propertiesPanel', 'translate', 'modeling'];
+function selectEntry(element, modelProperty, label, options) {
+    return {
+        id: `custom-${modelProperty.split(":")[1]}`,
+        element,
+        modelProperty,
+        label,
+        options,
+        component: CustomSelect,
+        isEdited: isSelectEntryEdited
+    };
+}
 
 /**
  * Custom Text Input Component
  */
 function CustomTextInput(props) {
-  const { element, id, label, modelProperty, description, modeling } = props;
-
-  const getValue = () => {
-    return element.businessObject.get(modelProperty) || '';
-  };
-
-  const setValue = (value) => {
-    modeling.updateProperties(element, {
-      [modelProperty]: value
+    const { element, id, label, modelProperty, description } = props;
+
+    const modeling = useService("modeling");
+    const translate = useService("translate");
+    const debounce = useService("debounceInput");
+
+    return h(TextFieldEntry, {
+        element,
+        id,
+        label: translate(label),
+        description: description && translate(description),
+        debounce,
+        getValue: () => element.businessObject.get(modelProperty) || "",
+        setValue: value => modeling.updateProperties(element, { [modelProperty]: value || undefined })
     });
-  };
-
-  return {
-    id,
-    element,
-    label,
-    description,
-    modelProperty,
-    get: getValue,
-    set: setValue
-  };
 }
 
 /**
  * Custom Select Component
  */
 function CustomSelect(props) {
-  const { element, id, label, modelProperty, options, modeling } = props;
-
-  const getValue = () => {
-    return element.businessObject.get(modelProperty) || '';
-  };
-
-  const setValue = (value) => {
-    modeling.updateProperties(element, {
-      [modelProperty]: value
+    const { element, id, label, modelProperty, options } = props;
+
+    const modeling = useService("modeling");
+    const translate = useService("translate");
+
+    return h(SelectEntry, {
+        element,
+        id,
+        label: translate(label),
+        getOptions: () => options.map(option => ({ value: option.value, label: translate(option.label) })),
+        getValue: () => element.businessObject.get(modelProperty) || "",
+        setValue: value => modeling.updateProperties(element, { [modelProperty]: value || undefined })
     });
-  };
-
-  return {
-    id,
-    element,
-    label,
-    modelProperty,
-    get: getValue,
-    set: setValue,
-    options
-  };
-}
\ No newline at end of file
+}
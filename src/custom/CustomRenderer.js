@@ -27,8 +27,9 @@ export default class CustomRenderer extends BaseRenderer {
   }
 
   canRender(element) {
-    // Don't render labels
-    return !element.labelTarget;
+    // Only task shapes get custom styling; labels and connections
+    // (which this renderer cannot draw) stay with the BPMN renderer
+    return is(element, 'bpmn:Task') && !element.labelTarget && !element.waypoints;
   }
 
   drawShape(parentNode, element) {
@@ -1,57 +1,221 @@
-import RuleProvider from 'diagram-js/lib/features/rules/RuleProvider';
-import { is } from 'bpmn-js/lib/util/ModelUtil';
+import RuleProvider from "diagram-js/lib/features/rules/RuleProvider";
+import { isKey } from "diagram-js/lib/features/keyboard/KeyboardUtil";
+import { escapeHTML } from "diagram-js/lib/util/EscapeUtil";
+import { is } from "bpmn-js/lib/util/ModelUtil";
+import {
+    getConnectionViolation,
+    getDeleteViolation,
+    getPlacementViolation,
+    parseModelingPolicies
+} from "./modelingPolicies";
+
+// Runs before BpmnRules (1000) so a policy can veto what BPMN would allow
+const POLICY_PRIORITY = 1500;
+
+const DELETE_KEYS = ["Backspace", "Delete", "Del"];
+
+function isConnection(element) {
+    return !!element.waypoints;
+}
+
+function isLabel(element) {
+    return !!element.labelTarget;
+}
+
+function getCenter(shape, delta = { x: 0, y: 0 }) {
+    return {
+        x: shape.x + shape.width / 2 + delta.x,
+        y: shape.y + shape.height / 2 + delta.y
+    };
+}
+
+function containsPoint(shape, point) {
+    return (
+        point.x >= shape.x &&
+        point.x <= shape.x + shape.width &&
+        point.y >= shape.y &&
+        point.y <= shape.y + shape.height
+    );
+}
 
 /**
  * Custom Rules Provider
- * Defines custom modeling rules and restrictions
+ *
+ * Enforces the modeling policies passed as `modelingPolicies` in the modeler
+ * config (see modelingPolicies.js). Rules only answer when a policy blocks an
+ * action, otherwise BpmnRules decides. The reason is shown as a tooltip when
+ * the user drops, connects or deletes against a policy.
  */
 export default class CustomRules extends RuleProvider {
-  constructor(eventBus) {
-    super(eventBus);
-  }
-
-  init() {
-    // Add custom rules here
-    
-    // Example: Prevent high-priority tasks from being deleted
-    this.addRule('elements.delete', 1500, function(context) {
-      const elements = context.elements;
-
-      // Check if any element is a high-priority task
-      const hasHighPriorityTask = elements.some(element => {
-        const bo = element.businessObject;
-        return (is(element, 'bpmn:Task') || is(element, 'bpmn:ServiceTask')) &&
-               bo.get('custom:priority') === 'high';
-      });
-
-      if (hasHighPriorityTask) {
-        // You can uncomment this to prevent deletion
-        // return false;
-      }
-
-      // Allow deletion
-      return true;
-    });
-
-    // Example: Custom connection rules
-    this.addRule('connection.create', 1500, function(context) {
-      const source = context.source;
-      const target = context.target;
-
-      // Allow standard connections
-      return true;
-    });
-
-    // Example: Validate task placement
-    this.addRule('shape.create', 1500, function(context) {
-      const shape = context.shape;
-      const target = context.target;
-      const position = context.position;
-
-      // Add custom validation logic here
-      return true;
-    });
-  }
+    constructor(eventBus, elementRegistry, selection, tooltips, modelingPolicies) {
+        super(eventBus);
+
+        this._elementRegistry = elementRegistry;
+        this._selection = selection;
+        this._tooltips = tooltips;
+        this._policies = parseModelingPolicies(modelingPolicies);
+        this._violation = null;
+        this._tooltipId = null;
+
+        eventBus.on("drag.init", () => {
+            this._violation = null;
+        });
+
+        // Only explain the rejection when our policy blocked the final hover target
+        eventBus.on("drag.rejected", event => {
+            const violation = this._violation;
+            const target = event.context?.target || event.context?.hover;
+
+            if (violation && violation.related.includes(target)) {
+                this._showReason(violation.message, event);
+            }
+            this._violation = null;
+        });
+
+        // Keyboard deletion is silently filtered by the rule; tell the user why
+        eventBus.on("keyboard.keydown", POLICY_PRIORITY, event => {
+            if (!isKey(DELETE_KEYS, event.keyEvent)) {
+                return;
+            }
+
+            const blocked = this._selection
+                .get()
+                .map(element => ({ element, message: this._getDeleteViolation(element) }))
+                .find(item => item.message);
+
+            if (blocked) {
+                this._showReason(blocked.message, blocked.element);
+            }
+        });
+    }
+
+    init() {
+        this.addRule("elements.delete", POLICY_PRIORITY, context => {
+            const deletable = context.elements.filter(element => !this._getDeleteViolation(element));
+
+            if (deletable.length === context.elements.length) {
+                return undefined;
+            }
+
+            // Same result shape as BpmnRules, which never deletes labels directly
+            const removable = deletable.filter(element => !isLabel(element));
+            return removable.length ? removable : false;
+        });
+
+        this.addRule("connection.create", POLICY_PRIORITY, context =>
+            this._check(getConnectionViolation(this._policies, context.source, context.target), [
+                context.source,
+                context.target
+            ])
+        );
+
+        this.addRule("connection.reconnect", POLICY_PRIORITY, context =>
+            this._check(getConnectionViolation(this._policies, context.source, context.target), [
+                context.source,
+                context.target
+            ])
+        );
+
+        this.addRule("shape.create", POLICY_PRIORITY, context =>
+            this._check(this._getPlacementViolation(context.shape, context.target, context.position), [context.target])
+        );
+
+        this.addRule("elements.create", POLICY_PRIORITY, context => {
+            const message = context.elements
+                .map(element =>
+                    isConnection(element)
+                        ? getConnectionViolation(this._policies, element.source, element.target)
+                        : this._getPlacementViolation(element, context.target, context.position)
+                )
+                .find(Boolean);
+
+            return this._check(message, [context.target]);
+        });
+
+        this.addRule("elements.move", POLICY_PRIORITY, context => {
+            const { shapes, delta, target } = context;
+
+            // Children travel with a moved container, only the moved roots change place
+            const message = shapes
+                .filter(shape => !isConnection(shape) && !isLabel(shape) && !shapes.includes(shape.parent))
+                .map(shape => this._getPlacementViolation(shape, target || shape.parent, getCenter(shape, delta)))
+                .find(Boolean);
+
+            return this._check(message, [target]);
+        });
+    }
+
+    /**
+     * Record a violation for the rejection tooltip and veto the action
+     */
+    _check(message, related) {
+        if (!message) {
+            return undefined;
+        }
+
+        this._violation = { message, related };
+        return false;
+    }
+
+    /**
+     * A container can't be deleted while it holds a protected element
+     */
+    _getDeleteViolation(element) {
+        return (
+            getDeleteViolation(this._policies, element) ||
+            (element.children || []).map(child => this._getDeleteViolation(child)).find(Boolean) ||
+            null
+        );
+    }
+
+    _getPlacementViolation(shape, target, position) {
+        if (!this._policies.placements.length || !shape) {
+            return null;
+        }
+
+        return getPlacementViolation(this._policies, shape, this._getContainers(target, position));
+    }
+
+    /**
+     * Lanes and pools at the drop position: the target's ancestors plus any
+     * lane under the point, since shapes are dropped on the pool, not the lane
+     */
+    _getContainers(target, position) {
+        const containers = new Set();
+
+        for (let parent = target; parent; parent = parent.parent) {
+            if (is(parent, "bpmn:Lane") || is(parent, "bpmn:Participant")) {
+                containers.add(parent);
+            }
+        }
+
+        if (position) {
+            this._elementRegistry
+                .filter(element => is(element, "bpmn:Lane") && containsPoint(element, position))
+                .forEach(lane => containers.add(lane));
+        }
+
+        return [...containers].map(container => ({
+            id: container.businessObject.id,
+            name: container.businessObject.name
+        }));
+    }
+
+    _showReason(message, position) {
+        if (this._tooltipId) {
+            this._tooltips.remove(this._tooltipId);
+        }
+
+        this._tooltipId = this._tooltips.add({
+            position: {
+                x: position.x + 5,
+                y: position.y + 5
+            },
+            type: "error",
+            timeout: 3000,
+            html: `<div class="policy-tooltip">${escapeHTML(message)}</div>`
+        });
+    }
 }
 
-CustomRules.$inject = ['eventBus'];
\ No newline at end of file
+CustomRules.$inject = ["eventBus", "elementRegistry", "selection", "tooltips", "config.modelingPolicies"];
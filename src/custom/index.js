@@ -1,24 +1,34 @@
+import TooltipsModule from 'diagram-js/lib/features/tooltips';
 import CustomRenderer from './CustomRenderer';
 import CustomPalette from './CustomPalette';
 import CustomContextPad from './CustomContextPad';
 import CustomRules from './CustomRules';
 import CustomPropertiesProvider from './CustomPropertiesProvider';
 
+/**
+ * Modeling policy rules
+ * Loaded on its own so policies apply without the other custom modules
+ */
+export const CustomRulesModule = {
+  __depends__: [TooltipsModule],
+  __init__: ['customRules'],
+  customRules: ['type', CustomRules]
+};
+
 /**
  * Custom Modules Bundle
  * Exports all custom modules for easy integration
  */
 export default {
+  __depends__: [CustomRulesModule],
   __init__: [
     'customRenderer',
     'customPalette',
     'customContextPad',
-    'customRules',
     'customPropertiesProvider'
   ],
   customRenderer: ['type', CustomRenderer],
   customPalette: ['type', CustomPalette],
   customContextPad: ['type', CustomContextPad],
-  customRules: ['type', CustomRules],
   customPropertiesProvider: ['type', CustomPropertiesProvider]
-};
\ No newline at end of file
+};
@@ -0,0 +1,179 @@
+import { is } from "bpmn-js/lib/util/ModelUtil";
+
+/**
+ * Modeling policies
+ *
+ * Widget-configured restrictions enforced by CustomRules:
+ *
+ * {
+ *   "protectedElements": [{ "attribute": "custom:priority", "values": ["high"], "message": "..." }],
+ *   "connections": [{ "sourceTypes": ["bpmn:StartEvent"], "targetTypes": ["bpmn:EndEvent"], "message": "..." }],
+ *   "placements": [{ "elementTypes": ["bpmn:ServiceTask"], "containers": ["Customer"], "message": "..." }]
+ * }
+ *
+ * Element types match subtypes too ("bpmn:Task" covers user and service tasks),
+ * an empty list or "*" matches any element. Containers are lane or pool names or IDs.
+ */
+
+const EMPTY_POLICIES = { protectedElements: [], connections: [], placements: [] };
+
+function toList(value) {
+    if (value === undefined || value === null || value === "") {
+        return [];
+    }
+    return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+}
+
+function matchesTypes(element, types) {
+    return !types.length || types.includes("*") || types.some(type => is(element, type));
+}
+
+function typeLabel(element) {
+    return (element.businessObject?.$type || element.type || "")
+        .replace(/^bpmn:/, "")
+        .replace(/([a-z])([A-Z])/g, "$1 $2");
+}
+
+function elementLabel(element) {
+    return element.businessObject?.name || typeLabel(element);
+}
+
+function normalizeProtection(rule) {
+    const attribute = String(rule.attribute || "").trim();
+    if (!attribute) {
+        return null;
+    }
+
+    return {
+        attribute: attribute.includes(":") ? attribute : `custom:${attribute}`,
+        values: toList(rule.values ?? rule.value).map(value => value.toLowerCase()),
+        elementTypes: toList(rule.elementTypes),
+        message: rule.message || ""
+    };
+}
+
+function normalizeConnection(rule) {
+    const sourceTypes = toList(rule.sourceTypes);
+    const targetTypes = toList(rule.targetTypes);
+
+    // A rule without any types would forbid every connection
+    if (!sourceTypes.length && !targetTypes.length) {
+        return null;
+    }
+
+    return { sourceTypes, targetTypes, message: rule.message || "" };
+}
+
+function normalizePlacement(rule) {
+    const containers = toList(rule.containers).map(container => container.toLowerCase());
+    if (!containers.length) {
+        return null;
+    }
+
+    return {
+        elementTypes: toList(rule.elementTypes),
+        containers,
+        message: rule.message || ""
+    };
+}
+
+/**
+ * Parse the policy JSON from the widget. Invalid JSON disables the policies
+ * instead of blocking the editor.
+ */
+export function parseModelingPolicies(policies) {
+    if (!policies) {
+        return EMPTY_POLICIES;
+    }
+
+    let parsed = policies;
+
+    if (typeof policies === "string") {
+        if (!policies.trim()) {
+            return EMPTY_POLICIES;
+        }
+
+        try {
+            parsed = JSON.parse(policies);
+        } catch (e) {
+            console.error("Invalid modeling policies JSON, no policies are enforced", e);
+            return EMPTY_POLICIES;
+        }
+    }
+
+    const rules = key =>
+        Array.isArray(parsed?.[key]) ? parsed[key].filter(rule => rule && typeof rule === "object") : [];
+
+    return {
+        protectedElements: rules("protectedElements").map(normalizeProtection).filter(Boolean),
+        connections: rules("connections").map(normalizeConnection).filter(Boolean),
+        placements: rules("placements").map(normalizePlacement).filter(Boolean)
+    };
+}
+
+/**
+ * Reason the element may not be deleted, or null
+ */
+export function getDeleteViolation(policies, element) {
+    const bo = element.businessObject;
+    if (!bo?.get) {
+        return null;
+    }
+
+    for (const rule of policies.protectedElements) {
+        const value = bo.get(rule.attribute);
+        const matches =
+            value !== undefined &&
+            value !== null &&
+            value !== "" &&
+            (!rule.values.length || rule.values.includes(String(value).toLowerCase()));
+
+        if (matches && matchesTypes(element, rule.elementTypes)) {
+            return (
+                rule.message ||
+                `"${elementLabel(element)}" is protected: ${rule.attribute.replace(/^custom:/, "")} is "${value}"`
+            );
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Reason source may not be connected to target, or null
+ */
+export function getConnectionViolation(policies, source, target) {
+    if (!source || !target) {
+        return null;
+    }
+
+    const rule = policies.connections.find(
+        r => matchesTypes(source, r.sourceTypes) && matchesTypes(target, r.targetTypes)
+    );
+
+    return rule ? rule.message || `${typeLabel(source)} cannot be connected to ${typeLabel(target)}` : null;
+}
+
+/**
+ * Reason the element may not be placed in any of the given containers, or null.
+ * Containers are { id, name } of the lanes and pools at the drop position.
+ */
+export function getPlacementViolation(policies, element, containers) {
+    for (const rule of policies.placements) {
+        if (!matchesTypes(element, rule.elementTypes)) {
+            continue;
+        }
+
+        const container = containers.find(
+            c =>
+                rule.containers.includes(String(c.id).toLowerCase()) ||
+                rule.containers.includes(String(c.name || "").toLowerCase())
+        );
+
+        if (container) {
+            return rule.message || `${typeLabel(element)} is not allowed in "${container.name || container.id}"`;
+        }
+    }
+
+    return null;
+}
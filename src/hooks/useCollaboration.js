@@ -0,0 +1,43 @@
+import { useEffect, useState } from "react";
+import { createCollaborationSession, createPresence } from "../collaboration";
+
+/**
+ * useCollaboration
+ *
+ * Shares the edits, cursor and selection of the modeler with the other
+ * participants reachable through `transport` (see collaboration/), once the
+ * diagram has loaded. `user` is { name, color } as shown to the others.
+ *
+ * Returns { peers }: the other participants, { clientId, name, color, selection }.
+ */
+export function useCollaboration(modelerMethodsRef, { transport, user, isLoading }) {
+    const [peers, setPeers] = useState([]);
+
+    const userName = user?.name;
+    const userColor = user?.color;
+
+    useEffect(() => {
+        const modeler = modelerMethodsRef.current?.getModeler();
+        if (!transport || !modeler || isLoading) return undefined;
+
+        let session;
+        let presence;
+
+        try {
+            session = createCollaborationSession(modeler, transport, { user: { name: userName, color: userColor } });
+            presence = createPresence(modeler, session, setPeers);
+        } catch (err) {
+            console.error("Error starting collaboration:", err);
+            session?.close();
+            return undefined;
+        }
+
+        return () => {
+            presence.destroy();
+            session.close();
+            setPeers([]);
+        };
+    }, [modelerMethodsRef, transport, userName, userColor, isLoading]);
+
+    return { peers };
+}
@@ -0,0 +1,103 @@
+import { useEffect, useRef, useState } from "react";
+import { createBroadcastChannelTransport, createRelayTransport, createWebSocketTransport } from "../collaboration";
+
+// Milliseconds to wait before retrying while the send action is still running
+const SEND_RETRY_DELAY = 100;
+
+/**
+ * Relay through the onCollaborationSend action. Messages sent while the action
+ * runs are collected and forwarded together as a JSON array.
+ */
+function createMendixTransport(sendActionRef) {
+    const outbox = [];
+    let timer = null;
+
+    const flush = () => {
+        timer = null;
+        const action = sendActionRef.current;
+        if (!outbox.length || !action) return;
+
+        if (action.isExecuting || !action.canExecute) {
+            timer = setTimeout(flush, SEND_RETRY_DELAY);
+            return;
+        }
+
+        const messages = outbox.splice(0);
+        action.execute({ message: JSON.stringify(messages.length === 1 ? messages[0] : messages) });
+    };
+
+    const transport = createRelayTransport(message => {
+        outbox.push(message);
+        if (!timer) {
+            timer = setTimeout(flush, 0);
+        }
+    });
+
+    return {
+        ...transport,
+        close: () => {
+            clearTimeout(timer);
+            transport.close();
+        }
+    };
+}
+
+/**
+ * useCollaborationTransport
+ *
+ * Transport for the widget's Collaboration properties (see collaboration/transports.js),
+ * or null when collaboration is off or there is no room yet. A new transport is
+ * opened when the mode, URL or room changes.
+ *
+ * With the Mendix relay, outgoing messages run onCollaborationSend and every new
+ * value of collaborationInbox (a message or a JSON array of them) is delivered.
+ */
+export function useCollaborationTransport(
+    { collaborationMode, collaborationUrl, onCollaborationSend, collaborationInbox },
+    room
+) {
+    const [transport, setTransport] = useState(null);
+
+    const sendActionRef = useRef(onCollaborationSend);
+    sendActionRef.current = onCollaborationSend;
+
+    useEffect(() => {
+        if (!collaborationMode || collaborationMode === "off" || !room) return undefined;
+
+        let created;
+        try {
+            if (collaborationMode === "broadcastChannel") {
+                created = createBroadcastChannelTransport(room);
+            } else if (collaborationMode === "webSocket" && collaborationUrl) {
+                created = createWebSocketTransport(collaborationUrl, room);
+            } else if (collaborationMode === "mendix") {
+                created = createMendixTransport(sendActionRef);
+            }
+        } catch (err) {
+            console.error("Could not open the collaboration transport:", err);
+        }
+        if (!created) return undefined;
+
+        setTransport(created);
+
+        return () => {
+            created.close();
+            setTransport(null);
+        };
+    }, [collaborationMode, collaborationUrl, room]);
+
+    const inbox = collaborationInbox?.status === "available" ? collaborationInbox.value : null;
+
+    useEffect(() => {
+        if (!inbox || !transport?.receive) return;
+
+        try {
+            const parsed = JSON.parse(inbox);
+            (Array.isArray(parsed) ? parsed : [parsed]).forEach(transport.receive);
+        } catch (err) {
+            console.warn("Ignoring malformed collaboration message", err);
+        }
+    }, [inbox, transport]);
+
+    return transport;
+}
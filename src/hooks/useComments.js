@@ -0,0 +1,157 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+    addDiagramComment,
+    applyCommentOverlays,
+    clearCommentOverlays,
+    createCommentId,
+    filterThreads,
+    groupCommentRecords,
+    readDiagramComments,
+    setDiagramThreadResolved
+} from "../utils/diagramComments";
+
+/**
+ * useComments
+ *
+ * Review comments for the Comments panel and the badges on the canvas (see
+ * utils/diagramComments.js). Threads come from `records` (the widget's comment
+ * datasource) and are changed through `onAdd` / `onResolve`, or, without
+ * records, are stored in the diagram; `onDiagramChange()` is then called after
+ * each change (the viewers use it to save right away).
+ *
+ * `getDiagram` returns the Modeler or viewer once it is ready. The element
+ * selected on the canvas is the target of new threads; clicking a badge
+ * selects its element and calls `onShow()` to bring up the panel.
+ *
+ * Returns { threads, visibleThreads, counts, filter, setFilter, selectedElementId,
+ * selectElement, addComment, setResolved }.
+ */
+export function useComments(getDiagram, { records, user, onAdd, onResolve, onDiagramChange, onShow, isLoading }) {
+    const [diagramThreads, setDiagramThreads] = useState([]);
+    const [filter, setFilter] = useState("open");
+    const [selectedElementId, setSelectedElementId] = useState(null);
+
+    const usesDatasource = !!records;
+
+    const threads = useMemo(
+        () => (usesDatasource ? groupCommentRecords(records) : diagramThreads),
+        [usesDatasource, records, diagramThreads]
+    );
+    const visibleThreads = useMemo(() => filterThreads(threads, filter), [threads, filter]);
+    const counts = {
+        open: threads.filter(thread => !thread.resolved).length,
+        resolved: threads.filter(thread => thread.resolved).length,
+        all: threads.length
+    };
+
+    const refresh = useCallback(() => {
+        const diagram = getDiagram();
+        if (diagram && !usesDatasource) {
+            setDiagramThreads(readDiagramComments(diagram));
+        }
+    }, [getDiagram, usesDatasource]);
+
+    /**
+     * Re-read stored threads after imports and edits (including undo and redo),
+     * and follow the canvas selection
+     */
+    useEffect(() => {
+        const diagram = getDiagram();
+        if (!diagram || isLoading) return undefined;
+
+        const eventBus = diagram.get("eventBus");
+        const onSelectionChanged = ({ newSelection }) => {
+            const element = newSelection[0];
+            setSelectedElementId(element ? (element.labelTarget || element).id : null);
+        };
+
+        refresh();
+        eventBus.on(["import.done", "commandStack.changed"], refresh);
+        eventBus.on("selection.changed", onSelectionChanged);
+
+        return () => {
+            eventBus.off(["import.done", "commandStack.changed"], refresh);
+            eventBus.off("selection.changed", onSelectionChanged);
+        };
+    }, [getDiagram, refresh, isLoading]);
+
+    const selectElement = useCallback(
+        elementId => {
+            const diagram = getDiagram();
+            const element = elementId && diagram?.get("elementRegistry").get(elementId);
+
+            setSelectedElementId(elementId);
+            if (element) {
+                diagram.get("selection").select(element);
+            }
+        },
+        [getDiagram]
+    );
+
+    /**
+     * Badges for the threads in the current filter
+     */
+    useEffect(() => {
+        const diagram = getDiagram();
+        if (!diagram || isLoading) return undefined;
+
+        const apply = () =>
+            applyCommentOverlays(diagram, visibleThreads, elementId => {
+                selectElement(elementId);
+                onShow?.();
+            });
+        const eventBus = diagram.get("eventBus");
+
+        apply();
+        eventBus.on("import.done", apply);
+
+        return () => {
+            eventBus.off("import.done", apply);
+            clearCommentOverlays(diagram);
+        };
+    }, [getDiagram, visibleThreads, selectElement, onShow, isLoading]);
+
+    const changeDiagram = change => {
+        const diagram = getDiagram();
+        if (!diagram) return;
+
+        change(diagram);
+        refresh();
+        onDiagramChange?.();
+    };
+
+    /**
+     * Reply to `threadId`, or start a thread on `elementId` without it
+     */
+    const addComment = (elementId, text, threadId) => {
+        if (!text.trim()) return;
+
+        if (usesDatasource) {
+            onAdd?.({ threadId: threadId || createCommentId("Thread"), elementId, text, author: user || "" });
+            return;
+        }
+
+        changeDiagram(diagram => addDiagramComment(diagram, elementId, { threadId, author: user, text }));
+    };
+
+    const setResolved = (threadId, resolved) => {
+        if (usesDatasource) {
+            onResolve?.({ threadId, resolved });
+            return;
+        }
+
+        changeDiagram(diagram => setDiagramThreadResolved(diagram, threadId, resolved, user));
+    };
+
+    return {
+        threads,
+        visibleThreads,
+        counts,
+        filter,
+        setFilter,
+        selectedElementId,
+        selectElement,
+        addComment,
+        setResolved
+    };
+}
@@ -0,0 +1,105 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { deleteDraft, loadDraft, saveDraft } from "../utils/draftStore";
+
+// Milliseconds to wait after the last modeling change before writing the draft
+const DRAFT_DELAY = 2000;
+
+/**
+ * useDraftAutosave
+ *
+ * Writes the diagram to the draft store (utils/draftStore.js) shortly after
+ * each modeling change while there are unsaved changes, and removes the
+ * draft once they are saved or undone.
+ *
+ * When the editor has loaded, a stored draft for `draftKey` is returned as
+ * `draft` if it differs from `baseXml` and, when `savedAt` (the time the
+ * diagram was last saved in Mendix) is known, was written after it.
+ * `draft.isOutdated` is set when the saved diagram changed since the draft
+ * was started.
+ *
+ * Returns { draft, dismissDraft, discardDraft }: dismissDraft() hides the
+ * offer and keeps the draft, discardDraft() deletes it.
+ */
+export function useDraftAutosave(modelerMethodsRef, { draftKey, baseXml, savedAt, isDirty, isLoading }) {
+    const [draft, setDraft] = useState(null);
+
+    const dirtyRef = useRef(isDirty);
+    const baseXmlRef = useRef(baseXml);
+    const checkedKeyRef = useRef(null);
+    dirtyRef.current = isDirty;
+    baseXmlRef.current = baseXml;
+
+    const discardDraft = useCallback(() => {
+        setDraft(null);
+        if (draftKey) {
+            deleteDraft(draftKey).catch(err => console.warn("Could not delete draft", err));
+        }
+    }, [draftKey]);
+
+    const dismissDraft = useCallback(() => setDraft(null), []);
+
+    /**
+     * Look for a draft once per key, after the diagram is shown
+     */
+    useEffect(() => {
+        if (isLoading || !draftKey || checkedKeyRef.current === draftKey) return;
+        checkedKeyRef.current = draftKey;
+
+        loadDraft(draftKey)
+            .then(stored => {
+                const savedTime = savedAt instanceof Date ? savedAt.getTime() : null;
+
+                if (!stored || stored.xml === baseXmlRef.current || (savedTime && stored.savedAt <= savedTime)) {
+                    return;
+                }
+
+                setDraft({ ...stored, isOutdated: !!baseXmlRef.current && stored.baseXml !== baseXmlRef.current });
+            })
+            .catch(err => console.warn("Could not read drafts", err));
+    }, [draftKey, isLoading, savedAt]);
+
+    /**
+     * Debounced autosave after modeling changes
+     */
+    useEffect(() => {
+        const modeler = modelerMethodsRef.current?.getModeler();
+        if (!modeler || !draftKey) return undefined;
+
+        const eventBus = modeler.get("eventBus");
+        let timer = null;
+
+        const persist = () => {
+            if (!dirtyRef.current) return;
+
+            modeler
+                .saveXML({ format: true })
+                .then(({ xml }) => saveDraft(draftKey, xml, baseXmlRef.current))
+                .catch(err => console.warn("Could not save draft", err));
+        };
+
+        const schedule = () => {
+            clearTimeout(timer);
+            timer = setTimeout(persist, DRAFT_DELAY);
+        };
+
+        eventBus.on("commandStack.changed", schedule);
+
+        return () => {
+            clearTimeout(timer);
+            eventBus.off("commandStack.changed", schedule);
+        };
+    }, [modelerMethodsRef, draftKey, isLoading]);
+
+    /**
+     * Saved (or undone back to the saved state): the draft is no longer needed
+     */
+    const wasDirtyRef = useRef(isDirty);
+    useEffect(() => {
+        if (wasDirtyRef.current && !isDirty && draftKey) {
+            deleteDraft(draftKey).catch(err => console.warn("Could not delete draft", err));
+        }
+        wasDirtyRef.current = isDirty;
+    }, [isDirty, draftKey]);
+
+    return { draft, dismissDraft, discardDraft };
+}
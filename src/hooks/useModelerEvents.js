@@ -0,0 +1,171 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * ID, BPMN type and name of a diagram element, as passed to Mendix
+ */
+export function describeElement(element) {
+    const bo = element?.businessObject;
+
+    return {
+        elementId: element?.id || "",
+        elementType: bo?.$type || element?.type || "",
+        elementName: bo?.name || ""
+    };
+}
+
+function isLabel(element) {
+    return !!element.labelTarget;
+}
+
+// Saved position no command stack position can match: never saved, or dropped from the stack
+const UNREACHABLE = null;
+
+/**
+ * useModelerEvents
+ *
+ * Forwards selection and element changes from the modeler's eventBus:
+ * - onSelectionChange(element | null): the single selected element, or null
+ *   when nothing or several elements are selected
+ * - onElementAdded(element) / onElementRemoved(element): shapes and
+ *   connections added or removed by modeling, undo or redo. Elements created
+ *   or cleared while importing a diagram are not reported.
+ *
+ * Handlers may change on every render; the subscription only follows the modeler.
+ */
+export function useModelerEvents(modelerMethodsRef, isLoading, handlers) {
+    const handlersRef = useRef(handlers);
+    handlersRef.current = handlers;
+
+    useEffect(() => {
+        const modeler = modelerMethodsRef.current?.getModeler();
+        if (!modeler) return undefined;
+
+        const eventBus = modeler.get("eventBus");
+        let importing = false;
+
+        const onImportStart = () => {
+            importing = true;
+        };
+
+        const onImportDone = () => {
+            importing = false;
+        };
+
+        const onSelectionChanged = ({ newSelection }) => {
+            const selected = newSelection.length === 1 ? newSelection[0] : null;
+            handlersRef.current.onSelectionChange?.(selected ? describeElement(selected) : null);
+        };
+
+        const onAdded = ({ element }) => {
+            if (!importing && !isLabel(element)) {
+                handlersRef.current.onElementAdded?.(describeElement(element));
+            }
+        };
+
+        const onRemoved = ({ element }) => {
+            if (!importing && !isLabel(element)) {
+                handlersRef.current.onElementRemoved?.(describeElement(element));
+            }
+        };
+
+        eventBus.on("import.parse.start", onImportStart);
+        eventBus.on("import.done", onImportDone);
+        eventBus.on("selection.changed", onSelectionChanged);
+        eventBus.on(["shape.added", "connection.added"], onAdded);
+        eventBus.on(["shape.removed", "connection.removed"], onRemoved);
+
+        return () => {
+            eventBus.off("import.parse.start", onImportStart);
+            eventBus.off("import.done", onImportDone);
+            eventBus.off("selection.changed", onSelectionChanged);
+            eventBus.off(["shape.added", "connection.added"], onAdded);
+            eventBus.off(["shape.removed", "connection.removed"], onRemoved);
+        };
+    }, [modelerMethodsRef, isLoading]);
+}
+
+/**
+ * useDirtyState
+ *
+ * Whether the diagram differs from the last saved or imported state, based
+ * on the command stack: undoing back to the saved command is clean again.
+ * The stack position is counted from the triggers of commandStack.changed;
+ * a new edit after undoing past the saved command discards it for good.
+ * Calls onDirtyChange(isDirty) when the flag flips.
+ *
+ * Returns { isDirty, markSaved, markImportUnsaved }: call markSaved() after a
+ * successful save, and markImportUnsaved() before importing a diagram that
+ * doesn't come from the saved state (e.g. a local file).
+ */
+export function useDirtyState(modelerMethodsRef, isLoading, onDirtyChange) {
+    const [isDirty, setIsDirty] = useState(false);
+    const positionRef = useRef(0);
+    const savedPositionRef = useRef(0);
+    const importUnsavedRef = useRef(false);
+    const dirtyRef = useRef(false);
+    const onDirtyChangeRef = useRef(onDirtyChange);
+    onDirtyChangeRef.current = onDirtyChange;
+
+    const update = dirty => {
+        if (dirtyRef.current === dirty) return;
+
+        dirtyRef.current = dirty;
+        setIsDirty(dirty);
+        onDirtyChangeRef.current?.(dirty);
+    };
+
+    useEffect(() => {
+        const modeler = modelerMethodsRef.current?.getModeler();
+        if (!modeler) return undefined;
+
+        const eventBus = modeler.get("eventBus");
+
+        // Importing empties the command stack without a change event
+        const onImported = () => {
+            const unsaved = importUnsavedRef.current;
+            importUnsavedRef.current = false;
+
+            positionRef.current = 0;
+            savedPositionRef.current = unsaved ? UNREACHABLE : 0;
+            update(unsaved);
+        };
+
+        const onChanged = ({ trigger }) => {
+            if (trigger === "execute") {
+                // The commands after this position can no longer be redone
+                if (savedPositionRef.current !== UNREACHABLE && savedPositionRef.current > positionRef.current) {
+                    savedPositionRef.current = UNREACHABLE;
+                }
+                positionRef.current += 1;
+            } else if (trigger === "undo") {
+                positionRef.current -= 1;
+            } else if (trigger === "redo") {
+                positionRef.current += 1;
+            } else if (trigger === "clear") {
+                positionRef.current = 0;
+                savedPositionRef.current = UNREACHABLE;
+            }
+
+            update(positionRef.current !== savedPositionRef.current);
+        };
+
+        eventBus.on("import.done", onImported);
+        eventBus.on("commandStack.changed", onChanged);
+
+        return () => {
+            eventBus.off("import.done", onImported);
+            eventBus.off("commandStack.changed", onChanged);
+        };
+    }, [modelerMethodsRef, isLoading]);
+
+    const markSaved = () => {
+        savedPositionRef.current = positionRef.current;
+        update(false);
+    };
+
+    const markImportUnsaved = () => {
+        importUnsavedRef.current = true;
+    };
+
+    return { isDirty, markSaved, markImportUnsaved };
+}
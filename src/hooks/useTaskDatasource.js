@@ -0,0 +1,220 @@
+import { useCallback, useMemo, useRef } from "react";
+
+/**
+ * Widget properties of the attributes mapped on the task datasource, by task field
+ * (field names follow the task data schema in utils/taskSchema.js)
+ */
+const TASK_DATA_ATTRIBUTES = {
+    name: "taskDataName",
+    type: "taskDataType",
+    documentation: "taskDataDocumentation",
+    laneName: "taskDataLane",
+    duration: "taskDataDuration",
+    cost: "taskDataCost",
+    resource: "taskDataResource",
+    taskType: "taskDataTaskType",
+    priority: "taskDataPriority",
+    riskLevel: "taskDataRiskLevel",
+    estimatedHours: "taskDataEstimatedHours",
+    assignee: "taskDataAssignee",
+    department: "taskDataDepartment",
+    status: "taskDataStatus",
+    formKey: "taskDataFormKey",
+    dueDate: "taskDataDueDate",
+    apiEndpoint: "taskDataApiEndpoint",
+    apiMethod: "taskDataApiMethod"
+};
+
+// Mapped to Integer, Long or Decimal attributes, so written through the formatter
+const NUMERIC_FIELDS = ["duration", "cost", "estimatedHours"];
+
+// Text of an attribute, or undefined when it is empty so the field is left out
+function readText(attribute) {
+    const value = attribute?.value;
+    const text = value === undefined || value === null ? "" : value.toString();
+    return text || undefined;
+}
+
+function writeText(attribute, field, text) {
+    if (!attribute || attribute.readOnly || (readText(attribute) ?? "") === text) {
+        return false;
+    }
+
+    try {
+        if (NUMERIC_FIELDS.includes(field)) {
+            attribute.setTextValue(text);
+        } else {
+            attribute.setValue(text || undefined);
+        }
+        return true;
+    } catch (e) {
+        console.warn(`Could not write task ${field} "${text}"`, e);
+        return false;
+    }
+}
+
+/**
+ * Mapped attribute props by task field; the same object is returned until an
+ * attribute is mapped, unmapped or replaced, so it can be a hook dependency
+ */
+function useMappedAttributes(props) {
+    const attributesRef = useRef({});
+
+    const next = {};
+    Object.entries(TASK_DATA_ATTRIBUTES).forEach(([field, key]) => {
+        if (props[key]) {
+            next[field] = props[key];
+        }
+    });
+
+    const previous = attributesRef.current;
+    const fields = Object.keys(next);
+    if (fields.length !== Object.keys(previous).length || fields.some(field => next[field] !== previous[field])) {
+        attributesRef.current = next;
+    }
+
+    return attributesRef.current;
+}
+
+/**
+ * useTaskDatasource
+ *
+ * Binds task master data to a Mendix datasource instead of the taskDataJson
+ * attribute:
+ * - `taskRecords` lists, per task, the fields whose datasource value changed
+ *   since the previous read (all non-empty fields on the first read), so a
+ *   refresh never clears or reverts values that were only edited on the canvas
+ * - `syncTasks(taskData)` mirrors the diagram back: new tasks run the create
+ *   action, tasks removed from the canvas run the delete action on their
+ *   object, and changed fields are written to the mapped attributes followed
+ *   by the update action
+ *
+ * The first sync after loading only creates missing objects; the datasource
+ * is the source of truth for the fields of existing tasks.
+ */
+export function useTaskDatasource(props) {
+    const { taskData, taskDataId, onTaskCreate, onTaskDelete, onTaskUpdate } = props;
+
+    const attributes = useMappedAttributes(props);
+    const knownIdsRef = useRef(null);
+    const lastReadRef = useRef(new Map());
+    const pendingCreatesRef = useRef(new Set());
+    const pendingDeletesRef = useRef(new Set());
+
+    const enabled = !!taskData && !!taskDataId;
+
+    const items = useMemo(() => {
+        if (!enabled || taskData.status !== "available") {
+            return null;
+        }
+
+        const byId = new Map();
+        taskData.items.forEach(item => {
+            const id = readText(taskDataId.get(item));
+            if (id) {
+                byId.set(id, item);
+            }
+        });
+        return byId;
+    }, [enabled, taskData, taskDataId]);
+
+    const taskRecords = useMemo(() => {
+        if (!items) {
+            return null;
+        }
+
+        const lastRead = lastReadRef.current;
+        const records = [];
+
+        items.forEach((item, taskId) => {
+            const previous = lastRead.get(taskId) || {};
+            const current = {};
+            const record = { taskId };
+
+            Object.entries(attributes).forEach(([field, attribute]) => {
+                current[field] = readText(attribute.get(item));
+                if (current[field] !== undefined && current[field] !== previous[field]) {
+                    record[field] = current[field];
+                }
+            });
+            lastRead.set(taskId, current);
+
+            // Objects still being created for canvas tasks hold nothing the canvas lacks
+            if (!pendingCreatesRef.current.has(taskId) && Object.keys(record).length > 1) {
+                records.push(record);
+            }
+        });
+
+        return records;
+    }, [items, attributes]);
+
+    const syncTasks = useCallback(
+        data => {
+            const tasks = data?.tasks || [];
+            const currentIds = new Set(tasks.map(task => task.taskId));
+            const isInitial = knownIdsRef.current === null;
+
+            if (!items) {
+                // Still loading: remember the tasks so later removals are recognised
+                knownIdsRef.current = currentIds;
+                return;
+            }
+
+            // Drop pending actions once the datasource reflects them
+            pendingCreatesRef.current.forEach(id => {
+                if (items.has(id)) pendingCreatesRef.current.delete(id);
+            });
+            pendingDeletesRef.current.forEach(id => {
+                if (!items.has(id)) pendingDeletesRef.current.delete(id);
+            });
+
+            tasks.forEach(task => {
+                const item = items.get(task.taskId);
+
+                if (!item) {
+                    if (!pendingCreatesRef.current.has(task.taskId) && onTaskCreate?.canExecute) {
+                        pendingCreatesRef.current.add(task.taskId);
+                        onTaskCreate.execute({
+                            taskId: task.taskId,
+                            taskName: task.name,
+                            taskType: task.type
+                        });
+                    }
+                    return;
+                }
+
+                if (isInitial) {
+                    return;
+                }
+
+                const changed = Object.entries(attributes)
+                    .filter(([field]) => field in task)
+                    .map(([field, attribute]) => writeText(attribute.get(item), field, String(task[field] ?? "")))
+                    .some(Boolean);
+
+                const update = onTaskUpdate?.get(item);
+                if (changed && update?.canExecute) {
+                    update.execute();
+                }
+            });
+
+            (knownIdsRef.current || []).forEach(id => {
+                const item = items.get(id);
+                if (currentIds.has(id) || !item || pendingDeletesRef.current.has(id)) {
+                    return;
+                }
+
+                const remove = onTaskDelete?.get(item);
+                if (remove?.canExecute) {
+                    pendingDeletesRef.current.add(id);
+                    remove.execute();
+                }
+            });
+
+            knownIdsRef.current = currentIds;
+        },
+        [items, attributes, onTaskCreate, onTaskDelete, onTaskUpdate]
+    );
+
+    return { enabled, taskRecords, syncTasks };
+}
@@ -0,0 +1,152 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { addSnapshot, listSnapshots } from "../utils/draftStore";
+import { applyDiffMarkers, clearDiffMarkers, diffWithModeler } from "../utils/diagramDiff";
+
+// Milliseconds to wait after the last modeling change before comparing again
+const DIFF_DELAY = 300;
+
+/**
+ * useVersionHistory
+ *
+ * Version list and comparison for the History panel. Versions come from
+ * `revisions` (the widget's datasource) or, without one, from the snapshots
+ * this browser stored on each save under `snapshotKey`.
+ *
+ * Selecting a version compares it with the diagram on the canvas (see
+ * utils/diagramDiff.js) and marks the changes; the comparison follows
+ * further edits until the version is deselected or the panel closes.
+ *
+ * Returns { versions, selectedId, diff, isComparing, selectVersion, saveSnapshot }.
+ */
+export function useVersionHistory(modelerMethodsRef, { revisions, snapshotKey, isOpen, isLoading }) {
+    const [snapshots, setSnapshots] = useState([]);
+    const [selected, setSelected] = useState(null);
+    const [diff, setDiff] = useState(null);
+    const [isComparing, setIsComparing] = useState(false);
+
+    const selectedRef = useRef(null);
+    selectedRef.current = selected;
+
+    const usesSnapshots = !revisions;
+
+    const loadSnapshots = useCallback(() => {
+        if (!snapshotKey) {
+            setSnapshots([]);
+            return;
+        }
+
+        listSnapshots(snapshotKey)
+            .then(stored =>
+                setSnapshots(
+                    stored.map(snapshot => ({
+                        id: `snapshot-${snapshot.id}`,
+                        xml: snapshot.xml,
+                        label: snapshot.label,
+                        date: new Date(snapshot.savedAt),
+                        isLocal: true
+                    }))
+                )
+            )
+            .catch(err => console.warn("Could not read local versions", err));
+    }, [snapshotKey]);
+
+    useEffect(() => {
+        if (isOpen && usesSnapshots) {
+            loadSnapshots();
+        }
+    }, [isOpen, usesSnapshots, loadSnapshots]);
+
+    const versions = usesSnapshots
+        ? snapshots
+        : [...revisions].sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0));
+
+    const compare = useCallback(
+        version => {
+            const modeler = modelerMethodsRef.current?.getModeler();
+            if (!modeler) return;
+
+            setIsComparing(true);
+            diffWithModeler(modeler, version.xml)
+                .then(result => {
+                    // Ignore results for a version that is no longer selected
+                    if (selectedRef.current?.id !== version.id) return;
+
+                    applyDiffMarkers(modeler, result);
+                    setDiff(result);
+                })
+                .catch(err => {
+                    console.error("Error comparing versions:", err);
+                    setDiff({ error: err.message || "The version could not be read" });
+                })
+                .finally(() => setIsComparing(false));
+        },
+        [modelerMethodsRef]
+    );
+
+    const selectVersion = version => {
+        const modeler = modelerMethodsRef.current?.getModeler();
+        const next = version && version.id !== selected?.id ? version : null;
+
+        selectedRef.current = next;
+        setSelected(next);
+        setDiff(null);
+
+        if (modeler) {
+            clearDiffMarkers(modeler);
+        }
+        if (next) {
+            compare(next);
+        }
+    };
+
+    /**
+     * Keep the comparison current while editing; imports drop all markers
+     */
+    useEffect(() => {
+        const modeler = modelerMethodsRef.current?.getModeler();
+        if (!modeler || !selected) return undefined;
+
+        const eventBus = modeler.get("eventBus");
+        let timer = null;
+
+        const schedule = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => compare(selected), DIFF_DELAY);
+        };
+
+        eventBus.on(["commandStack.changed", "import.done"], schedule);
+
+        return () => {
+            clearTimeout(timer);
+            eventBus.off(["commandStack.changed", "import.done"], schedule);
+        };
+    }, [modelerMethodsRef, selected, compare, isLoading]);
+
+    /**
+     * Closing the panel ends the comparison
+     */
+    useEffect(() => {
+        if (isOpen) return;
+
+        const modeler = modelerMethodsRef.current?.getModeler();
+        if (modeler) {
+            clearDiffMarkers(modeler);
+        }
+        selectedRef.current = null;
+        setSelected(null);
+        setDiff(null);
+    }, [isOpen, modelerMethodsRef]);
+
+    /**
+     * Keep a local copy of a saved version (only used without a datasource)
+     */
+    const saveSnapshot = (xml, label) => {
+        if (!usesSnapshots || !snapshotKey) return;
+
+        addSnapshot(snapshotKey, xml, label)
+            .then(loadSnapshots)
+            .catch(err => console.warn("Could not store local version", err));
+    };
+
+    return { versions, selectedId: selected?.id || null, diff, isComparing, selectVersion, saveSnapshot };
+}
@@ -0,0 +1,201 @@
+import { h } from "@bpmn-io/properties-panel/preact";
+import { TextFieldEntry, isTextFieldEntryEdited } from "@bpmn-io/properties-panel";
+import { useService } from "bpmn-js-properties-panel";
+import { is } from "bpmn-js/lib/util/ModelUtil";
+import { getTaskMetrics, hasBranchProbabilities, parseNumber } from "../utils/processMetrics";
+
+const LOW_PRIORITY = 500;
+
+/**
+ * Metrics Properties Provider
+ *
+ * Adds a "Metrics" group for tasks (duration with optional min/max, cost
+ * and resource stored in custom:taskMetrics) and a branch probability entry for sequence flows
+ * leaving an exclusive or inclusive gateway.
+ */
+export default class MetricsPropertiesProvider {
+    constructor(propertiesPanel, translate) {
+        this.translate = translate;
+
+        propertiesPanel.registerProvider(LOW_PRIORITY, this);
+    }
+
+    getGroups(element) {
+        return groups => {
+            if (is(element, "bpmn:Task")) {
+                groups.push(this._createTaskMetricsGroup(element));
+            }
+
+            if (is(element, "bpmn:SequenceFlow") && hasBranchProbabilities(element.source)) {
+                groups.push(this._createFlowMetricsGroup(element));
+            }
+
+            return groups;
+        };
+    }
+
+    _createTaskMetricsGroup(element) {
+        return {
+            id: "metrics",
+            label: this.translate("Metrics"),
+            entries: [
+                {
+                    id: "metrics-duration",
+                    element,
+                    property: "duration",
+                    label: "Duration (HH:MM)",
+                    validate: validateDuration,
+                    component: TaskMetricEntry,
+                    isEdited: isTextFieldEntryEdited
+                },
+                {
+                    id: "metrics-min-duration",
+                    element,
+                    property: "minDuration",
+                    label: "Minimum duration (HH:MM)",
+                    validate: validateDuration,
+                    component: TaskMetricEntry,
+                    isEdited: isTextFieldEntryEdited
+                },
+                {
+                    id: "metrics-max-duration",
+                    element,
+                    property: "maxDuration",
+                    label: "Maximum duration (HH:MM)",
+                    validate: validateDuration,
+                    component: TaskMetricEntry,
+                    isEdited: isTextFieldEntryEdited
+                },
+                {
+                    id: "metrics-cost",
+                    element,
+                    property: "cost",
+                    label: "Cost per execution",
+                    validate: validateNonNegative,
+                    component: TaskMetricEntry,
+                    isEdited: isTextFieldEntryEdited
+                },
+                {
+                    id: "metrics-resource",
+                    element,
+                    property: "resource",
+                    label: "Resource",
+                    component: TaskMetricEntry,
+                    isEdited: isTextFieldEntryEdited
+                }
+            ]
+        };
+    }
+
+    _createFlowMetricsGroup(element) {
+        return {
+            id: "metrics",
+            label: this.translate("Metrics"),
+            entries: [
+                {
+                    id: "metrics-probability",
+                    element,
+                    component: ProbabilityEntry,
+                    isEdited: isTextFieldEntryEdited
+                }
+            ]
+        };
+    }
+}
+
+MetricsPropertiesProvider.$inject = ["propertiesPanel", "translate"];
+
+function validateDuration(value) {
+    if (value && !/^\d+:[0-5]\d$/.test(value.trim())) {
+        return "Use the HH:MM format, e.g. 01:30";
+    }
+
+    return null;
+}
+
+function validateNonNegative(value) {
+    const number = parseNumber(value);
+    if (value && (number === null || number < 0)) {
+        return "Must be a number of 0 or more";
+    }
+
+    return null;
+}
+
+function validatePercentage(value) {
+    const number = parseNumber(value);
+    if (value && (number === null || number < 0 || number > 100)) {
+        return "Must be a percentage between 0 and 100";
+    }
+
+    return null;
+}
+
+/**
+ * Update one attribute of custom:taskMetrics, creating the extension
+ * elements when needed. Always a single command, so one undo step.
+ */
+function setTaskMetric(element, property, value, modeling, moddle) {
+    const bo = element.businessObject;
+    const metrics = getTaskMetrics(bo);
+
+    if (metrics) {
+        modeling.updateModdleProperties(element, metrics, { [property]: value });
+        return;
+    }
+
+    const newMetrics = moddle.create("custom:taskMetrics", { [property]: value });
+    const extensionElements = bo.extensionElements;
+
+    if (extensionElements) {
+        newMetrics.$parent = extensionElements;
+        modeling.updateModdleProperties(element, extensionElements, {
+            values: [...extensionElements.get("values"), newMetrics]
+        });
+        return;
+    }
+
+    const newExtensionElements = moddle.create("bpmn:ExtensionElements", { values: [newMetrics] });
+    newMetrics.$parent = newExtensionElements;
+    newExtensionElements.$parent = bo;
+
+    modeling.updateProperties(element, { extensionElements: newExtensionElements });
+}
+
+function TaskMetricEntry(props) {
+    const { element, id, property, label, validate } = props;
+
+    const modeling = useService("modeling");
+    const moddle = useService("moddle");
+    const translate = useService("translate");
+    const debounce = useService("debounceInput");
+
+    return h(TextFieldEntry, {
+        element,
+        id,
+        label: translate(label),
+        debounce,
+        validate,
+        getValue: () => getTaskMetrics(element.businessObject)?.get(property) || "",
+        setValue: value => setTaskMetric(element, property, value, modeling, moddle)
+    });
+}
+
+function ProbabilityEntry(props) {
+    const { element, id } = props;
+
+    const modeling = useService("modeling");
+    const translate = useService("translate");
+    const debounce = useService("debounceInput");
+
+    return h(TextFieldEntry, {
+        element,
+        id,
+        label: translate("Branch probability (%)"),
+        description: translate("Share of cases taking this flow; all flows of the gateway must add up to 100"),
+        debounce,
+        validate: validatePercentage,
+        getValue: () => element.businessObject.get("custom:probability") || "",
+        setValue: value => modeling.updateProperties(element, { "custom:probability": value || undefined })
+    });
+}
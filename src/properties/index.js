@@ -0,0 +1,6 @@
+import MetricsPropertiesProvider from "./MetricsPropertiesProvider";
+
+export default {
+    __init__: ["metricsPropertiesProvider"],
+    metricsPropertiesProvider: ["type", MetricsPropertiesProvider]
+};
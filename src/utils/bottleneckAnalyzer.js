@@ -1,3 +1,28 @@
+import {
+    getFlowNodes,
+    getIncomingFlows,
+    getOutgoingFlows,
+    isSubProcessScope,
+    isTask,
+    isType
+} from "../validations/helpers";
+import { getBranchProbability, getTaskMetrics } from "./processMetrics";
+
+/**
+ * Heat scale used to colour tasks by their share of the largest contribution.
+ * Markers match the bottleneck-* classes in bpmn-styles.css.
+ */
+export const BOTTLENECK_LEVELS = [
+    { marker: "bottleneck-critical", label: "Critical", color: "#ff4d4f", min: 0.75 },
+    { marker: "bottleneck-high", label: "High", color: "#ff7a45", min: 0.5 },
+    { marker: "bottleneck-medium", label: "Medium", color: "#ffa940", min: 0.25 },
+    { marker: "bottleneck-low", label: "Low", color: "#52c41a", min: 0 }
+];
+
+const CRITICAL_PATH_MARKER = "bottleneck-path";
+
+const SYNCHRONISING_GATEWAYS = ["bpmn:ParallelGateway", "bpmn:InclusiveGateway", "bpmn:ComplexGateway"];
+
 /**
  * Parse duration string "HH:MM" to total minutes
  */
@@ -14,48 +39,231 @@ export function parseDuration(durationString) {
 }
 
 /**
- * Apply red color to tasks with highest duration
+ * Format total minutes back to "HH:MM"
  */
-export function applyBottleneckColors(modeler, tasks) {
-    const canvas = modeler.get("canvas");
-    const elementRegistry = modeler.get("elementRegistry");
+export function formatDuration(totalMinutes) {
+    const rounded = Math.round(totalMinutes || 0);
+    const hours = Math.floor(rounded / 60);
+    const minutes = rounded % 60;
 
-    // Clear existing bottleneck markers
-    elementRegistry.getAll().forEach(element => {
-        if (element.businessObject?.$type?.endsWith("Task")) {
-            canvas.removeMarker(element.id, "bottleneck-high");
-        }
-    });
+    return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+/**
+ * Duration in minutes from the custom:taskMetrics extension element
+ */
+export function getElementDuration(element) {
+    return parseDuration(getTaskMetrics(element.businessObject)?.duration);
+}
+
+/**
+ * Depth-first walk from the start nodes that marks loop-back flows,
+ * so the remaining flows form an acyclic graph. Loops are counted once.
+ */
+function findForwardGraph(starts) {
+    const state = new Map();
+    const backFlows = new Set();
 
-    // Find tasks with durations
-    const tasksWithDuration = tasks
-        .map(task => ({
-            ...task,
-            totalMinutes: parseDuration(task.duration)
-        }))
-        .filter(task => task.totalMinutes > 0);
+    const visit = node => {
+        state.set(node, "active");
+        getOutgoingFlows(node).forEach(flow => {
+            const target = flow.target;
+            if (!target) return;
 
-    if (tasksWithDuration.length === 0) {
-        return;
+            if (state.get(target) === "active") {
+                backFlows.add(flow);
+            } else if (!state.has(target)) {
+                visit(target);
+            }
+        });
+        state.set(node, "done");
+    };
+
+    starts.forEach(start => !state.has(start) && visit(start));
+
+    const reached = new Set(state.keys());
+    const isForward = flow => !backFlows.has(flow) && reached.has(flow.source) && reached.has(flow.target);
+
+    return { reached, isForward };
+}
+
+function topologicalOrder(reached, isForward) {
+    const pending = new Map();
+    reached.forEach(node => pending.set(node, getIncomingFlows(node).filter(isForward).length));
+
+    const queue = [...reached].filter(node => pending.get(node) === 0);
+    const order = [];
+
+    while (queue.length) {
+        const node = queue.shift();
+        order.push(node);
+
+        getOutgoingFlows(node)
+            .filter(isForward)
+            .forEach(flow => {
+                pending.set(flow.target, pending.get(flow.target) - 1);
+                if (pending.get(flow.target) === 0) {
+                    queue.push(flow.target);
+                }
+            });
     }
 
-    //find highest duration
-    let maxDuration = 0;
-    let bottleneckTask = null;
+    return order;
+}
+
+/**
+ * Expected-time propagation through one process or sub-process scope.
+ *
+ * Parallel (and inclusive) joins wait for the slowest incoming branch,
+ * other merges take the probability-weighted average of their branches.
+ * Sub-processes without their own duration take the cycle time of their content.
+ */
+function analyzeScope(nodes, childrenByScope, visitScale, stats) {
+    const starts = nodes.filter(node => isType(node, "bpmn:StartEvent"));
+    const entries = starts.length
+        ? starts
+        : nodes.filter(node => !node.businessObject.triggeredByEvent && getIncomingFlows(node).length === 0);
+
+    const { reached, isForward } = findForwardGraph(entries);
+
+    const visit = new Map();
+    const finish = new Map();
+    const longest = new Map();
+    const durations = new Map();
+    const criticalFlow = new Map();
+    const flowProbability = new Map();
 
-    for (const task of tasksWithDuration) {
-        if (task.totalMinutes > maxDuration) {
-            maxDuration = task.totalMinutes;
-            bottleneckTask = task;
+    topologicalOrder(reached, isForward).forEach(node => {
+        const incoming = getIncomingFlows(node).filter(isForward);
+        let probability = 1;
+        let arrival = 0;
+        let longestArrival = 0;
+
+        if (incoming.length) {
+            const probabilities = incoming.map(flow => flowProbability.get(flow));
+            const longestFlow = incoming.reduce((a, b) => (longest.get(b.source) > longest.get(a.source) ? b : a));
+            criticalFlow.set(node, longestFlow);
+            longestArrival = longest.get(longestFlow.source);
+
+            if (incoming.length > 1 && SYNCHRONISING_GATEWAYS.includes(node.businessObject.$type)) {
+                probability = Math.max(...probabilities);
+                arrival = Math.max(...incoming.map(flow => finish.get(flow.source)));
+            } else {
+                const total = probabilities.reduce((sum, p) => sum + p, 0);
+                probability = Math.min(1, total);
+                arrival = total
+                    ? incoming.reduce((sum, flow, i) => sum + probabilities[i] * finish.get(flow.source), 0) / total
+                    : 0;
+            }
         }
-    }
 
-    if (bottleneckTask) {
-        const element = elementRegistry.get(bottleneckTask.taskId);
-        if (element) {
-            canvas.addMarker(element.id, "bottleneck-high");
+        let duration = getElementDuration(node);
+        const children = childrenByScope.get(node.businessObject);
+        if (!duration && isSubProcessScope(node.businessObject) && children) {
+            duration = analyzeScope(children, childrenByScope, visitScale * probability, stats).cycleTime;
         }
+
+        visit.set(node, probability);
+        durations.set(node, duration);
+        finish.set(node, arrival + duration);
+        longest.set(node, longestArrival + duration);
+
+        if (isTask(node) && duration > 0) {
+            stats.push({
+                id: node.id,
+                name: node.businessObject.name || "",
+                type: node.businessObject.$type,
+                duration,
+                visitProbability: visitScale * probability,
+                expectedDuration: visitScale * probability * duration
+            });
+        }
+
+        getOutgoingFlows(node)
+            .filter(isForward)
+            .forEach(flow => flowProbability.set(flow, probability * getBranchProbability(flow)));
+    });
+
+    const ends = [...reached].filter(node => getOutgoingFlows(node).filter(isForward).length === 0);
+    if (!ends.length) {
+        return { cycleTime: 0, criticalPathDuration: 0, criticalPath: [], criticalFlowIds: [] };
+    }
+
+    // Ends reached with a combined probability above 1 are parallel, otherwise alternatives
+    const endProbability = ends.reduce((sum, node) => sum + visit.get(node), 0);
+    const cycleTime =
+        endProbability > 1 + 1e-9
+            ? Math.max(...ends.map(node => finish.get(node)))
+            : ends.reduce((sum, node) => sum + visit.get(node) * finish.get(node), 0) / (endProbability || 1);
+
+    // The critical path is the longest route, whichever branches the choices take
+    const criticalEnd = ends.reduce((a, b) => (longest.get(b) > longest.get(a) ? b : a));
+    const criticalPath = [];
+    const criticalFlowIds = [];
+
+    let node = criticalEnd;
+    while (node) {
+        criticalPath.unshift({
+            id: node.id,
+            name: node.businessObject.name || "",
+            type: node.businessObject.$type,
+            duration: durations.get(node)
+        });
+
+        const flow = criticalFlow.get(node);
+        if (flow) criticalFlowIds.unshift(flow.id);
+        node = flow?.source;
     }
+
+    return { cycleTime, criticalPathDuration: longest.get(criticalEnd), criticalPath, criticalFlowIds };
+}
+
+/**
+ * Analyse the whole diagram: expected cycle time, critical path and the
+ * ranked contribution of every task with a duration.
+ */
+export function analyzeBottlenecks(modeler) {
+    const childrenByScope = new Map();
+    getFlowNodes(modeler).forEach(node => {
+        const scope = node.businessObject.$parent;
+        childrenByScope.set(scope, [...(childrenByScope.get(scope) || []), node]);
+    });
+
+    const stats = [];
+    let primary = null;
+
+    childrenByScope.forEach((nodes, scope) => {
+        if (scope?.$type !== "bpmn:Process") return;
+
+        const result = analyzeScope(nodes, childrenByScope, 1, stats);
+        if (!primary || result.cycleTime > primary.cycleTime) {
+            primary = result;
+        }
+    });
+
+    const critical = new Set((primary?.criticalPath || []).map(step => step.id));
+    const maxContribution = Math.max(0, ...stats.map(task => task.expectedDuration));
+    const totalContribution = stats.reduce((sum, task) => sum + task.expectedDuration, 0);
+
+    const tasks = stats
+        .map(task => {
+            const ratio = maxContribution ? task.expectedDuration / maxContribution : 0;
+            return {
+                ...task,
+                share: totalContribution ? task.expectedDuration / totalContribution : 0,
+                onCriticalPath: critical.has(task.id),
+                level: BOTTLENECK_LEVELS.find(level => ratio >= level.min)
+            };
+        })
+        .sort((a, b) => b.expectedDuration - a.expectedDuration);
+
+    return {
+        cycleTime: primary?.cycleTime || 0,
+        criticalPathDuration: primary?.criticalPathDuration || 0,
+        criticalPath: primary?.criticalPath || [],
+        criticalFlowIds: primary?.criticalFlowIds || [],
+        tasks
+    };
 }
 
 /**
@@ -66,8 +274,29 @@ export function clearBottleneckColors(modeler) {
     const elementRegistry = modeler.get("elementRegistry");
 
     elementRegistry.getAll().forEach(element => {
-        if (element.businessObject?.$type?.endsWith("Task")) {
-            canvas.removeMarker(element.id, "bottleneck-high");
+        BOTTLENECK_LEVELS.forEach(level => canvas.removeMarker(element.id, level.marker));
+        canvas.removeMarker(element.id, CRITICAL_PATH_MARKER);
+    });
+}
+
+/**
+ * Colour tasks on the heat scale and highlight the critical path flows
+ */
+export function applyBottleneckColors(modeler, analysis) {
+    const canvas = modeler.get("canvas");
+    const elementRegistry = modeler.get("elementRegistry");
+
+    clearBottleneckColors(modeler);
+
+    analysis.tasks.forEach(task => {
+        if (elementRegistry.get(task.id)) {
+            canvas.addMarker(task.id, task.level.marker);
+        }
+    });
+
+    analysis.criticalFlowIds.forEach(id => {
+        if (elementRegistry.get(id)) {
+            canvas.addMarker(id, CRITICAL_PATH_MARKER);
         }
     });
 }
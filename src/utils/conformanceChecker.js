@@ -0,0 +1,326 @@
+import { getFlowNodes, getIncomingFlows, getOutgoingFlows, isGateway, isType } from "../validations/helpers";
+import { createActivityResolver, groupByCase, isActivity } from "./processMining";
+
+/**
+ * Token-replay conformance checking
+ *
+ * Replays every trace of an event log on the sequence-flow graph, with the
+ * flows as places and the activities as transitions. Gateways and events are
+ * silent: tokens move through them to enable the next logged activity.
+ *
+ * Per case:
+ *   fitness = 0.5 * (1 - missing / consumed) + 0.5 * (1 - remaining / produced)
+ * where a missing token means an activity ran while it wasn't enabled
+ * (unexpected) and a remaining token waits in front of an activity that never
+ * ran (skipped). Embedded sub-processes are replayed as a single activity.
+ */
+
+const OVERLAY_TYPE = "conformance";
+
+const SKIPPED_MARKER = "conformance-skipped";
+const UNEXPECTED_MARKER = "conformance-unexpected";
+
+// Gateways that pass a token on to a single chosen branch
+const CHOICE_GATEWAYS = [
+    "bpmn:ExclusiveGateway",
+    "bpmn:InclusiveGateway",
+    "bpmn:EventBasedGateway",
+    "bpmn:ComplexGateway"
+];
+
+const MAX_SILENT_STEPS = 50;
+
+function isSilent(node) {
+    return !isActivity(node) && !isType(node, "bpmn:EndEvent");
+}
+
+/**
+ * Token marking of one trace: tokens per sequence flow plus the replay counters
+ */
+function createMarking() {
+    const tokens = new Map();
+
+    return {
+        tokens,
+        produced: 0,
+        consumed: 0,
+        missing: 0,
+        count: flow => tokens.get(flow) || 0,
+        produce(flow) {
+            tokens.set(flow, (tokens.get(flow) || 0) + 1);
+            this.produced++;
+        },
+        consume(flow) {
+            if (this.count(flow) > 0) {
+                tokens.set(flow, tokens.get(flow) - 1);
+            } else {
+                this.missing++;
+            }
+            this.consumed++;
+        }
+    };
+}
+
+/**
+ * Shortest route from any marked flow through silent nodes to a node matching
+ * `isTarget`, as the list of flows it takes
+ */
+function findSilentPath(marking, isTarget) {
+    const queue = [...marking.tokens.entries()].filter(([, count]) => count > 0).map(([flow]) => [flow]);
+    const seen = new Set(queue.map(([flow]) => flow));
+
+    while (queue.length) {
+        const path = queue.shift();
+        const node = path[path.length - 1].target;
+
+        if (!node) continue;
+        if (isTarget(node)) return path;
+        if (!isSilent(node) || path.length > MAX_SILENT_STEPS) continue;
+
+        getOutgoingFlows(node)
+            .filter(flow => !seen.has(flow))
+            .forEach(flow => {
+                seen.add(flow);
+                queue.push([...path, flow]);
+            });
+    }
+
+    return null;
+}
+
+/**
+ * Move a token along a silent path, firing each gateway or event on the way.
+ * Parallel joins also take a token from their other incoming flows.
+ */
+function fireSilentPath(marking, path) {
+    for (let i = 0; i < path.length - 1; i++) {
+        const node = path[i].target;
+        const next = path[i + 1];
+
+        if (isType(node, "bpmn:ParallelGateway")) {
+            getIncomingFlows(node).forEach(flow => marking.consume(flow));
+        } else {
+            marking.consume(path[i]);
+        }
+
+        if (isGateway(node) && CHOICE_GATEWAYS.includes(node.businessObject.$type)) {
+            marking.produce(next);
+        } else {
+            getOutgoingFlows(node).forEach(flow => marking.produce(flow));
+        }
+    }
+}
+
+/**
+ * Fire an activity: take a token from an incoming flow, moving one in through
+ * gateways if needed, and put a token on every outgoing flow.
+ * Returns false when the activity was not enabled.
+ */
+function fireActivity(marking, activity) {
+    const incoming = getIncomingFlows(activity);
+    let enabled = true;
+
+    if (incoming.length) {
+        if (!incoming.some(flow => marking.count(flow) > 0)) {
+            const path = findSilentPath(marking, node => node === activity);
+            if (path) {
+                fireSilentPath(marking, path);
+            }
+        }
+
+        const marked = incoming.find(flow => marking.count(flow) > 0);
+        enabled = !!marked;
+        marking.consume(marked || incoming[0]);
+    }
+
+    getOutgoingFlows(activity).forEach(flow => marking.produce(flow));
+    return enabled;
+}
+
+/**
+ * Nearest activities a left-over token was waiting for
+ */
+function waitingActivities(flow) {
+    const found = new Set();
+    const seen = new Set([flow]);
+    const queue = [flow];
+
+    while (queue.length) {
+        const node = queue.shift().target;
+        if (!node) continue;
+
+        if (isActivity(node)) {
+            found.add(node);
+        } else if (isSilent(node)) {
+            getOutgoingFlows(node)
+                .filter(next => !seen.has(next))
+                .forEach(next => {
+                    seen.add(next);
+                    queue.push(next);
+                });
+        }
+    }
+
+    return found.size ? [...found] : [flow.target].filter(Boolean);
+}
+
+/**
+ * The start event the trace begins from: in the scope of its first activity,
+ * preferring one from which that activity can be reached
+ */
+function pickStartEvent(starts, firstActivity) {
+    const scope = firstActivity?.businessObject.$parent;
+    const candidates = starts.filter(start => !scope || start.businessObject.$parent === scope);
+
+    return (
+        candidates.find(start => {
+            const marking = createMarking();
+            getOutgoingFlows(start).forEach(flow => marking.tokens.set(flow, 1));
+            return findSilentPath(marking, node => node === firstActivity);
+        }) || candidates[0]
+    );
+}
+
+function replayTrace(caseId, trace, resolve, starts) {
+    const marking = createMarking();
+    const unexpected = [];
+
+    const mapped = trace.map(event => ({ event, element: resolve(event.activity) }));
+    const start = pickStartEvent(starts, mapped.find(item => item.element)?.element);
+
+    if (start) {
+        getOutgoingFlows(start).forEach(flow => marking.produce(flow));
+    }
+
+    mapped.forEach(({ event, element }) => {
+        if (!element) {
+            unexpected.push({ activity: event.activity, elementId: null });
+        } else if (!fireActivity(marking, element)) {
+            unexpected.push({ activity: event.activity, elementId: element.id });
+        }
+    });
+
+    // Let the remaining tokens flow to end events
+    let path = findSilentPath(marking, node => isType(node, "bpmn:EndEvent"));
+    while (path) {
+        fireSilentPath(marking, path);
+        marking.consume(path[path.length - 1]);
+        path = findSilentPath(marking, node => isType(node, "bpmn:EndEvent"));
+    }
+
+    const skipped = new Set();
+    let remaining = 0;
+    marking.tokens.forEach((count, flow) => {
+        if (count > 0) {
+            remaining += count;
+            waitingActivities(flow).forEach(element => skipped.add(element.id));
+        }
+    });
+
+    const { produced, consumed, missing } = marking;
+    const fitness =
+        0.5 * (consumed ? 1 - missing / consumed : 1) +
+        0.5 * (produced ? 1 - Math.min(remaining, produced) / produced : 1);
+
+    return {
+        caseId,
+        events: trace.length,
+        fitness,
+        produced,
+        consumed,
+        missing,
+        remaining,
+        skipped: [...skipped],
+        unexpected,
+        conforming: missing === 0 && remaining === 0 && unexpected.length === 0
+    };
+}
+
+/**
+ * Replay every case of the event log on the model.
+ *
+ * Returns { cases, averageFitness, conforming, nonConforming, elements } where
+ * `elements` counts in how many cases each element was skipped or unexpected.
+ */
+export function checkConformance(modeler, events) {
+    const flowNodes = getFlowNodes(modeler);
+    const resolve = createActivityResolver(flowNodes.filter(isActivity));
+    const starts = flowNodes.filter(node => isType(node, "bpmn:StartEvent") && !node.businessObject.triggeredByEvent);
+
+    const cases = [];
+    groupByCase(events).forEach((trace, caseId) => cases.push(replayTrace(caseId, trace, resolve, starts)));
+
+    const elements = new Map();
+    const count = (id, key) => {
+        const entry = elements.get(id) || { elementId: id, skipped: 0, unexpected: 0 };
+        entry[key]++;
+        elements.set(id, entry);
+    };
+
+    cases.forEach(result => {
+        result.skipped.forEach(id => count(id, "skipped"));
+        new Set(result.unexpected.map(item => item.elementId).filter(Boolean)).forEach(id => count(id, "unexpected"));
+    });
+
+    const nonConforming = cases.filter(result => !result.conforming).sort((a, b) => a.fitness - b.fitness);
+
+    return {
+        cases,
+        averageFitness: cases.length ? cases.reduce((sum, result) => sum + result.fitness, 0) / cases.length : 1,
+        conforming: cases.length - nonConforming.length,
+        nonConforming,
+        elements: [...elements.values()]
+    };
+}
+
+export function clearConformanceMarkers(modeler) {
+    const canvas = modeler.get("canvas");
+    const overlays = modeler.get("overlays");
+
+    overlays.remove({ type: OVERLAY_TYPE });
+    modeler
+        .get("elementRegistry")
+        .getAll()
+        .forEach(element => {
+            canvas.removeMarker(element.id, SKIPPED_MARKER);
+            canvas.removeMarker(element.id, UNEXPECTED_MARKER);
+        });
+}
+
+/**
+ * Mark deviating elements, either for the whole log or for a single case
+ * (pass one entry of `cases`), with the number of deviating cases as a badge
+ */
+export function applyConformanceMarkers(modeler, conformance, caseResult = null) {
+    const canvas = modeler.get("canvas");
+    const overlays = modeler.get("overlays");
+    const elementRegistry = modeler.get("elementRegistry");
+
+    clearConformanceMarkers(modeler);
+
+    const elements = caseResult
+        ? [
+              ...caseResult.skipped.map(id => ({ elementId: id, skipped: 1, unexpected: 0 })),
+              ...caseResult.unexpected
+                  .filter(item => item.elementId)
+                  .map(item => ({ elementId: item.elementId, skipped: 0, unexpected: 1 }))
+          ]
+        : conformance.elements;
+
+    elements.forEach(({ elementId, skipped, unexpected }) => {
+        if (!elementRegistry.get(elementId)) {
+            return;
+        }
+
+        if (skipped) canvas.addMarker(elementId, SKIPPED_MARKER);
+        if (unexpected) canvas.addMarker(elementId, UNEXPECTED_MARKER);
+
+        if (!caseResult) {
+            const parts = [skipped && `${skipped} skipped`, unexpected && `${unexpected} unexpected`].filter(Boolean);
+            overlays.add(elementId, OVERLAY_TYPE, {
+                position: { bottom: 10, left: -10 },
+                html: `<div class="conformance-badge" title="${parts.join(", ")}">${skipped + unexpected}</div>`
+            });
+        }
+    });
+}
@@ -46,6 +46,15 @@ export const customModdle = {
             ]
         },
 
+        {
+            name: "CustomSequenceFlow",
+            extends: ["bpmn:SequenceFlow"],
+            properties: [
+                // Percentage of tokens taking this flow out of an exclusive/inclusive gateway
+                { name: "probability", type: "String", isAttr: true }
+            ]
+        },
+
         /**
          * ===============================
          * EXTENSION ELEMENTS
@@ -61,8 +70,81 @@ export const customModdle = {
                     name: "duration",
                     type: "String",
                     isAttr: true
+                },
+                {
+                    name: "minDuration",
+                    type: "String",
+                    isAttr: true
+                },
+                {
+                    name: "maxDuration",
+                    type: "String",
+                    isAttr: true
+                },
+                {
+                    name: "cost",
+                    type: "String",
+                    isAttr: true
+                },
+                {
+                    name: "resource",
+                    type: "String",
+                    isAttr: true
                 }
             ]
+        },
+
+        /**
+         * ===============================
+         * REVIEW COMMENTS
+         * (Threads anchored to elements)
+         * ===============================
+         */
+
+        {
+            name: "commentThread",
+            superClass: ["Element"],
+            properties: [
+                { name: "id", type: "String", isAttr: true },
+                { name: "resolved", type: "Boolean", isAttr: true },
+                { name: "resolvedBy", type: "String", isAttr: true },
+                { name: "resolvedAt", type: "String", isAttr: true },
+                { name: "comments", type: "comment", isMany: true }
+            ]
+        },
+
+        {
+            name: "comment",
+            superClass: ["Element"],
+            properties: [
+                { name: "id", type: "String", isAttr: true },
+                { name: "author", type: "String", isAttr: true },
+                { name: "createdAt", type: "String", isAttr: true },
+                { name: "text", type: "String", isBody: true }
+            ]
         }
     ]
 };
+
+/**
+ * Namespace URIs used by earlier versions of the custom extension
+ * (src/custom shipped its own schema under http://custom-bpmn)
+ */
+export const LEGACY_CUSTOM_URIS = ["http://custom-bpmn"];
+
+/**
+ * Rewrite legacy namespace declarations to the current schema URI before import,
+ * so priority/risk/status attributes saved under either URI are read by moddle.
+ */
+export function migrateCustomNamespace(xml) {
+    if (!xml) {
+        return xml;
+    }
+
+    return LEGACY_CUSTOM_URIS.reduce((result, uri) => {
+        const escaped = uri.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+        const declaration = new RegExp(`(xmlns:[\\w.-]+\\s*=\\s*)(["'])${escaped}\\2`, "g");
+
+        return result.replace(declaration, `$1$2${customModdle.uri}$2`);
+    }, xml);
+}
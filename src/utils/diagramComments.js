@@ -0,0 +1,273 @@
+/**
+ * Diagram comments
+ *
+ * Review threads anchored to shapes and flows:
+ * { id, elementId, resolved, resolvedBy, comments: [{ id, author, date, text }] }
+ *
+ * Threads are stored in the diagram as custom:commentThread extension
+ * elements of the commented element, or come from the widget's comment
+ * datasource, one record per comment (see groupCommentRecords). Works with the
+ * Modeler, where changes are undoable commands, and with the viewers, where
+ * the business objects are changed directly.
+ */
+
+const OVERLAY_TYPE = "comment-badge";
+
+export const COMMENT_FILTERS = {
+    open: "Open",
+    resolved: "Resolved",
+    all: "All"
+};
+
+export function createCommentId(prefix) {
+    return `${prefix}_${Math.random().toString(36).slice(2, 9)}`;
+}
+
+function toDate(value) {
+    if (!value) {
+        return null;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function getThreadElements(bo) {
+    return (bo.extensionElements?.get("values") || []).filter(value => value.$type === "custom:commentThread");
+}
+
+function startedAt(thread) {
+    return thread.comments[0]?.date?.getTime() || 0;
+}
+
+function sortThreads(threads) {
+    return threads.sort((a, b) => startedAt(a) - startedAt(b));
+}
+
+/**
+ * Threads stored in the diagram, oldest first
+ */
+export function readDiagramComments(diagram) {
+    const threads = [];
+
+    diagram
+        .get("elementRegistry")
+        .filter(element => element.parent && !element.labelTarget)
+        .forEach(element =>
+            getThreadElements(element.businessObject).forEach(thread =>
+                threads.push({
+                    id: thread.id,
+                    elementId: element.id,
+                    resolved: !!thread.resolved,
+                    resolvedBy: thread.resolvedBy || "",
+                    comments: (thread.get("comments") || []).map(comment => ({
+                        id: comment.id,
+                        author: comment.author || "",
+                        date: toDate(comment.createdAt),
+                        text: comment.text || ""
+                    }))
+                })
+            )
+        );
+
+    return sortThreads(threads);
+}
+
+/**
+ * Threads from datasource records { id, threadId, elementId, author, date, text, resolved }.
+ * A thread is resolved when its first comment is.
+ */
+export function groupCommentRecords(records) {
+    const threads = new Map();
+
+    [...records]
+        .sort((a, b) => (toDate(a.date)?.getTime() || 0) - (toDate(b.date)?.getTime() || 0))
+        .forEach(record => {
+            const threadId = record.threadId || record.id;
+            if (!threads.has(threadId)) {
+                threads.set(threadId, {
+                    id: threadId,
+                    elementId: record.elementId,
+                    resolved: !!record.resolved,
+                    resolvedBy: "",
+                    comments: []
+                });
+            }
+
+            threads.get(threadId).comments.push({
+                id: record.id,
+                author: record.author || "",
+                date: toDate(record.date),
+                text: record.text || ""
+            });
+        });
+
+    return sortThreads([...threads.values()]);
+}
+
+/**
+ * Name shown for a commented element; threads can outlive their element
+ */
+export function getElementLabel(diagram, elementId) {
+    const element = diagram?.get("elementRegistry").get(elementId);
+    if (!element) {
+        return `${elementId} (removed)`;
+    }
+    return element.businessObject?.name || elementId;
+}
+
+export function filterThreads(threads, filter) {
+    if (filter === "open") {
+        return threads.filter(thread => !thread.resolved);
+    }
+    if (filter === "resolved") {
+        return threads.filter(thread => thread.resolved);
+    }
+    return threads;
+}
+
+// ---------------------------------------------------------------------------
+// Writing to the diagram
+// ---------------------------------------------------------------------------
+
+/**
+ * Set properties of a business object or one of its extension elements;
+ * through modeling when available so the change can be undone
+ */
+function update(diagram, element, target, properties) {
+    const modeling = diagram.get("modeling", false);
+
+    if (modeling) {
+        if (target === element.businessObject) {
+            modeling.updateProperties(element, properties);
+        } else {
+            modeling.updateModdleProperties(element, target, properties);
+        }
+        return;
+    }
+
+    Object.entries(properties).forEach(([key, value]) => target.set(key, value));
+}
+
+function findThread(diagram, threadId) {
+    let found = null;
+
+    diagram.get("elementRegistry").forEach(element => {
+        if (found || !element.businessObject) return;
+
+        const thread = getThreadElements(element.businessObject).find(candidate => candidate.id === threadId);
+        if (thread) {
+            found = { element, thread };
+        }
+    });
+
+    return found;
+}
+
+/**
+ * Add a comment to a thread, or start a new thread on the element without `threadId`
+ */
+export function addDiagramComment(diagram, elementId, { threadId, author, text }) {
+    const moddle = diagram.get("moddle");
+
+    const comment = moddle.create("custom:comment", {
+        id: createCommentId("Comment"),
+        author,
+        createdAt: new Date().toISOString(),
+        text
+    });
+
+    if (threadId) {
+        const found = findThread(diagram, threadId);
+        if (!found) {
+            throw new Error(`Comment thread "${threadId}" does not exist`);
+        }
+
+        comment.$parent = found.thread;
+        update(diagram, found.element, found.thread, { comments: [...found.thread.get("comments"), comment] });
+        return;
+    }
+
+    const element = diagram.get("elementRegistry").get(elementId);
+    if (!element) {
+        throw new Error(`Element "${elementId}" does not exist`);
+    }
+
+    const bo = element.businessObject;
+    const thread = moddle.create("custom:commentThread", {
+        id: createCommentId("Thread"),
+        comments: [comment]
+    });
+    comment.$parent = thread;
+
+    if (bo.extensionElements) {
+        thread.$parent = bo.extensionElements;
+        update(diagram, element, bo.extensionElements, {
+            values: [...bo.extensionElements.get("values"), thread]
+        });
+        return;
+    }
+
+    const extensionElements = moddle.create("bpmn:ExtensionElements", { values: [thread] });
+    thread.$parent = extensionElements;
+    extensionElements.$parent = bo;
+
+    update(diagram, element, bo, { extensionElements });
+}
+
+export function setDiagramThreadResolved(diagram, threadId, resolved, user) {
+    const found = findThread(diagram, threadId);
+    if (!found) {
+        throw new Error(`Comment thread "${threadId}" does not exist`);
+    }
+
+    update(diagram, found.element, found.thread, {
+        resolved: resolved || undefined,
+        resolvedBy: resolved && user ? user : undefined,
+        resolvedAt: resolved ? new Date().toISOString() : undefined
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Overlays
+// ---------------------------------------------------------------------------
+
+export function clearCommentOverlays(diagram) {
+    diagram.get("overlays").remove({ type: OVERLAY_TYPE });
+}
+
+/**
+ * Badge with the number of threads on each commented element; clicking it
+ * calls onSelect(elementId)
+ */
+export function applyCommentOverlays(diagram, threads, onSelect) {
+    const overlays = diagram.get("overlays");
+    const elementRegistry = diagram.get("elementRegistry");
+
+    clearCommentOverlays(diagram);
+
+    const byElement = new Map();
+    threads.forEach(thread => byElement.set(thread.elementId, [...(byElement.get(thread.elementId) || []), thread]));
+
+    byElement.forEach((elementThreads, elementId) => {
+        if (!elementRegistry.get(elementId)) {
+            return;
+        }
+
+        const open = elementThreads.filter(thread => !thread.resolved).length;
+
+        const badge = document.createElement("button");
+        badge.type = "button";
+        badge.className = `comment-badge${open ? "" : " resolved"}`;
+        badge.textContent = String(elementThreads.length);
+        badge.title = open ? `${open} open comment thread(s)` : `${elementThreads.length} resolved comment thread(s)`;
+        badge.addEventListener("click", event => {
+            event.stopPropagation();
+            onSelect?.(elementId);
+        });
+
+        overlays.add(elementId, OVERLAY_TYPE, {
+            position: { bottom: 12, left: -12 },
+            html: badge
+        });
+    });
+}
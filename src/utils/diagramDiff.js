@@ -0,0 +1,309 @@
+import { migrateCustomNamespace } from "./customModdle";
+
+/**
+ * Diagram diff
+ *
+ * Compares two BPMN definitions by element ID and reports, per element, what
+ * changed between the old and the new revision:
+ * - added / removed: the ID only exists in one revision
+ * - renamed: the name differs
+ * - changed: any other semantic property (type, custom attributes,
+ *   documentation, conditions, metrics, source or target, ...)
+ * - moved: the shape bounds or connection waypoints differ
+ *
+ * The new revision is usually the diagram on the canvas, so the changes can be
+ * marked there (removed elements only appear in the change list).
+ */
+
+export const DIFF_KINDS = {
+    added: { label: "Added", marker: "diff-added" },
+    removed: { label: "Removed", marker: "diff-removed" },
+    changed: { label: "Changed", marker: "diff-changed" },
+    renamed: { label: "Renamed", marker: "diff-renamed" },
+    moved: { label: "Moved", marker: "diff-moved" }
+};
+
+// Most significant first; an element is marked with its first kind
+const KIND_ORDER = ["added", "removed", "changed", "renamed", "moved"];
+
+// Compared separately (name, DI) or structural collections diffed per element
+const SKIPPED_PROPERTIES = [
+    "id",
+    "name",
+    "di",
+    "flowElements",
+    "artifacts",
+    "laneSets",
+    "childLaneSet",
+    "lanes",
+    "flowNodeRef",
+    "incoming",
+    "outgoing",
+    "participants",
+    "messageFlows",
+    "rootElements",
+    "diagrams"
+];
+
+const MAX_SUMMARY_DEPTH = 4;
+
+// Differences below this many pixels are layout noise
+const POSITION_TOLERANCE = 1;
+
+/**
+ * Parse BPMN XML with the modeler's moddle (which knows the custom extension)
+ */
+export function parseDefinitions(moddle, xml) {
+    return moddle.fromXML(migrateCustomNamespace(xml), "bpmn:Definitions").then(result => result.rootElement);
+}
+
+// Namespace declarations and xsi:type are serialization details
+function isSemanticAttribute(key) {
+    return !key.startsWith("xmlns") && key !== "xsi:type";
+}
+
+function summarize(value, depth = 0) {
+    if (value === undefined || value === null) {
+        return "";
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => summarize(item, depth)).join(", ");
+    }
+
+    if (typeof value !== "object") {
+        return String(value);
+    }
+
+    if (depth >= MAX_SUMMARY_DEPTH) {
+        return value.$type || "";
+    }
+
+    const parts = [];
+    (value.$descriptor?.properties || []).forEach(property => {
+        if (property.isReference || property.name === "id") {
+            return;
+        }
+        const text = summarize(value.get(property.name), depth + 1);
+        if (text) {
+            parts.push(`${property.name}=${text}`);
+        }
+    });
+    Object.entries(value.$attrs || {})
+        .filter(([key]) => isSemanticAttribute(key))
+        .forEach(([key, attr]) => parts.push(`${key}=${attr}`));
+
+    return `${value.$type || ""}${parts.length ? `(${parts.join("; ")})` : ""}`;
+}
+
+/**
+ * Flat { property: text } view of an element's semantic properties
+ */
+function describeProperties(bo) {
+    const properties = { type: bo.$type };
+
+    (bo.$descriptor?.properties || []).forEach(property => {
+        if (property.isVirtual || SKIPPED_PROPERTIES.includes(property.name)) {
+            return;
+        }
+
+        const value = bo.get(property.name);
+        let text;
+
+        if (property.isReference) {
+            text = (Array.isArray(value) ? value : [value])
+                .filter(Boolean)
+                .map(ref => ref.id)
+                .join(", ");
+        } else {
+            text = summarize(value);
+        }
+
+        if (text) {
+            properties[property.name] = text;
+        }
+    });
+
+    Object.entries(bo.$attrs || {})
+        .filter(([key]) => isSemanticAttribute(key))
+        .forEach(([key, value]) => {
+            properties[key] = String(value);
+        });
+
+    return properties;
+}
+
+/**
+ * Map(id -> business object) of all diagram elements, including nested ones
+ */
+function collectElements(definitions) {
+    const elements = new Map();
+
+    const visit = bo => {
+        if (!bo || !bo.id || elements.has(bo.id)) {
+            return;
+        }
+        elements.set(bo.id, bo);
+
+        ["flowElements", "artifacts", "participants", "messageFlows"].forEach(key =>
+            (bo.get?.(key) || []).forEach(visit)
+        );
+        (bo.get?.("laneSets") || []).forEach(laneSet => (laneSet.lanes || []).forEach(visit));
+        (bo.childLaneSet?.lanes || []).forEach(visit);
+    };
+
+    (definitions.rootElements || [])
+        .filter(root => root.$type === "bpmn:Process" || root.$type === "bpmn:Collaboration")
+        .forEach(visit);
+
+    return elements;
+}
+
+/**
+ * Map(element id -> { bounds } | { waypoints }) from all diagrams
+ */
+function collectLayout(definitions) {
+    const layout = new Map();
+
+    (definitions.diagrams || []).forEach(diagram =>
+        (diagram.plane?.planeElement || []).forEach(di => {
+            const id = di.bpmnElement?.id;
+            if (!id) return;
+
+            if (di.bounds) {
+                layout.set(id, { bounds: di.bounds });
+            } else if (di.waypoint) {
+                layout.set(id, { waypoints: di.waypoint });
+            }
+        })
+    );
+
+    return layout;
+}
+
+function differs(a, b) {
+    return Math.abs((a || 0) - (b || 0)) > POSITION_TOLERANCE;
+}
+
+function hasMoved(before, after) {
+    if (!before || !after) {
+        return false;
+    }
+
+    if (before.bounds && after.bounds) {
+        return ["x", "y", "width", "height"].some(key => differs(before.bounds[key], after.bounds[key]));
+    }
+
+    const a = before.waypoints || [];
+    const b = after.waypoints || [];
+    return a.length !== b.length || a.some((point, i) => differs(point.x, b[i].x) || differs(point.y, b[i].y));
+}
+
+function toEntry(bo, kinds, details = []) {
+    return {
+        elementId: bo.id,
+        elementType: bo.$type,
+        name: bo.name || "",
+        kind: KIND_ORDER.find(kind => kinds.includes(kind)),
+        kinds,
+        details
+    };
+}
+
+/**
+ * Compare two parsed definitions. Returns { changes, counts } where changes is
+ * a list of { elementId, elementType, name, kind, kinds, details } and details
+ * lists { property, before, after } for renamed and changed elements.
+ */
+export function diffDefinitions(oldDefinitions, newDefinitions) {
+    const before = collectElements(oldDefinitions);
+    const after = collectElements(newDefinitions);
+    const layoutBefore = collectLayout(oldDefinitions);
+    const layoutAfter = collectLayout(newDefinitions);
+
+    const changes = [];
+
+    after.forEach((bo, id) => {
+        const previous = before.get(id);
+        if (!previous) {
+            changes.push(toEntry(bo, ["added"]));
+            return;
+        }
+
+        const kinds = [];
+        const details = [];
+
+        if ((previous.name || "") !== (bo.name || "")) {
+            kinds.push("renamed");
+            details.push({ property: "name", before: previous.name || "", after: bo.name || "" });
+        }
+
+        const propsBefore = describeProperties(previous);
+        const propsAfter = describeProperties(bo);
+        new Set([...Object.keys(propsBefore), ...Object.keys(propsAfter)]).forEach(property => {
+            if ((propsBefore[property] || "") !== (propsAfter[property] || "")) {
+                details.push({ property, before: propsBefore[property] || "", after: propsAfter[property] || "" });
+            }
+        });
+        if (details.some(detail => detail.property !== "name")) {
+            kinds.push("changed");
+        }
+
+        if (hasMoved(layoutBefore.get(id), layoutAfter.get(id))) {
+            kinds.push("moved");
+        }
+
+        if (kinds.length) {
+            changes.push(toEntry(bo, kinds, details));
+        }
+    });
+
+    before.forEach((bo, id) => {
+        if (!after.has(id)) {
+            changes.push(toEntry(bo, ["removed"]));
+        }
+    });
+
+    changes.sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind));
+
+    const counts = {};
+    KIND_ORDER.forEach(kind => {
+        counts[kind] = changes.filter(change => change.kinds.includes(kind)).length;
+    });
+
+    return { changes, counts };
+}
+
+/**
+ * Diff a previous revision (XML) against the diagram in the modeler
+ */
+export function diffWithModeler(modeler, previousXml) {
+    return parseDefinitions(modeler.get("moddle"), previousXml).then(previous =>
+        diffDefinitions(previous, modeler.getDefinitions())
+    );
+}
+
+export function clearDiffMarkers(modeler) {
+    const canvas = modeler.get("canvas");
+
+    modeler
+        .get("elementRegistry")
+        .getAll()
+        .forEach(element => KIND_ORDER.forEach(kind => canvas.removeMarker(element.id, DIFF_KINDS[kind].marker)));
+}
+
+/**
+ * Colour the changed elements that exist on the canvas by their main kind
+ */
+export function applyDiffMarkers(modeler, diff) {
+    const canvas = modeler.get("canvas");
+    const elementRegistry = modeler.get("elementRegistry");
+
+    clearDiffMarkers(modeler);
+
+    diff.changes.forEach(change => {
+        if (elementRegistry.get(change.elementId)) {
+            canvas.addMarker(change.elementId, DIFF_KINDS[change.kind].marker);
+        }
+    });
+}
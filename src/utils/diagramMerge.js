@@ -0,0 +1,480 @@
+import { migrateCustomNamespace } from "./customModdle";
+
+/**
+ * Diagram merge
+ *
+ * Three-way merge of BPMN XML at element level, for diagrams edited in two
+ * sessions at once: `base` is the stored diagram both sessions started from,
+ * `mine` the diagram on the canvas and `theirs` the diagram stored since.
+ *
+ * Every element with an ID is merged on its own, in two aspects:
+ * - element: its attributes, content, container and lanes (or its absence)
+ * - layout: its BPMNShape / BPMNEdge
+ * A side that changed an aspect wins over a side that left it as in base;
+ * when both changed it differently, that is a conflict to resolve.
+ *
+ * Incoming/outgoing flow and lane references are derived data: they are left
+ * out of the comparison and rebuilt on the merged diagram. Deleted elements
+ * that a kept element still refers to (as container, source, target, host or
+ * lane) are restored.
+ *
+ * Works on the XML DOM, so the browser's DOMParser / XMLSerializer are used.
+ */
+
+const BPMN_NS = "http://www.omg.org/spec/BPMN/20100524/MODEL";
+const BPMNDI_NS = "http://www.omg.org/spec/BPMN/20100524/DI";
+
+// Parent of root elements (processes, collaborations, messages, ...)
+const ROOT = "#definitions";
+
+// Rebuilt from the merged sequence flows and lane assignments
+const DERIVED_CHILDREN = ["incoming", "outgoing", "flowNodeRef"];
+
+// Attributes that hold the ID of another element
+const REFERENCE_ATTRIBUTES = ["sourceRef", "targetRef", "attachedToRef", "default", "processRef"];
+
+// Children that precede incoming/outgoing in a flow node
+const LEADING_CHILDREN = ["documentation", "extensionElements", "auditing", "monitoring", "categoryValueRef"];
+
+function parseXml(xml) {
+    const doc = new DOMParser().parseFromString(migrateCustomNamespace(xml), "application/xml");
+
+    if (doc.getElementsByTagName("parsererror").length) {
+        throw new Error("The diagram XML could not be read");
+    }
+
+    return doc;
+}
+
+function elementChildren(node) {
+    return Array.from(node.childNodes).filter(child => child.nodeType === 1);
+}
+
+function isOwnElement(node) {
+    return node.nodeType === 1 && node.namespaceURI !== BPMNDI_NS && node.hasAttribute("id");
+}
+
+function isDerived(node) {
+    return node.namespaceURI === BPMN_NS && DERIVED_CHILDREN.includes(node.localName);
+}
+
+/**
+ * Prefix-independent text of a node, so documents written with different
+ * namespace prefixes or indentation compare equal
+ */
+function canonical(node, isOwner = false) {
+    if (node.nodeType === 3 || node.nodeType === 4) {
+        return node.nodeValue.trim();
+    }
+    if (node.nodeType !== 1) {
+        return "";
+    }
+
+    const attributes = Array.from(node.attributes)
+        .filter(attr => !attr.name.startsWith("xmlns") && !(isOwner && attr.name === "id"))
+        .map(attr => `${attr.namespaceURI || ""}|${attr.localName}=${attr.value}`)
+        .sort()
+        .join(" ");
+
+    const children = Array.from(node.childNodes)
+        .filter(child => !isOwner || (!isOwnElement(child) && !isDerived(child)))
+        .map(child => canonical(child))
+        .join("");
+
+    return `<${node.namespaceURI}|${node.localName} ${attributes}>${children}</>`;
+}
+
+/**
+ * BPMNShape / BPMNEdge by element ID
+ */
+function indexLayout(doc) {
+    const layout = new Map();
+
+    ["BPMNShape", "BPMNEdge"].forEach(tag =>
+        Array.from(doc.getElementsByTagNameNS(BPMNDI_NS, tag)).forEach(di => {
+            layout.set(di.getAttribute("bpmnElement"), { node: di, fingerprint: canonical(di, true) });
+        })
+    );
+
+    return layout;
+}
+
+/**
+ * Elements by ID with their container and lanes, and their DI by element ID
+ */
+function indexDocument(doc) {
+    const elements = new Map();
+
+    const visit = (node, parentId, depth) => {
+        elementChildren(node)
+            .filter(isOwnElement)
+            .forEach(child => {
+                const id = child.getAttribute("id");
+                elements.set(id, { node: child, parentId, depth, lanes: [] });
+                visit(child, id, depth + 1);
+            });
+    };
+    visit(doc.documentElement, ROOT, 0);
+
+    elements.forEach((entry, laneId) => {
+        if (entry.node.namespaceURI !== BPMN_NS || entry.node.localName !== "lane") return;
+
+        elementChildren(entry.node)
+            .filter(child => child.localName === "flowNodeRef")
+            .forEach(ref => elements.get(ref.textContent.trim())?.lanes.push(laneId));
+    });
+
+    elements.forEach(entry => {
+        entry.lanes.sort();
+        entry.fingerprint = `${entry.parentId}\n${entry.lanes.join(",")}\n${canonical(entry.node, true)}`;
+    });
+
+    return { elements, layout: indexLayout(doc) };
+}
+
+/**
+ * "mine", "theirs" or "conflict" for one aspect, given its fingerprints (null when absent)
+ */
+function pick(base, mine, theirs) {
+    if (mine === theirs || theirs === base) {
+        return "mine";
+    }
+    if (mine === base) {
+        return "theirs";
+    }
+    return "conflict";
+}
+
+function describeChange(baseEntry, entry) {
+    if (!entry) {
+        return "Deleted";
+    }
+    if (!baseEntry) {
+        return "Added";
+    }
+
+    const changed = [];
+    const names = new Set(
+        [...baseEntry.node.attributes, ...entry.node.attributes].map(attr => attr.name).filter(name => name !== "id")
+    );
+    names.forEach(name => {
+        if (baseEntry.node.getAttribute(name) !== entry.node.getAttribute(name)) {
+            changed.push(name === "name" ? `name to "${entry.node.getAttribute("name") || ""}"` : name);
+        }
+    });
+
+    const content = node =>
+        elementChildren(node)
+            .filter(child => !isOwnElement(child) && !isDerived(child))
+            .map(child => canonical(child))
+            .join("");
+    if (baseEntry.node.localName !== entry.node.localName) changed.push("type");
+    if (content(baseEntry.node) !== content(entry.node)) changed.push("details");
+    if (baseEntry.parentId !== entry.parentId) changed.push("container");
+    if (baseEntry.lanes.join() !== entry.lanes.join()) changed.push("lane");
+
+    return changed.length ? `Changed ${changed.join(", ")}` : "Changed";
+}
+
+/**
+ * Compare the three versions. Returns a plan { conflicts, changes, ... } for
+ * applyMerge, where conflicts lists
+ * { key, elementId, elementType, name, aspect, mine, theirs } (mine/theirs
+ * describe each side's change) and changes counts the elements taken from theirs.
+ */
+export function planMerge(baseXml, mineXml, theirsXml) {
+    const base = indexDocument(parseXml(baseXml));
+    const mine = indexDocument(parseXml(mineXml));
+    const theirs = indexDocument(parseXml(theirsXml));
+
+    const ids = new Set([...base.elements.keys(), ...mine.elements.keys(), ...theirs.elements.keys()]);
+    const decisions = new Map();
+    const conflicts = [];
+    let changes = 0;
+
+    const addConflict = (id, aspect, mineText, theirsText) => {
+        const entry = mine.elements.get(id) || theirs.elements.get(id) || base.elements.get(id);
+        conflicts.push({
+            key: `${id}:${aspect}`,
+            elementId: id,
+            elementType: entry.node.localName,
+            name: entry.node.getAttribute("name") || "",
+            aspect,
+            mine: mineText,
+            theirs: theirsText
+        });
+    };
+
+    ids.forEach(id => {
+        const [b, m, t] = [base, mine, theirs].map(index => index.elements.get(id));
+        const element = pick(b?.fingerprint || null, m?.fingerprint || null, t?.fingerprint || null);
+
+        // Layout is merged separately only when both sides kept the element
+        let layout = "follow";
+        if (m && t) {
+            const [bl, ml, tl] = [base, mine, theirs].map(index => index.layout.get(id)?.fingerprint || null);
+            layout = pick(bl, ml, tl);
+            if (layout === "conflict" && element === "conflict") {
+                layout = "follow";
+            }
+        }
+
+        if (element === "conflict") {
+            addConflict(id, "element", describeChange(b, m), describeChange(b, t));
+        }
+        if (layout === "conflict") {
+            addConflict(id, "layout", "Moved", "Moved");
+        }
+        if (element === "theirs" || layout === "theirs") {
+            changes++;
+        }
+
+        decisions.set(id, { element, layout });
+    });
+
+    return { base, mine, theirs, decisions, conflicts, changes, mineXml };
+}
+
+/**
+ * Element ID -> side ("mine" / "theirs") for every element of the merged
+ * diagram, after restoring deleted elements that are still referenced
+ */
+function resolveElements(plan, resolutions) {
+    const { mine, theirs, decisions } = plan;
+    const kept = new Map();
+
+    decisions.forEach((decision, id) => {
+        const side = decision.element === "conflict" ? resolutions[`${id}:element`] || "mine" : decision.element;
+        if (plan[side].elements.has(id)) {
+            kept.set(id, side);
+        }
+    });
+
+    const queue = [...kept.keys()];
+    while (queue.length) {
+        const id = queue.shift();
+        const { node, parentId, lanes } = plan[kept.get(id)].elements.get(id);
+        const references = [parentId, ...lanes, ...REFERENCE_ATTRIBUTES.map(name => node.getAttribute(name))];
+
+        references.forEach(ref => {
+            if (!ref || kept.has(ref)) return;
+
+            const side = mine.elements.has(ref) ? "mine" : theirs.elements.has(ref) && "theirs";
+            if (side) {
+                kept.set(ref, side);
+                queue.push(ref);
+            }
+        });
+    }
+
+    return kept;
+}
+
+function createLike(sibling, localName) {
+    const prefix = sibling.prefix ? `${sibling.prefix}:` : "";
+    return sibling.ownerDocument.createElementNS(BPMN_NS, `${prefix}${localName}`);
+}
+
+/**
+ * Put a node taken from theirs into the merged parent, after the nearest
+ * preceding sibling it had in theirs
+ */
+function insertNode(parent, node, theirsNode, nodes) {
+    for (let prev = theirsNode.previousElementSibling; prev; prev = prev.previousElementSibling) {
+        const merged = prev.hasAttribute("id") && nodes.get(prev.getAttribute("id"));
+        if (merged && merged.parentNode === parent) {
+            parent.insertBefore(node, merged.nextSibling);
+            return;
+        }
+    }
+
+    parent.insertBefore(node, elementChildren(parent).find(isOwnElement) || null);
+}
+
+/**
+ * Copy of theirs' element (attributes and own content) that adopts the
+ * child elements of the existing merged node
+ */
+function adoptFromTheirs(doc, theirsNode, existing) {
+    const node = doc.importNode(theirsNode, false);
+
+    elementChildren(theirsNode)
+        .filter(child => !isOwnElement(child) && !isDerived(child))
+        .forEach(child => node.appendChild(doc.importNode(child, true)));
+
+    if (existing) {
+        elementChildren(existing)
+            .filter(isOwnElement)
+            .forEach(child => node.appendChild(child));
+    }
+
+    return node;
+}
+
+/**
+ * Rebuild lane references and incoming/outgoing flows from the merged elements
+ */
+function rebuildDerived(nodes, kept, plan) {
+    const flows = new Map();
+    const refsOf = id => {
+        if (!flows.has(id)) flows.set(id, { incoming: [], outgoing: [] });
+        return flows.get(id);
+    };
+    const lanes = new Map();
+
+    kept.forEach((side, id) => {
+        const entry = plan[side].elements.get(id);
+        const node = nodes.get(id);
+
+        if (node.namespaceURI === BPMN_NS && node.localName === "sequenceFlow") {
+            refsOf(node.getAttribute("sourceRef")).outgoing.push(id);
+            refsOf(node.getAttribute("targetRef")).incoming.push(id);
+        }
+        if (node.namespaceURI === BPMN_NS && node.localName === "lane") {
+            lanes.set(id, []);
+        }
+        entry.lanes.forEach(laneId => {
+            if (!lanes.has(laneId)) lanes.set(laneId, []);
+            lanes.get(laneId).push(id);
+        });
+    });
+
+    lanes.forEach((members, laneId) => {
+        const lane = nodes.get(laneId);
+        if (!lane || !kept.has(laneId)) return;
+
+        elementChildren(lane)
+            .filter(child => child.localName === "flowNodeRef")
+            .forEach(child => lane.removeChild(child));
+
+        const before = elementChildren(lane).find(child => child.localName === "childLaneSet") || null;
+        members
+            .filter(id => kept.has(id))
+            .forEach(id => {
+                const ref = createLike(lane, "flowNodeRef");
+                ref.textContent = id;
+                lane.insertBefore(ref, before);
+            });
+    });
+
+    kept.forEach((side, id) => {
+        const node = nodes.get(id);
+        const existing = elementChildren(node).filter(
+            child => child.namespaceURI === BPMN_NS && ["incoming", "outgoing"].includes(child.localName)
+        );
+        if (!existing.length && !flows.has(id)) return;
+
+        existing.forEach(child => node.removeChild(child));
+
+        const { incoming, outgoing } = flows.get(id) || { incoming: [], outgoing: [] };
+        const before = elementChildren(node).find(child => !LEADING_CHILDREN.includes(child.localName)) || null;
+        [...incoming.map(flowId => ["incoming", flowId]), ...outgoing.map(flowId => ["outgoing", flowId])].forEach(
+            ([localName, flowId]) => {
+                const ref = createLike(node, localName);
+                ref.textContent = flowId;
+                node.insertBefore(ref, before);
+            }
+        );
+    });
+}
+
+/**
+ * The plane of the merged document that shows the same process or
+ * collaboration as theirs' plane; added when missing (e.g. a new subprocess)
+ */
+function findPlane(doc, theirsPlane) {
+    const target = theirsPlane.getAttribute("bpmnElement");
+    const planes = Array.from(doc.getElementsByTagNameNS(BPMNDI_NS, "BPMNPlane"));
+    const plane = planes.find(candidate => candidate.getAttribute("bpmnElement") === target);
+    if (plane) {
+        return plane;
+    }
+
+    const diagram = doc.importNode(theirsPlane.parentNode, false);
+    const newPlane = doc.importNode(theirsPlane, false);
+    diagram.appendChild(newPlane);
+    doc.documentElement.appendChild(diagram);
+    return newPlane;
+}
+
+function mergeLayout(doc, plan, kept, resolutions) {
+    const { mine, theirs, decisions } = plan;
+    const layout = indexLayout(doc);
+
+    decisions.forEach((decision, id) => {
+        const current = layout.get(id)?.node;
+        const side = kept.get(id);
+
+        if (!side) {
+            current?.parentNode.removeChild(current);
+            return;
+        }
+
+        let layoutSide = decision.layout;
+        if (side === "theirs" && !mine.elements.has(id)) layoutSide = "theirs";
+        else if (side === "mine" && !theirs.elements.has(id)) layoutSide = "mine";
+        else if (layoutSide === "follow") layoutSide = side;
+        else if (layoutSide === "conflict") layoutSide = resolutions[`${id}:layout`] || "mine";
+
+        const theirsDi = theirs.layout.get(id)?.node;
+        if (layoutSide !== "theirs" || !theirsDi) return;
+
+        const node = doc.importNode(theirsDi, true);
+        const plane = findPlane(doc, theirsDi.parentNode);
+        if (current && current.parentNode === plane) {
+            plane.replaceChild(node, current);
+        } else {
+            current?.parentNode.removeChild(current);
+            plane.appendChild(node);
+        }
+    });
+}
+
+/**
+ * Build the merged XML. `resolutions` maps conflict keys to "mine" or
+ * "theirs"; unresolved conflicts keep mine.
+ */
+export function applyMerge(plan, resolutions = {}) {
+    if (!plan.changes && !plan.conflicts.some(conflict => resolutions[conflict.key] === "theirs")) {
+        return plan.mineXml;
+    }
+
+    const doc = parseXml(plan.mineXml);
+    const nodes = new Map();
+    indexDocument(doc).elements.forEach((entry, id) => nodes.set(id, entry.node));
+
+    const kept = resolveElements(plan, resolutions);
+
+    // Containers before their content
+    const fromTheirs = [...kept.entries()]
+        .filter(([, side]) => side === "theirs")
+        .map(([id]) => id)
+        .sort((a, b) => plan.theirs.elements.get(a).depth - plan.theirs.elements.get(b).depth);
+
+    fromTheirs.forEach(id => {
+        const entry = plan.theirs.elements.get(id);
+        const existing = nodes.get(id);
+        const parent = entry.parentId === ROOT ? doc.documentElement : nodes.get(entry.parentId);
+        const node = adoptFromTheirs(doc, entry.node, existing);
+
+        if (existing && existing.parentNode === parent) {
+            parent.replaceChild(node, existing);
+        } else {
+            existing?.parentNode.removeChild(existing);
+            insertNode(parent, node, entry.node, nodes);
+        }
+        nodes.set(id, node);
+    });
+
+    nodes.forEach((node, id) => {
+        if (!kept.has(id) && node.parentNode) {
+            node.parentNode.removeChild(node);
+        }
+    });
+    [...nodes.keys()].filter(id => !kept.has(id)).forEach(id => nodes.delete(id));
+
+    rebuildDerived(nodes, kept, plan);
+    mergeLayout(doc, plan, kept, resolutions);
+
+    return new XMLSerializer().serializeToString(doc);
+}
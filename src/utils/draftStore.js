@@ -0,0 +1,96 @@
+/**
+ * Draft storage
+ *
+ * Keeps unsaved diagram XML in IndexedDB so edits survive a crashed tab or an
+ * expired Mendix session. One draft per key:
+ * { key, xml, baseXml, savedAt }, where baseXml is the saved diagram the
+ * draft was started from and savedAt a timestamp in milliseconds.
+ *
+ * Also keeps the last MAX_SNAPSHOTS saved versions per key as local
+ * snapshots { id, key, xml, label, savedAt } for the version history.
+ *
+ * All functions return promises and reject when IndexedDB is unavailable
+ * (private browsing, blocked storage).
+ */
+
+const DB_NAME = "bpmnwidget";
+const DB_VERSION = 2;
+const STORE = "drafts";
+const SNAPSHOT_STORE = "snapshots";
+const MAX_SNAPSHOTS = 20;
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase() {
+    if (!dbPromise) {
+        if (typeof indexedDB === "undefined") {
+            return Promise.reject(new Error("IndexedDB is not available"));
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE)) {
+                db.createObjectStore(STORE, { keyPath: "key" });
+            }
+            if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                db.createObjectStore(SNAPSHOT_STORE, { keyPath: "id", autoIncrement: true }).createIndex("key", "key");
+            }
+        };
+
+        dbPromise = requestToPromise(request).catch(err => {
+            // Allow a retry on the next call
+            dbPromise = null;
+            throw err;
+        });
+    }
+
+    return dbPromise;
+}
+
+function withStore(mode, run, storeName = STORE) {
+    return openDatabase().then(db => requestToPromise(run(db.transaction(storeName, mode).objectStore(storeName))));
+}
+
+export function saveDraft(key, xml, baseXml) {
+    return withStore("readwrite", store => store.put({ key, xml, baseXml: baseXml || "", savedAt: Date.now() }));
+}
+
+/**
+ * The draft stored under `key`, or null
+ */
+export function loadDraft(key) {
+    return withStore("readonly", store => store.get(key)).then(draft => draft || null);
+}
+
+export function deleteDraft(key) {
+    return withStore("readwrite", store => store.delete(key));
+}
+
+/**
+ * Snapshots stored under `key`, newest first
+ */
+export function listSnapshots(key) {
+    return withStore("readonly", store => store.index("key").getAll(key), SNAPSHOT_STORE).then(snapshots =>
+        snapshots.sort((a, b) => b.savedAt - a.savedAt)
+    );
+}
+
+/**
+ * Store a saved version and drop the oldest ones beyond MAX_SNAPSHOTS
+ */
+export function addSnapshot(key, xml, label) {
+    const snapshot = { key, xml, label: label || "", savedAt: Date.now() };
+    const removeSnapshot = id => withStore("readwrite", store => store.delete(id), SNAPSHOT_STORE);
+
+    return withStore("readwrite", store => store.add(snapshot), SNAPSHOT_STORE)
+        .then(() => listSnapshots(key))
+        .then(snapshots => Promise.all(snapshots.slice(MAX_SNAPSHOTS).map(stored => removeSnapshot(stored.id))));
+}
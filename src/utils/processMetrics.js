@@ -0,0 +1,72 @@
+/**
+ * Readers for the quantitative data stored through customModdle:
+ * custom:taskMetrics on activities and custom:probability on sequence flows.
+ */
+
+export const PROBABILITY_GATEWAYS = ["bpmn:ExclusiveGateway", "bpmn:InclusiveGateway"];
+
+// Event-based gateways also pick one branch, but always split evenly
+const CHOICE_GATEWAYS = [...PROBABILITY_GATEWAYS, "bpmn:EventBasedGateway"];
+
+/**
+ * The custom:taskMetrics extension element of a business object, if any
+ */
+export function getTaskMetrics(businessObject) {
+    const extElements = businessObject?.extensionElements?.values || [];
+    return extElements.find(v => v.$type === "custom:taskMetrics");
+}
+
+/**
+ * Parse a numeric attribute value, returning null when empty or invalid
+ */
+export function parseNumber(value) {
+    if (value === undefined || value === null || String(value).trim() === "") {
+        return null;
+    }
+
+    const number = Number(String(value).trim().replace(/%$/, ""));
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Whether the outgoing flows of this element carry branch probabilities
+ */
+export function hasBranchProbabilities(element) {
+    return PROBABILITY_GATEWAYS.includes(element?.businessObject?.$type);
+}
+
+/**
+ * Raw probability (percent) configured on a sequence flow, or null
+ */
+export function getFlowProbability(flow) {
+    return parseNumber(flow?.businessObject?.get?.("custom:probability"));
+}
+
+/**
+ * Share (0..1) of tokens leaving `flow.source` that take `flow`.
+ *
+ * Flows without a probability split whatever the configured ones leave
+ * evenly; shares are normalised so they always add up to 1.
+ */
+export function getBranchProbability(flow) {
+    const source = flow.source;
+    const outgoing = (source?.outgoing || []).filter(f => f.businessObject?.$type === "bpmn:SequenceFlow");
+
+    if (!CHOICE_GATEWAYS.includes(source?.businessObject?.$type) || outgoing.length < 2) {
+        return 1;
+    }
+
+    const configured = outgoing.map(f => (hasBranchProbabilities(source) ? getFlowProbability(f) : null));
+    const assigned = configured.reduce((sum, p) => sum + (p !== null ? Math.max(p, 0) : 0), 0);
+    const unassigned = configured.filter(p => p === null).length;
+    const fallback = unassigned ? Math.max(100 - assigned, 0) / unassigned : 0;
+
+    const weights = configured.map(p => (p !== null ? Math.max(p, 0) : fallback));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+
+    if (!total) {
+        return 1 / outgoing.length;
+    }
+
+    return weights[outgoing.indexOf(flow)] / total;
+}
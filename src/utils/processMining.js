@@ -0,0 +1,399 @@
+import { getFlowNodes, getOutgoingFlows, isTask } from "../validations/helpers";
+import { formatDuration } from "./bottleneckAnalyzer";
+
+/**
+ * Process mining from an event log
+ *
+ * Replays an event log (case ID, activity, timestamp and optionally an end
+ * timestamp) on the model and colours activities and sequence flows by how
+ * often they occur or how long they take.
+ */
+
+export const HEATMAP_METRICS = [
+    { value: "frequency", label: "Frequency" },
+    { value: "duration", label: "Average duration" }
+];
+
+/**
+ * Heat scale from rare/fast to frequent/slow. Markers match the heatmap-*
+ * classes in bpmn-styles.css.
+ */
+export const HEATMAP_LEVELS = [
+    { marker: "heatmap-1", color: "#fff1b8" },
+    { marker: "heatmap-2", color: "#ffd666" },
+    { marker: "heatmap-3", color: "#ffa940" },
+    { marker: "heatmap-4", color: "#fa541c" },
+    { marker: "heatmap-5", color: "#cf1322" }
+];
+
+const UNUSED_MARKER = "heatmap-unused";
+
+// Accepted header names, compared without case, spaces, dashes, underscores and colons
+const COLUMN_ALIASES = {
+    caseId: ["caseid", "case", "caseconceptname", "instance", "instanceid", "processinstance"],
+    activity: ["activity", "activityname", "conceptname", "task", "taskname", "event", "eventname"],
+    timestamp: ["timestamp", "time", "timetimestamp", "start", "starttime", "starttimestamp", "date"],
+    end: ["end", "endtime", "endtimestamp", "complete", "completetime", "completetimestamp"]
+};
+
+const MAX_PATH_LENGTH = 25;
+
+function normalizeKey(key) {
+    return String(key || "")
+        .toLowerCase()
+        .replace(/[\s_:-]/g, "");
+}
+
+export function isActivity(element) {
+    return isTask(element) || /(SubProcess|Transaction|CallActivity)$/.test(element.businessObject.$type);
+}
+
+function parseTimestamp(value) {
+    if (value === undefined || value === null || value === "") {
+        return null;
+    }
+
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+        // Seconds or milliseconds since the epoch
+        return number < 1e11 ? number * 1000 : number;
+    }
+
+    const time = Date.parse(String(value).trim());
+    return Number.isNaN(time) ? null : time;
+}
+
+function splitCsvLine(line, delimiter) {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            cells.push(cell);
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+
+    cells.push(cell);
+    return cells.map(value => value.trim());
+}
+
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (!lines.length) {
+        return [];
+    }
+
+    // Excel exports often use ; or tabs instead of commas
+    const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+        lines[0].split(candidate).length > lines[0].split(best).length ? candidate : best
+    );
+    const headers = splitCsvLine(lines[0], delimiter);
+
+    return lines.slice(1).map(line => {
+        const cells = splitCsvLine(line, delimiter);
+        return headers.reduce((row, header, i) => {
+            row[header] = cells[i];
+            return row;
+        }, {});
+    });
+}
+
+function findColumn(row, column) {
+    const key = Object.keys(row).find(k => COLUMN_ALIASES[column].includes(normalizeKey(k)));
+    return key === undefined ? undefined : row[key];
+}
+
+/**
+ * Parse an event log given as CSV text, JSON text or an array of objects.
+ * Returns { events: [{ caseId, activity, timestamp, end }], skipped } with
+ * timestamps in milliseconds; rows without case, activity or time are skipped.
+ */
+export function parseEventLog(input) {
+    let rows = input;
+
+    if (typeof input === "string") {
+        const text = input.trim();
+        if (!text) {
+            return { events: [], skipped: 0 };
+        }
+
+        if (text.startsWith("[") || text.startsWith("{")) {
+            const parsed = JSON.parse(text);
+            rows = Array.isArray(parsed) ? parsed : parsed.events || [];
+        } else {
+            rows = parseCsv(text);
+        }
+    }
+
+    if (!Array.isArray(rows)) {
+        return { events: [], skipped: 0 };
+    }
+
+    const events = [];
+    let skipped = 0;
+
+    rows.forEach(row => {
+        const caseId = row && findColumn(row, "caseId");
+        const activity = row && findColumn(row, "activity");
+        const timestamp = row ? parseTimestamp(findColumn(row, "timestamp")) : null;
+
+        if (caseId === undefined || caseId === null || caseId === "" || !activity || timestamp === null) {
+            skipped++;
+            return;
+        }
+
+        events.push({
+            caseId: String(caseId),
+            activity: String(activity).trim(),
+            timestamp,
+            end: parseTimestamp(findColumn(row, "end"))
+        });
+    });
+
+    return { events, skipped };
+}
+
+/**
+ * Sequence flows from `source` to the first node matching `isTarget` through
+ * nodes that are not in the log themselves (gateways, events), shortest route first
+ */
+function findFlowPath(source, isTarget) {
+    const queue = [{ node: source, flows: [] }];
+    const seen = new Set([source]);
+
+    while (queue.length) {
+        const { node, flows } = queue.shift();
+
+        for (const flow of getOutgoingFlows(node)) {
+            const next = flow.target;
+            if (next && isTarget(next)) {
+                return [...flows, flow];
+            }
+            if (next && !seen.has(next) && !isActivity(next) && flows.length < MAX_PATH_LENGTH) {
+                seen.add(next);
+                queue.push({ node: next, flows: [...flows, flow] });
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Maps log activity labels to model activities: by element ID first,
+ * then by name (case-insensitive). Returns undefined for unknown activities.
+ */
+export function createActivityResolver(activities) {
+    const byId = new Map(activities.map(element => [element.id, element]));
+    const byName = new Map();
+    activities.forEach(element => {
+        const name = (element.businessObject.name || "").trim().toLowerCase();
+        if (name && !byName.has(name)) {
+            byName.set(name, element);
+        }
+    });
+
+    return activity => byId.get(activity) || byName.get(activity.toLowerCase());
+}
+
+/**
+ * Group events into traces: Map(caseId -> events ordered by timestamp)
+ */
+export function groupByCase(events) {
+    const cases = new Map();
+    events.forEach(event => {
+        if (!cases.has(event.caseId)) {
+            cases.set(event.caseId, []);
+        }
+        cases.get(event.caseId).push(event);
+    });
+    cases.forEach(trace => trace.sort((a, b) => a.timestamp - b.timestamp));
+
+    return cases;
+}
+
+/**
+ * Replay the events on the model.
+ *
+ * Durations use the end timestamp when present, otherwise the time since the
+ * previous event of the same case. All durations are in minutes.
+ */
+export function analyzeEventLog(modeler, events) {
+    const activities = getFlowNodes(modeler).filter(isActivity);
+    const resolve = createActivityResolver(activities);
+
+    const starts = getFlowNodes(modeler).filter(element => element.businessObject.$type === "bpmn:StartEvent");
+    const isEnd = element => element.businessObject.$type === "bpmn:EndEvent";
+
+    const cases = groupByCase(events);
+
+    const taskStats = new Map();
+    const flowCounts = new Map();
+    const unknown = new Map();
+    const paths = new Map();
+
+    const countPath = (key, find) => {
+        if (!paths.has(key)) {
+            paths.set(key, find());
+        }
+        (paths.get(key) || []).forEach(flow => flowCounts.set(flow, (flowCounts.get(flow) || 0) + 1));
+    };
+
+    for (const ordered of cases.values()) {
+        const seenInCase = new Set();
+        let previousEvent = null;
+        let previousElement = null;
+
+        for (const event of ordered) {
+            const element = resolve(event.activity);
+
+            if (!element) {
+                unknown.set(event.activity, (unknown.get(event.activity) || 0) + 1);
+                previousEvent = event;
+                continue;
+            }
+
+            const stats = taskStats.get(element) || { frequency: 0, cases: 0, totalDuration: 0, timed: 0 };
+            stats.frequency++;
+            if (!seenInCase.has(element)) {
+                stats.cases++;
+                seenInCase.add(element);
+            }
+
+            const start = event.end !== null ? event.timestamp : previousEvent?.timestamp;
+            const finish = event.end !== null ? event.end : event.timestamp;
+            if (start !== undefined && finish >= start) {
+                stats.totalDuration += (finish - start) / 60000;
+                stats.timed++;
+            }
+            taskStats.set(element, stats);
+
+            if (previousElement) {
+                const from = previousElement;
+                countPath(`${from.id}>${element.id}`, () => findFlowPath(from, node => node === element));
+            } else {
+                // Flows from the start event into the first activity of the case
+                countPath(`start>${element.id}`, () =>
+                    starts.map(startEvent => findFlowPath(startEvent, node => node === element)).find(Boolean)
+                );
+            }
+
+            previousEvent = event;
+            previousElement = element;
+        }
+
+        if (previousElement) {
+            const last = previousElement;
+            countPath(`${last.id}>end`, () => findFlowPath(last, isEnd));
+        }
+    }
+
+    const tasks = [...taskStats.entries()]
+        .map(([element, stats]) => ({
+            id: element.id,
+            name: element.businessObject.name || "",
+            frequency: stats.frequency,
+            cases: stats.cases,
+            averageDuration: stats.timed ? stats.totalDuration / stats.timed : 0
+        }))
+        .sort((a, b) => b.frequency - a.frequency);
+
+    return {
+        cases: cases.size,
+        events: events.length,
+        tasks,
+        flows: [...flowCounts.entries()].map(([flow, frequency]) => ({ id: flow.id, frequency })),
+        unknownActivities: [...unknown.entries()]
+            .map(([activity, frequency]) => ({ activity, frequency }))
+            .sort((a, b) => b.frequency - a.frequency),
+        unusedTasks: activities
+            .filter(element => !taskStats.has(element))
+            .map(element => ({ id: element.id, name: element.businessObject.name || "" }))
+    };
+}
+
+function getMetricValue(task, metric) {
+    return metric === "duration" ? task.averageDuration : task.frequency;
+}
+
+function levelFor(value, max) {
+    if (!max || value <= 0) {
+        return null;
+    }
+    const index = Math.min(HEATMAP_LEVELS.length - 1, Math.floor((value / max) * HEATMAP_LEVELS.length));
+    return HEATMAP_LEVELS[index];
+}
+
+/**
+ * Legend entries { color, label } for the value ranges of each heat level
+ */
+export function getHeatmapLegend(analysis, metric) {
+    const max = Math.max(0, ...analysis.tasks.map(task => getMetricValue(task, metric)));
+    const step = max / HEATMAP_LEVELS.length;
+    const format = value => (metric === "duration" ? formatDuration(value) : String(Math.round(value)));
+
+    return HEATMAP_LEVELS.map((level, i) => ({
+        color: level.color,
+        label: `${format(step * i)} – ${format(step * (i + 1))}`
+    }));
+}
+
+export function clearEventLogHeatmap(modeler) {
+    const canvas = modeler.get("canvas");
+    const elementRegistry = modeler.get("elementRegistry");
+
+    elementRegistry.getAll().forEach(element => {
+        HEATMAP_LEVELS.forEach(level => canvas.removeMarker(element.id, level.marker));
+        canvas.removeMarker(element.id, UNUSED_MARKER);
+    });
+}
+
+/**
+ * Colour activities by the chosen metric and sequence flows by how often they
+ * were taken. Activities that never occur in the log are greyed out.
+ */
+export function applyEventLogHeatmap(modeler, analysis, metric = "frequency") {
+    const canvas = modeler.get("canvas");
+    const elementRegistry = modeler.get("elementRegistry");
+
+    clearEventLogHeatmap(modeler);
+
+    const maxValue = Math.max(0, ...analysis.tasks.map(task => getMetricValue(task, metric)));
+    analysis.tasks.forEach(task => {
+        const level = levelFor(getMetricValue(task, metric), maxValue);
+        if (level && elementRegistry.get(task.id)) {
+            canvas.addMarker(task.id, level.marker);
+        }
+    });
+
+    const maxFlow = Math.max(0, ...analysis.flows.map(flow => flow.frequency));
+    analysis.flows.forEach(flow => {
+        const level = levelFor(flow.frequency, maxFlow);
+        if (level && elementRegistry.get(flow.id)) {
+            canvas.addMarker(flow.id, level.marker);
+        }
+    });
+
+    analysis.unusedTasks.forEach(task => {
+        if (elementRegistry.get(task.id)) {
+            canvas.addMarker(task.id, UNUSED_MARKER);
+        }
+    });
+}
@@ -0,0 +1,533 @@
+import { getOutgoingFlows, isType } from "../validations/helpers";
+import { getBranchProbability, getTaskMetrics, parseNumber } from "./processMetrics";
+import { parseDuration } from "./bottleneckAnalyzer";
+
+/**
+ * Monte Carlo process simulation
+ *
+ * Runs N process instances over the sequence-flow graph as a discrete-event
+ * simulation, entirely in the browser. Task durations come from
+ * custom:taskMetrics (duration is the most likely value, minDuration and
+ * maxDuration turn it into a triangular distribution), gateway branches
+ * follow custom:probability and tasks queue for the resources of their
+ * custom:department.
+ */
+
+export const MAX_INSTANCES = 10000;
+
+// Guards against instances that loop forever
+const MAX_STEPS_PER_INSTANCE = 10000;
+
+const DEFAULT_SETTINGS = {
+    instances: 500,
+    arrivalInterval: 60,
+    seed: 1,
+    resources: {}
+};
+
+// Modulus and multiplier of the Park-Miller generator; products stay exact in doubles
+const RANDOM_MODULUS = 2147483647;
+const RANDOM_MULTIPLIER = 48271;
+
+/**
+ * Seeded pseudo random generator (Park-Miller) returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = ((Math.floor(seed) % RANDOM_MODULUS) + RANDOM_MODULUS) % RANDOM_MODULUS || 1;
+
+    return () => {
+        state = (state * RANDOM_MULTIPLIER) % RANDOM_MODULUS;
+        return (state - 1) / (RANDOM_MODULUS - 1);
+    };
+}
+
+export function sampleTriangular(random, min, likely, max) {
+    if (max <= min) {
+        return likely;
+    }
+
+    const u = random();
+    const split = (likely - min) / (max - min);
+
+    return u < split
+        ? min + Math.sqrt(u * (max - min) * (likely - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - likely));
+}
+
+/**
+ * Resource pools as { department: count }, from an object or a JSON string
+ */
+export function parseResourceConfig(resources) {
+    if (!resources) {
+        return {};
+    }
+
+    let parsed = resources;
+
+    if (typeof resources === "string") {
+        if (!resources.trim()) {
+            return {};
+        }
+
+        try {
+            parsed = JSON.parse(resources);
+        } catch (e) {
+            console.error("Invalid simulation resources JSON, using one resource per department", e);
+            return {};
+        }
+    }
+
+    return Object.entries(parsed || {}).reduce((pools, [department, count]) => {
+        const capacity = Math.floor(Number(count));
+        if (capacity > 0) {
+            pools[department] = capacity;
+        }
+        return pools;
+    }, {});
+}
+
+function getDurationModel(element) {
+    const metrics = getTaskMetrics(element.businessObject);
+    const likely = parseDuration(metrics?.duration);
+    const min = metrics?.minDuration ? parseDuration(metrics.minDuration) : likely;
+    const max = metrics?.maxDuration ? parseDuration(metrics.maxDuration) : likely;
+
+    return {
+        min: Math.min(min, likely),
+        likely,
+        max: Math.max(max, likely),
+        cost: parseNumber(metrics?.cost) || 0
+    };
+}
+
+function getDepartment(element) {
+    return element.businessObject.get?.("custom:department") || "";
+}
+
+function isActivity(element) {
+    return /(Task|SubProcess|Transaction|CallActivity)$/.test(element.businessObject?.$type || "");
+}
+
+function isTerminateEnd(element) {
+    return (element.businessObject.eventDefinitions || []).some(
+        definition => definition.$type === "bpmn:TerminateEventDefinition"
+    );
+}
+
+function getIncomingFlowCount(element) {
+    return (element.incoming || []).filter(flow => isType(flow, "bpmn:SequenceFlow")).length;
+}
+
+/**
+ * The inclusive gateway that merges the branches of an inclusive split: the
+ * nearest merging inclusive gateway reachable from every outgoing branch
+ */
+function findInclusiveJoin(split) {
+    const distances = getOutgoingFlows(split)
+        .filter(flow => flow.target)
+        .map(flow => {
+            const reached = new Map();
+            const visited = new Set([split]);
+            let frontier = [flow.target];
+
+            for (let distance = 1; frontier.length; distance++) {
+                const next = [];
+                frontier.forEach(element => {
+                    if (visited.has(element)) return;
+                    visited.add(element);
+
+                    if (isType(element, "bpmn:InclusiveGateway") && getIncomingFlowCount(element) > 1) {
+                        reached.set(element, distance);
+                    }
+                    getOutgoingFlows(element).forEach(outgoing => outgoing.target && next.push(outgoing.target));
+                });
+                frontier = next;
+            }
+
+            return reached;
+        });
+
+    if (!distances.length) {
+        return null;
+    }
+
+    let join = null;
+    let best = Infinity;
+
+    distances[0].forEach((distance, candidate) => {
+        if (!distances.every(reached => reached.has(candidate))) return;
+
+        const furthest = Math.max(...distances.map(reached => reached.get(candidate)));
+        if (furthest < best) {
+            best = furthest;
+            join = candidate;
+        }
+    });
+
+    return join;
+}
+
+function findStartEvent(modeler) {
+    const starts = modeler
+        .get("elementRegistry")
+        .filter(
+            element =>
+                element.type !== "label" &&
+                isType(element, "bpmn:StartEvent") &&
+                element.businessObject.$parent?.$type === "bpmn:Process"
+        );
+
+    return starts.find(start => !start.businessObject.eventDefinitions?.length) || starts[0];
+}
+
+function percentile(sorted, p) {
+    if (!sorted.length) {
+        return 0;
+    }
+
+    const rank = Math.ceil((p / 100) * sorted.length) - 1;
+    return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+}
+
+/**
+ * Binary min-heap of events ordered by time, then by insertion order
+ */
+function createEventQueue() {
+    const heap = [];
+    let sequence = 0;
+
+    const before = (a, b) => a.time < b.time || (a.time === b.time && a.sequence < b.sequence);
+
+    const push = event => {
+        heap.push({ ...event, sequence: sequence++ });
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = Math.floor((i - 1) / 2);
+            if (!before(heap[i], heap[parent])) break;
+            [heap[i], heap[parent]] = [heap[parent], heap[i]];
+            i = parent;
+        }
+    };
+
+    const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && before(heap[left], heap[smallest])) smallest = left;
+                if (right < heap.length && before(heap[right], heap[smallest])) smallest = right;
+                if (smallest === i) break;
+                [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    };
+
+    return { push, pop, isEmpty: () => heap.length === 0 };
+}
+
+/**
+ * Run the simulation.
+ *
+ * settings: { instances, arrivalInterval (mean minutes between cases), seed,
+ * resources ({ department: count } or JSON) }. Departments without a count
+ * get one resource, tasks without a department never wait.
+ */
+export function simulateProcess(modeler, settings = {}) {
+    const options = { ...DEFAULT_SETTINGS, ...settings };
+    const instanceCount = Math.min(Math.max(Math.floor(options.instances) || 0, 1), MAX_INSTANCES);
+    const arrivalInterval = Math.max(Number(options.arrivalInterval) || 0, 0);
+    const seed = Math.floor(Number(options.seed)) || DEFAULT_SETTINGS.seed;
+    const capacities = parseResourceConfig(options.resources);
+
+    const start = findStartEvent(modeler);
+    if (!start) {
+        throw new Error("The process needs a start event to run a simulation");
+    }
+
+    const random = createRandom(seed);
+    const queue = createEventQueue();
+    const pools = new Map();
+    const taskStats = new Map();
+    const durationModels = new Map();
+    const inclusiveJoinsBySplit = new Map();
+    const cycleTimes = [];
+    const costs = [];
+    let incomplete = 0;
+    let horizon = 0;
+
+    const getPool = department => {
+        if (!department) return null;
+        if (!pools.has(department)) {
+            pools.set(department, {
+                capacity: capacities[department] || 1,
+                busy: 0,
+                busyTime: 0,
+                waiting: []
+            });
+        }
+        return pools.get(department);
+    };
+
+    const getDurationFor = element => {
+        if (!durationModels.has(element)) {
+            durationModels.set(element, getDurationModel(element));
+        }
+        return durationModels.get(element);
+    };
+
+    const getInclusiveJoin = split => {
+        if (!inclusiveJoinsBySplit.has(split)) {
+            inclusiveJoinsBySplit.set(split, findInclusiveJoin(split));
+        }
+        return inclusiveJoinsBySplit.get(split);
+    };
+
+    const getTaskStats = element => {
+        if (!taskStats.has(element.id)) {
+            taskStats.set(element.id, {
+                id: element.id,
+                name: element.businessObject.name || "",
+                department: getDepartment(element),
+                executions: 0,
+                totalWaiting: 0,
+                maxWaiting: 0,
+                totalProcessing: 0
+            });
+        }
+        return taskStats.get(element.id);
+    };
+
+    const finishToken = (instance, time) => {
+        instance.tokens -= 1;
+        if (instance.tokens === 0 && !instance.done) {
+            instance.done = true;
+            cycleTimes.push(time - instance.arrival);
+            costs.push(instance.cost);
+        }
+    };
+
+    const sendTokens = (instance, flows, time) => {
+        instance.tokens += flows.length - 1;
+        flows.forEach(flow => queue.push({ time, type: "enter", instance, element: flow.target, flow }));
+    };
+
+    const chooseOne = flows => {
+        let u = random();
+        for (const flow of flows) {
+            u -= getBranchProbability(flow);
+            if (u < 0) return flow;
+        }
+        return flows[flows.length - 1];
+    };
+
+    const leave = (instance, element, time) => {
+        if (instance.done) return;
+
+        const outgoing = getOutgoingFlows(element).filter(flow => flow.target);
+
+        if (!outgoing.length) {
+            if (isTerminateEnd(element)) {
+                instance.tokens = 1;
+            }
+            finishToken(instance, time);
+            return;
+        }
+
+        const type = element.businessObject.$type;
+
+        if (outgoing.length > 1 && (type === "bpmn:ExclusiveGateway" || type === "bpmn:EventBasedGateway")) {
+            sendTokens(instance, [chooseOne(outgoing)], time);
+        } else if (outgoing.length > 1 && type === "bpmn:InclusiveGateway") {
+            let taken = outgoing.filter(flow => random() < getBranchProbability(flow));
+            if (!taken.length) {
+                taken = [chooseOne(outgoing)];
+            }
+            // The matching join waits for exactly the branches taken here
+            const join = getInclusiveJoin(element);
+            if (join) {
+                instance.inclusiveJoins.set(join, taken.length);
+            }
+            sendTokens(instance, taken, time);
+        } else {
+            // Parallel gateways and implicit splits from activities and events
+            sendTokens(instance, outgoing, time);
+        }
+    };
+
+    const beginActivity = (request, time) => {
+        const { instance, element, requestedAt, pool } = request;
+        const model = getDurationFor(element);
+        const duration = sampleTriangular(random, model.min, model.likely, model.max);
+        const stats = getTaskStats(element);
+        const waiting = time - requestedAt;
+
+        stats.executions += 1;
+        stats.totalWaiting += waiting;
+        stats.maxWaiting = Math.max(stats.maxWaiting, waiting);
+        stats.totalProcessing += duration;
+        instance.cost += model.cost;
+
+        if (pool) {
+            pool.busy += 1;
+            pool.busyTime += duration;
+        }
+
+        queue.push({ time: time + duration, type: "complete", instance, element, pool });
+    };
+
+    const enter = (instance, element, flow, time) => {
+        if (instance.done) return;
+
+        instance.steps += 1;
+        if (instance.steps > MAX_STEPS_PER_INSTANCE) {
+            instance.done = true;
+            return;
+        }
+
+        const type = element.businessObject.$type;
+        const incomingCount = getIncomingFlowCount(element);
+
+        if (incomingCount > 1 && type === "bpmn:ParallelGateway") {
+            const arrived = instance.parallelJoins.get(element) || new Map();
+            instance.parallelJoins.set(element, arrived);
+            arrived.set(flow, (arrived.get(flow) || 0) + 1);
+
+            if (arrived.size < incomingCount) {
+                instance.tokens -= 1;
+                return;
+            }
+
+            // All branches arrived: the parked tokens merge into this one
+            arrived.forEach((count, key) => (count > 1 ? arrived.set(key, count - 1) : arrived.delete(key)));
+        } else if (incomingCount > 1 && type === "bpmn:InclusiveGateway") {
+            const expected = instance.inclusiveJoins.get(element) || 1;
+            const arrived = (instance.inclusiveArrivals.get(element) || 0) + 1;
+
+            if (arrived < expected) {
+                instance.inclusiveArrivals.set(element, arrived);
+                instance.tokens -= 1;
+                return;
+            }
+
+            instance.inclusiveArrivals.delete(element);
+            instance.inclusiveJoins.delete(element);
+        }
+
+        if (isActivity(element)) {
+            const pool = getPool(getDepartment(element));
+            const request = { instance, element, requestedAt: time, pool };
+
+            if (pool && pool.busy >= pool.capacity) {
+                pool.waiting.push(request);
+            } else {
+                beginActivity(request, time);
+            }
+            return;
+        }
+
+        // Events and gateways pass through, unless they carry a duration (e.g. timers)
+        const model = getDurationFor(element);
+        if (model.likely > 0) {
+            const delay = sampleTriangular(random, model.min, model.likely, model.max);
+            queue.push({ time: time + delay, type: "leave", instance, element });
+        } else {
+            leave(instance, element, time);
+        }
+    };
+
+    const instances = [];
+    let arrival = 0;
+
+    for (let i = 0; i < instanceCount; i++) {
+        const instance = {
+            id: i + 1,
+            arrival,
+            tokens: 1,
+            cost: 0,
+            steps: 0,
+            done: false,
+            parallelJoins: new Map(),
+            inclusiveJoins: new Map(),
+            inclusiveArrivals: new Map()
+        };
+        instances.push(instance);
+        queue.push({ time: arrival, type: "enter", instance, element: start, flow: null });
+
+        // Exponential inter-arrival times around the configured mean
+        arrival += arrivalInterval ? -arrivalInterval * Math.log(1 - random()) : 0;
+    }
+
+    while (!queue.isEmpty()) {
+        const event = queue.pop();
+        horizon = Math.max(horizon, event.time);
+
+        if (event.type === "enter") {
+            enter(event.instance, event.element, event.flow, event.time);
+        } else if (event.type === "leave") {
+            leave(event.instance, event.element, event.time);
+        } else if (event.type === "complete") {
+            const pool = event.pool;
+            if (pool) {
+                pool.busy -= 1;
+
+                // Skip requests of instances that ended meanwhile (terminate end events)
+                let next = pool.waiting.shift();
+                while (next && next.instance.done) {
+                    next = pool.waiting.shift();
+                }
+                if (next) {
+                    beginActivity(next, event.time);
+                }
+            }
+            leave(event.instance, event.element, event.time);
+        }
+    }
+
+    instances.forEach(instance => {
+        if (!instance.done || instance.tokens > 0) {
+            incomplete += 1;
+        }
+    });
+
+    const sorted = [...cycleTimes].sort((a, b) => a - b);
+    const average = values => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+    return {
+        settings: { instances: instanceCount, arrivalInterval, seed, resources: capacities },
+        completed: cycleTimes.length,
+        incomplete,
+        cycleTime: {
+            average: average(sorted),
+            min: sorted[0] || 0,
+            max: sorted[sorted.length - 1] || 0,
+            p50: percentile(sorted, 50),
+            p90: percentile(sorted, 90),
+            p95: percentile(sorted, 95)
+        },
+        averageCost: average(costs),
+        tasks: [...taskStats.values()]
+            .map(stats => ({
+                id: stats.id,
+                name: stats.name,
+                department: stats.department,
+                executions: stats.executions,
+                averageWaiting: stats.executions ? stats.totalWaiting / stats.executions : 0,
+                maxWaiting: stats.maxWaiting,
+                averageProcessing: stats.executions ? stats.totalProcessing / stats.executions : 0
+            }))
+            .sort((a, b) => b.averageWaiting - a.averageWaiting),
+        resources: [...pools.entries()].map(([department, pool]) => ({
+            department,
+            capacity: pool.capacity,
+            busyTime: pool.busyTime,
+            utilisation: horizon ? pool.busyTime / (pool.capacity * horizon) : 0
+        }))
+    };
+}
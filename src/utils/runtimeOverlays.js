@@ -0,0 +1,195 @@
+/**
+ * Runtime overlays
+ *
+ * Renders the state of running process instances on the canvas: token counts
+ * on active elements, checkmarks on completed ones, badges on failed ones and
+ * highlighted sequence flows. Works with the Modeler and the NavigatedViewer.
+ *
+ * Input is a list of { elementId, state, count } (several entries per element
+ * are summed), or a JSON object keyed by element ID:
+ * { "Task_1": { "active": 3, "completed": 12 }, "Flow_2": "traversed" }
+ */
+
+const OVERLAY_TYPE = "runtime-state";
+
+export const RUNTIME_STATES = ["active", "completed", "failed", "traversed"];
+
+const STATE_ALIASES = {
+    running: "active",
+    "in-progress": "active",
+    inprogress: "active",
+    done: "completed",
+    finished: "completed",
+    error: "failed",
+    incident: "failed",
+    taken: "traversed"
+};
+
+const MARKERS = RUNTIME_STATES.map(state => `runtime-${state}`);
+
+function normalizeState(state) {
+    const key = String(state || "")
+        .trim()
+        .toLowerCase();
+    return RUNTIME_STATES.includes(key) ? key : STATE_ALIASES[key] || null;
+}
+
+function normalizeCount(count) {
+    if (count === undefined || count === null || count === "") {
+        return 1;
+    }
+    const number = Math.floor(Number(count));
+    return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+/**
+ * Normalise the widget input (array, keyed object or JSON string) into
+ * [{ elementId, state, count }]. Unknown states are dropped.
+ */
+export function parseRuntimeState(input) {
+    if (!input) {
+        return [];
+    }
+
+    let parsed = input;
+
+    if (typeof input === "string") {
+        if (!input.trim()) {
+            return [];
+        }
+
+        try {
+            parsed = JSON.parse(input);
+        } catch (e) {
+            console.error("Invalid runtime state JSON", e);
+            return [];
+        }
+    }
+
+    let entries = [];
+
+    if (Array.isArray(parsed)) {
+        entries = parsed.map(item => ({ elementId: item?.elementId, state: item?.state, count: item?.count }));
+    } else if (parsed && typeof parsed === "object") {
+        Object.entries(parsed).forEach(([elementId, value]) => {
+            if (value && typeof value === "object") {
+                Object.entries(value).forEach(([state, count]) => entries.push({ elementId, state, count }));
+            } else {
+                entries.push({ elementId, state: value });
+            }
+        });
+    }
+
+    return entries
+        .map(entry => ({
+            elementId: entry.elementId ? String(entry.elementId) : "",
+            state: normalizeState(entry.state),
+            count: normalizeCount(entry.count)
+        }))
+        .filter(entry => entry.elementId && entry.state && entry.count > 0);
+}
+
+/**
+ * Sum the entries per element: Map(elementId -> { active, completed, failed, traversed })
+ */
+function summarize(items) {
+    const summary = new Map();
+
+    items.forEach(({ elementId, state, count }) => {
+        const counts = summary.get(elementId) || { active: 0, completed: 0, failed: 0, traversed: 0 };
+        counts[state] += count;
+        summary.set(elementId, counts);
+    });
+
+    return summary;
+}
+
+function badge(className, text, title) {
+    return `<div class="runtime-badge ${className}" title="${title}">${text}</div>`;
+}
+
+/**
+ * Remove all runtime overlays and markers
+ */
+export function clearRuntimeOverlays(diagram) {
+    const canvas = diagram.get("canvas");
+    const overlays = diagram.get("overlays");
+    const elementRegistry = diagram.get("elementRegistry");
+
+    overlays.remove({ type: OVERLAY_TYPE });
+    elementRegistry.getAll().forEach(element => MARKERS.forEach(marker => canvas.removeMarker(element.id, marker)));
+}
+
+/**
+ * Replace the runtime overlays with the given state.
+ *
+ * Sequence flows not listed in the input count as traversed when their source
+ * has completed and their target has been reached.
+ */
+export function applyRuntimeOverlays(diagram, items) {
+    const canvas = diagram.get("canvas");
+    const overlays = diagram.get("overlays");
+    const elementRegistry = diagram.get("elementRegistry");
+
+    clearRuntimeOverlays(diagram);
+
+    const summary = summarize(items || []);
+    if (!summary.size) {
+        return;
+    }
+
+    summary.forEach((counts, elementId) => {
+        const element = elementRegistry.get(elementId);
+        if (!element) {
+            return;
+        }
+
+        if (element.waypoints) {
+            if (counts.traversed || counts.completed) {
+                canvas.addMarker(elementId, "runtime-traversed");
+            }
+            return;
+        }
+
+        if (counts.active) {
+            canvas.addMarker(elementId, "runtime-active");
+            overlays.add(elementId, OVERLAY_TYPE, {
+                position: { top: -10, left: -10 },
+                html: badge("runtime-badge-active", counts.active, `${counts.active} active`)
+            });
+        }
+
+        if (counts.completed) {
+            canvas.addMarker(elementId, "runtime-completed");
+            overlays.add(elementId, OVERLAY_TYPE, {
+                position: { top: -10, right: 14 },
+                html: badge(
+                    "runtime-badge-completed",
+                    counts.completed > 1 ? `&#10003; ${counts.completed}` : "&#10003;",
+                    `${counts.completed} completed`
+                )
+            });
+        }
+
+        if (counts.failed) {
+            canvas.addMarker(elementId, "runtime-failed");
+            overlays.add(elementId, OVERLAY_TYPE, {
+                position: { bottom: 10, right: 14 },
+                html: badge("runtime-badge-failed", `! ${counts.failed}`, `${counts.failed} failed`)
+            });
+        }
+    });
+
+    const reached = id => {
+        const counts = summary.get(id);
+        return !!counts && (counts.active || counts.completed || counts.failed);
+    };
+
+    elementRegistry
+        .filter(element => element.type === "bpmn:SequenceFlow" && !summary.has(element.id))
+        .forEach(flow => {
+            if (summary.get(flow.source?.id)?.completed && reached(flow.target?.id)) {
+                canvas.addMarker(flow.id, "runtime-traversed");
+            }
+        });
+}
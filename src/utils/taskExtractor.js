@@ -1,21 +1,65 @@
+import { is } from "bpmn-js/lib/util/ModelUtil";
+import { getTaskMetrics, hasBranchProbabilities } from "./processMetrics";
+import { TASK_ATTRIBUTES, TASK_METRIC_FIELDS, TASK_SCHEMA_VERSION } from "./taskSchema";
+
+/**
+ * Innermost lane the task belongs to. Parent lanes list the task as well.
+ */
+function findLane(elementRegistry, bo) {
+    const lanes = elementRegistry
+        .filter(el => is(el, "bpmn:Lane") && (el.businessObject.flowNodeRef || []).includes(bo))
+        .map(el => el.businessObject);
+
+    return lanes.find(lane => !lane.childLaneSet?.lanes?.length) || lanes[0];
+}
+
+function isSequenceFlow(connection) {
+    return is(connection, "bpmn:SequenceFlow");
+}
+
+/**
+ * Task data for Mendix in the versioned schema described in taskSchema.js
+ */
 export function extractTasks(modeler) {
-  const elementRegistry = modeler.get("elementRegistry");
-
-  return elementRegistry.getAll()
-    .filter(el => el.businessObject?.$type?.endsWith("Task"))
-    .map(el => {
-      const bo = el.businessObject;
-
-      const extElements = bo.extensionElements?.values || [];
-      const taskMetrics = extElements.find(
-        v => v.$type === "custom:taskMetrics"
-      );
-
-      return {
-        taskId: bo.id,
-        name: bo.name || "",
-        type: bo.$type,
-        duration: taskMetrics?.duration || ""  // ✅ This will work fine!
-      };
-    });
-}
\ No newline at end of file
+    const elementRegistry = modeler.get("elementRegistry");
+
+    const tasks = elementRegistry
+        .getAll()
+        .filter(el => el.businessObject?.$type?.endsWith("Task"))
+        .map(el => {
+            const bo = el.businessObject;
+            const taskMetrics = getTaskMetrics(bo);
+            const lane = findLane(elementRegistry, bo);
+
+            // Probability of the gateway branch leading straight into this task, if any
+            const branchFlow = (el.incoming || []).find(flow => hasBranchProbabilities(flow.source));
+
+            const task = {
+                taskId: bo.id,
+                name: bo.name || "",
+                type: bo.$type,
+                documentation: (bo.documentation || []).map(doc => doc.text || "").join("\n"),
+                laneId: lane?.id || "",
+                laneName: lane?.name || "",
+                incoming: (el.incoming || [])
+                    .filter(isSequenceFlow)
+                    .map(flow => ({ flowId: flow.id, sourceId: flow.source?.id || "" })),
+                outgoing: (el.outgoing || [])
+                    .filter(isSequenceFlow)
+                    .map(flow => ({ flowId: flow.id, targetId: flow.target?.id || "" })),
+                branchProbability: branchFlow?.businessObject.get("custom:probability") || ""
+            };
+
+            TASK_METRIC_FIELDS.forEach(field => {
+                task[field] = taskMetrics?.[field] || "";
+            });
+
+            TASK_ATTRIBUTES.forEach(({ key, type }) => {
+                task[key] = is(bo, type) ? bo.get(`custom:${key}`) || "" : "";
+            });
+
+            return task;
+        });
+
+    return { schemaVersion: TASK_SCHEMA_VERSION, tasks };
+}
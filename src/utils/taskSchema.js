@@ -0,0 +1,82 @@
+/**
+ * Task data contract exchanged with Mendix through `taskDataJson`
+ *
+ * Version 2 wraps the tasks in an envelope:
+ * {
+ *   "schemaVersion": 2,
+ *   "tasks": [{
+ *     "taskId": "Task_1", "name": "Review", "type": "bpmn:UserTask",
+ *     "documentation": "...",
+ *     "laneId": "Lane_1", "laneName": "Finance",
+ *     "incoming": [{ "flowId": "Flow_1", "sourceId": "Start_1" }],
+ *     "outgoing": [{ "flowId": "Flow_2", "targetId": "Gateway_1" }],
+ *     "branchProbability": "",
+ *     "duration": "30", "minDuration": "", "maxDuration": "", "cost": "", "resource": "",
+ *     "taskType": "", "priority": "high", "riskLevel": "", "estimatedHours": "", "assignee": "",
+ *     "department": "", "status": "", "formKey": "", "dueDate": "",
+ *     "apiEndpoint": "", "apiMethod": "", "timeout": ""
+ *   }]
+ * }
+ *
+ * Version 1 was a bare array of { taskId, name, type, duration, ... } and is
+ * still accepted on update. Only fields present in an update are applied;
+ * lane, flows, type and branch probability are derived from the diagram and
+ * are read-only.
+ */
+
+export const TASK_SCHEMA_VERSION = 2;
+
+/**
+ * Business attributes from customModdle, with the element type that defines them
+ */
+export const TASK_ATTRIBUTES = [
+    { key: "taskType", type: "bpmn:Task" },
+    { key: "priority", type: "bpmn:Task" },
+    { key: "riskLevel", type: "bpmn:Task" },
+    { key: "estimatedHours", type: "bpmn:Task" },
+    { key: "assignee", type: "bpmn:Task" },
+    { key: "department", type: "bpmn:Task" },
+    { key: "status", type: "bpmn:Task" },
+    { key: "formKey", type: "bpmn:UserTask" },
+    { key: "dueDate", type: "bpmn:UserTask" },
+    { key: "apiEndpoint", type: "bpmn:ServiceTask" },
+    { key: "apiMethod", type: "bpmn:ServiceTask" },
+    { key: "timeout", type: "bpmn:ServiceTask" }
+];
+
+/**
+ * Attributes of the custom:taskMetrics extension element
+ */
+export const TASK_METRIC_FIELDS = ["duration", "minDuration", "maxDuration", "cost", "resource"];
+
+/**
+ * String form of an incoming value; empty clears the field
+ */
+export function toFieldValue(value) {
+    if (value === undefined || value === null || value === "[object Object]") {
+        return "";
+    }
+    return String(value);
+}
+
+/**
+ * The task list of a `taskDataJson` payload (envelope, bare array or JSON text)
+ */
+export function readTaskData(input) {
+    const data = typeof input === "string" ? JSON.parse(input) : input;
+
+    if (Array.isArray(data)) {
+        return data;
+    }
+
+    if (data && Array.isArray(data.tasks)) {
+        if (data.schemaVersion > TASK_SCHEMA_VERSION) {
+            console.warn(
+                `Task data schema version ${data.schemaVersion} is newer than ${TASK_SCHEMA_VERSION}; unknown fields are ignored`
+            );
+        }
+        return data.tasks;
+    }
+
+    throw new Error("Task data must be an array of tasks or an object with a tasks array");
+}
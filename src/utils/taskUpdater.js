@@ -1,37 +1,152 @@
-export function updateTasks(modeler, updatedTasks) {
-    const elementRegistry = modeler.get("elementRegistry");
-    const modeling = modeler.get("modeling");
-    const moddle = modeler.get("moddle");
+import { is } from "bpmn-js/lib/util/ModelUtil";
+import { getTaskMetrics } from "./processMetrics";
+import { TASK_ATTRIBUTES, TASK_METRIC_FIELDS, readTaskData, toFieldValue } from "./taskSchema";
+
+const UPDATE_TASKS_COMMAND = "taskData.update";
+
+// Task updates run their modeling calls from preExecute so that one update
+// from Mendix ends up in one command stack entry and undoes in a single step
+const updateTasksHandler = {
+    preExecute({ modeler, updates }) {
+        const modeling = modeler.get("modeling");
+        const moddle = modeler.get("moddle");
+
+        updates.forEach(({ element, properties, metrics }) => {
+            if (Object.keys(properties).length) {
+                modeling.updateProperties(element, properties);
+            }
+            if (Object.keys(metrics).length) {
+                applyMetrics(element, metrics, modeling, moddle);
+            }
+        });
+    }
+};
+
+const updateTasksStacks = new WeakSet();
+
+function has(task, field) {
+    return Object.prototype.hasOwnProperty.call(task, field);
+}
 
-    updatedTasks.forEach(task => {
-        const element = elementRegistry.get(task.taskId);
-        if (!element) return;
+/**
+ * Changed name, documentation and custom attributes of one task as
+ * properties for modeling.updateProperties
+ */
+function diffProperties(element, task, moddle) {
+    const bo = element.businessObject;
+    const properties = {};
 
-        const bo = element.businessObject;
-        let extensionElements = bo.extensionElements;
+    if (has(task, "name") && toFieldValue(task.name) !== (bo.name || "")) {
+        properties.name = toFieldValue(task.name) || undefined;
+    }
 
-        if (!extensionElements) {
-            extensionElements = moddle.create("bpmn:ExtensionElements", {
-                values: []
-            });
+    if (has(task, "documentation")) {
+        const text = toFieldValue(task.documentation);
+        const current = (bo.documentation || []).map(doc => doc.text || "").join("\n");
+
+        if (text !== current) {
+            properties.documentation = text ? [moddle.create("bpmn:Documentation", { text })] : [];
         }
+    }
 
-        let taskMetrics = extensionElements.values.find(v => v.$type === "custom:taskMetrics");
+    TASK_ATTRIBUTES.forEach(({ key, type }) => {
+        if (!has(task, key) || !is(bo, type)) {
+            return;
+        }
 
-        if (!taskMetrics) {
-            taskMetrics = moddle.create("custom:taskMetrics", {
-                duration: ""
-            });
-            extensionElements.values.push(taskMetrics);
+        const value = toFieldValue(task[key]);
+        if (value !== (bo.get(`custom:${key}`) || "")) {
+            properties[`custom:${key}`] = value || undefined;
         }
+    });
+
+    return properties;
+}
 
-        // Clean and set duration
-        const cleanDuration = task.duration && task.duration !== "[object Object]" ? String(task.duration) : "";
+/**
+ * Changed custom:taskMetrics attributes of one task
+ */
+function diffMetrics(element, task) {
+    const taskMetrics = getTaskMetrics(element.businessObject);
+    const changes = {};
 
-        taskMetrics.duration = cleanDuration;
+    TASK_METRIC_FIELDS.forEach(field => {
+        if (!has(task, field)) {
+            return;
+        }
 
-        modeling.updateProperties(element, {
-            extensionElements
-        });
+        const value = toFieldValue(task[field]);
+        if (value !== (taskMetrics?.[field] || "")) {
+            changes[field] = value || undefined;
+        }
     });
+
+    return changes;
+}
+
+/**
+ * Write custom:taskMetrics attributes, creating the extension element when
+ * a task gets its first metric
+ */
+function applyMetrics(element, changes, modeling, moddle) {
+    const bo = element.businessObject;
+    const taskMetrics = getTaskMetrics(bo);
+
+    if (taskMetrics) {
+        modeling.updateModdleProperties(element, taskMetrics, changes);
+        return;
+    }
+
+    const metrics = moddle.create("custom:taskMetrics", changes);
+
+    if (bo.extensionElements) {
+        metrics.$parent = bo.extensionElements;
+        modeling.updateModdleProperties(element, bo.extensionElements, {
+            values: [...(bo.extensionElements.values || []), metrics]
+        });
+    } else {
+        const extensionElements = moddle.create("bpmn:ExtensionElements", { values: [metrics] });
+        metrics.$parent = extensionElements;
+        extensionElements.$parent = bo;
+        modeling.updateProperties(element, { extensionElements });
+    }
+}
+
+/**
+ * Apply task data from Mendix (see taskSchema.js) to the diagram.
+ *
+ * Only fields that are present and differ from the diagram are written,
+ * together as one undoable command. Returns the IDs of the tasks that changed.
+ */
+export function updateTasks(modeler, taskData) {
+    const elementRegistry = modeler.get("elementRegistry");
+    const moddle = modeler.get("moddle");
+
+    const updates = readTaskData(taskData)
+        .map(task => {
+            const element = task && elementRegistry.get(task.taskId);
+            return (
+                element && {
+                    element,
+                    properties: diffProperties(element, task, moddle),
+                    metrics: diffMetrics(element, task)
+                }
+            );
+        })
+        .filter(update => update && (Object.keys(update.properties).length || Object.keys(update.metrics).length));
+
+    if (!updates.length) {
+        return [];
+    }
+
+    const commandStack = modeler.get("commandStack");
+
+    if (!updateTasksStacks.has(commandStack)) {
+        commandStack.register(UPDATE_TASKS_COMMAND, updateTasksHandler);
+        updateTasksStacks.add(commandStack);
+    }
+
+    commandStack.execute(UPDATE_TASKS_COMMAND, { modeler, updates });
+
+    return updates.map(update => update.element.id);
 }
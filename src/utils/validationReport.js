@@ -0,0 +1,181 @@
+/**
+ * Validation report export
+ *
+ * Turns the { errors, warnings, all } result of validateDiagram into
+ * JSON, CSV or a standalone HTML document a reviewer can open outside the editor.
+ */
+
+const CSV_COLUMNS = [
+    "severity",
+    "ruleId",
+    "message",
+    "elementId",
+    "elementName",
+    "elementType",
+    "parentProcessId",
+    "parentProcessName",
+    "relatedElementIds"
+];
+
+const SEVERITY_COLORS = {
+    error: "#d93025",
+    warning: "#f9ab00"
+};
+
+/**
+ * Find the process an element belongs to, using the participant name for pools
+ */
+function getParentProcess(element, elementRegistry) {
+    let parent = element.businessObject?.$parent;
+    while (parent && parent.$type !== "bpmn:Process") {
+        parent = parent.$parent;
+    }
+    if (!parent) {
+        return null;
+    }
+
+    const participant = elementRegistry.find(e => e.businessObject?.processRef === parent);
+
+    return {
+        id: parent.id,
+        name: parent.name || participant?.businessObject.name || ""
+    };
+}
+
+/**
+ * Build the report model: every finding enriched with element and process details
+ */
+export function buildValidationReport(modeler, results, diagramName = "") {
+    const elementRegistry = modeler.get("elementRegistry");
+    const all = results.all || [...(results.errors || []), ...(results.warnings || [])];
+
+    const items = all.map(result => {
+        const element = result.elementId ? elementRegistry.get(result.elementId) : null;
+        const bo = element?.businessObject;
+        const process = element ? getParentProcess(element, elementRegistry) : null;
+
+        return {
+            severity: result.severity,
+            ruleId: result.ruleId,
+            message: result.message,
+            elementId: result.elementId || null,
+            elementName: bo?.name || "",
+            elementType: bo?.$type || "",
+            parentProcessId: process?.id || "",
+            parentProcessName: process?.name || "",
+            relatedElementIds: result.relatedElementIds || []
+        };
+    });
+
+    return {
+        diagram: diagramName || "",
+        generatedAt: new Date().toISOString(),
+        summary: {
+            errors: items.filter(i => i.severity === "error").length,
+            warnings: items.filter(i => i.severity === "warning").length,
+            total: items.length
+        },
+        items
+    };
+}
+
+export function reportToJSON(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+function escapeCsv(value) {
+    const text = Array.isArray(value) ? value.join(" ") : String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function reportToCSV(report) {
+    const rows = report.items.map(item => CSV_COLUMNS.map(column => escapeCsv(item[column])).join(","));
+    return [CSV_COLUMNS.join(","), ...rows].join("\r\n");
+}
+
+function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * CSS that highlights problem elements in the exported SVG by their data-element-id.
+ * Errors are emitted last so they win over warnings on the same element.
+ */
+function highlightStyles(report) {
+    const idsBySeverity = { warning: new Set(), error: new Set() };
+
+    report.items.forEach(item => {
+        const ids = idsBySeverity[item.severity];
+        if (!ids) {
+            return;
+        }
+        [item.elementId, ...item.relatedElementIds].filter(Boolean).forEach(id => ids.add(id));
+    });
+
+    return Object.entries(idsBySeverity)
+        .filter(([, ids]) => ids.size > 0)
+        .map(([severity, ids]) => {
+            const selectors = [...ids]
+                .map(id => `[data-element-id="${id.replace(/["\\]/g, "\\$&")}"] .djs-visual > :first-child`)
+                .join(",\n");
+            return `${selectors} {\n    stroke: ${SEVERITY_COLORS[severity]} !important;\n    stroke-width: 4px !important;\n}`;
+        })
+        .join("\n");
+}
+
+/**
+ * Standalone HTML report with the diagram image and a table of findings
+ */
+export function reportToHTML(report, svg = "") {
+    const title = `Validation report${report.diagram ? ` - ${report.diagram}` : ""}`;
+    const rows = report.items
+        .map(
+            item => `<tr class="${escapeHtml(item.severity)}">
+    <td>${escapeHtml(item.severity)}</td>
+    <td>${escapeHtml(item.ruleId)}</td>
+    <td>${escapeHtml(item.message)}</td>
+    <td>${escapeHtml(item.elementName || item.elementId || "Global")}</td>
+    <td>${escapeHtml(item.elementType.replace(/^bpmn:/, ""))}</td>
+    <td>${escapeHtml(item.parentProcessName || item.parentProcessId)}</td>
+</tr>`
+        )
+        .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; font-size: 13px; color: #2d2d2d; margin: 24px; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+.meta { color: #666; margin-bottom: 16px; }
+.diagram { border: 1px solid #d0d0d0; padding: 8px; margin-bottom: 16px; overflow: auto; }
+.diagram svg { max-width: 100%; height: auto; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+th { background: #fafafa; }
+tr.error td:first-child { color: #b00020; border-left: 3px solid ${SEVERITY_COLORS.error}; }
+tr.warning td:first-child { color: #9c6500; border-left: 3px solid ${SEVERITY_COLORS.warning}; }
+${highlightStyles(report)}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">Generated ${escapeHtml(report.generatedAt)} &middot; ${report.summary.errors} error(s), ${
+        report.summary.warnings
+    } warning(s)</div>
+${svg ? `<div class="diagram">${svg}</div>` : ""}
+<table>
+<thead><tr><th>Severity</th><th>Rule</th><th>Message</th><th>Element</th><th>Type</th><th>Process</th></tr></thead>
+<tbody>
+${rows || '<tr><td colspan="6">No validation issues found.</td></tr>'}
+</tbody>
+</table>
+</body>
+</html>`;
+}
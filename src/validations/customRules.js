@@ -0,0 +1,172 @@
+// validations/customRules.js
+
+import { getAllElements, isLabel } from "./helpers";
+import { SEVERITIES } from "./validationConfig";
+
+/**
+ * Host-defined validation rules.
+ *
+ * A rule definition looks like:
+ * {
+ *   id: "user-task-assignee",
+ *   selector: "bpmn:UserTask",              // type, list of types or (element) => boolean
+ *   predicate: element => !!element.businessObject.get("custom:assignee"),
+ *   message: "User task needs an assignee", // string or (element) => string
+ *   severity: "error",                      // "error" | "warning", defaults to "warning"
+ *   fixes: [{ id, label, apply(modeler, result) }] // optional quick fixes
+ * }
+ *
+ * The predicate returns true when the element is valid.
+ */
+
+const registeredRules = new Map();
+const listeners = new Set();
+
+function notify() {
+    listeners.forEach(listener => listener());
+}
+
+function matchesSelector(element, selector) {
+    if (!selector) return true;
+    if (typeof selector === "function") return !!selector(element);
+
+    const types = Array.isArray(selector) ? selector : [selector];
+    return types.includes(element.businessObject?.$type);
+}
+
+/**
+ * Turn a rule definition into the { id, severity, validate } shape
+ * that validateDiagram runs next to the built-in rules.
+ */
+export function createRule(definition) {
+    const { id, selector, predicate, message, severity = "warning", fixes = [] } = definition || {};
+
+    if (!id || typeof id !== "string") {
+        throw new Error("Validation rule needs a string id");
+    }
+    if (typeof predicate !== "function") {
+        throw new Error(`Validation rule "${id}" needs a predicate function`);
+    }
+    if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Validation rule "${id}" has an invalid severity "${severity}"`);
+    }
+
+    return {
+        id,
+        severity,
+        fixes,
+        validate(modeler) {
+            return getAllElements(modeler)
+                .filter(element => element.parent && !isLabel(element) && element.businessObject)
+                .filter(element => matchesSelector(element, selector))
+                .filter(element => !predicate(element, modeler))
+                .map(element => ({
+                    elementId: element.id,
+                    message: typeof message === "function" ? message(element) : message || `Rule "${id}" failed`
+                }));
+        }
+    };
+}
+
+function readAttribute(element, attribute) {
+    const bo = element.businessObject;
+    const value = bo.get ? bo.get(attribute) : bo[attribute];
+
+    return value !== undefined ? value : bo.$attrs?.[attribute];
+}
+
+const DECLARATIVE_CHECKS = {
+    requiredAttribute: ({ attribute }) => ({
+        predicate: element => {
+            const value = readAttribute(element, attribute);
+            return value !== undefined && value !== null && String(value).trim() !== "";
+        },
+        message: `Attribute "${attribute}" is required`
+    }),
+
+    namePattern: ({ pattern }) => {
+        const regex = new RegExp(pattern);
+        return {
+            predicate: element => regex.test(element.businessObject.name || ""),
+            message: `Name must match ${pattern}`
+        };
+    },
+
+    forbiddenType: () => ({
+        predicate: () => false,
+        message: "Element type is not allowed"
+    })
+};
+
+/**
+ * Build a rule from the declarative list in the widget properties:
+ * { id, elementTypes: "bpmn:UserTask, bpmn:Task", check, attribute, pattern, message, severity }
+ */
+export function createDeclarativeRule(definition) {
+    const { id, elementTypes, check, attribute, pattern, message, severity } = definition;
+
+    const buildCheck = DECLARATIVE_CHECKS[check];
+    if (!buildCheck) {
+        throw new Error(`Validation rule "${id}" has an unknown check "${check}"`);
+    }
+
+    const { predicate, message: defaultMessage } = buildCheck({ attribute, pattern });
+    const types = (elementTypes || "")
+        .split(",")
+        .map(type => type.trim())
+        .filter(Boolean);
+
+    return createRule({
+        id,
+        selector: types.length ? types : null,
+        predicate,
+        message: message || defaultMessage,
+        severity
+    });
+}
+
+/**
+ * Register a rule for every widget on the page.
+ * Returns a function that removes it again.
+ */
+export function registerValidationRule(definition) {
+    const rule = createRule(definition);
+
+    registeredRules.set(rule.id, rule);
+    notify();
+
+    return () => unregisterValidationRule(rule.id);
+}
+
+export function unregisterValidationRule(id) {
+    if (registeredRules.delete(id)) {
+        notify();
+    }
+}
+
+export function getRegisteredRules() {
+    return Array.from(registeredRules.values());
+}
+
+/**
+ * Subscribe to rule registrations, returns an unsubscribe function.
+ */
+export function onRegisteredRulesChanged(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Make the registration API reachable from Mendix JavaScript actions:
+ *
+ *   window.BpmnWidget.registerValidationRule({ ... });
+ */
+export function exposeValidationApi() {
+    if (typeof window === "undefined") return;
+
+    window.BpmnWidget = {
+        ...window.BpmnWidget,
+        registerValidationRule,
+        unregisterValidationRule
+    };
+}
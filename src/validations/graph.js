@@ -0,0 +1,73 @@
+// validations/graph.js
+
+import { getOutgoingFlows } from "./helpers";
+
+/**
+ * Direct successors of a node following sequence flows only.
+ */
+export function getSuccessors(element) {
+    return getOutgoingFlows(element)
+        .map(flow => flow.target)
+        .filter(Boolean);
+}
+
+/**
+ * Breadth-first distances from `start` along sequence flows.
+ * Traversal never passes through `stopAt` (used to keep loops that
+ * return to a split gateway from counting as convergence).
+ */
+export function getDistances(start, stopAt) {
+    const distances = new Map([[start, 0]]);
+    const queue = [start];
+
+    while (queue.length) {
+        const node = queue.shift();
+        if (node === stopAt) continue;
+
+        getSuccessors(node).forEach(next => {
+            if (distances.has(next)) return;
+
+            distances.set(next, distances.get(node) + 1);
+            queue.push(next);
+        });
+    }
+
+    return distances;
+}
+
+/**
+ * Find the node where the branches of a split first converge.
+ *
+ * Returns { node, branches } where `branches` are the outgoing flows
+ * that reach the node, or null when no two branches ever meet.
+ */
+export function findConvergence(split) {
+    const branches = getOutgoingFlows(split)
+        .filter(flow => flow.target)
+        .map(flow => ({ flow, distances: getDistances(flow.target, split) }));
+
+    if (branches.length < 2) {
+        return null;
+    }
+
+    const candidates = new Set();
+    branches.forEach(branch => branch.distances.forEach((_, node) => candidates.add(node)));
+    candidates.delete(split);
+
+    let best = null;
+
+    candidates.forEach(node => {
+        const reaching = branches.filter(branch => branch.distances.has(node));
+        if (reaching.length < 2) return;
+
+        const depths = reaching.map(branch => branch.distances.get(node));
+        const furthest = Math.max(...depths);
+        const total = depths.reduce((sum, d) => sum + d, 0);
+
+        if (!best || furthest < best.furthest || (furthest === best.furthest && total < best.total)) {
+            best = { node, branches: reaching.map(branch => branch.flow), furthest, total };
+        }
+    });
+
+    return best && { node: best.node, branches: best.branches };
+}
@@ -33,3 +33,48 @@ export function getOutgoing(element) {
 export function isBoundaryEvent(element) {
     return !!element?.businessObject?.attachedToRef;
 }
+
+/**
+ * Rules accept an optional `elementTypes` option to restrict
+ * which element types they check. No option means "all".
+ */
+export function matchesElementTypes(element, elementTypes) {
+    if (!Array.isArray(elementTypes) || elementTypes.length === 0) {
+        return true;
+    }
+
+    return elementTypes.includes(element?.businessObject?.$type);
+}
+
+export function isSubProcessScope(bo) {
+    return /(SubProcess|Transaction)$/.test(bo?.$type || "");
+}
+
+export function isLabel(element) {
+    return element?.type === "label";
+}
+
+export function isGateway(element) {
+    return !!element?.businessObject?.$type?.endsWith("Gateway");
+}
+
+export function isSequenceFlow(element) {
+    return isType(element, "bpmn:SequenceFlow");
+}
+
+export function getIncomingFlows(element) {
+    return getIncoming(element).filter(isSequenceFlow);
+}
+
+export function getOutgoingFlows(element) {
+    return getOutgoing(element).filter(isSequenceFlow);
+}
+
+/**
+ * Flow nodes (tasks, events, gateways, sub-processes) without their
+ * external labels and without the root elements of collapsed
+ * sub-process planes, which share the same business object.
+ */
+export function getFlowNodes(modeler) {
+    return getAllElements(modeler).filter(e => e.parent && !isLabel(e) && isFlowNode(e));
+}
@@ -1,44 +1,164 @@
 // validations/index.js
 
-import { validationConfig } from "./validationConfig";
+import { SEVERITIES, normalizeRuleSetting, validationConfig } from "./validationConfig";
+import { getRegisteredRules } from "./customRules";
 
 import { startEventRule } from "./rules/startEvent.rule";
-import { endEventRule } from "./rules/endEvent.rule";
-import { orphanElementsRule } from "./rules/orphanElements.rule";
-import { taskMultipleOutgoingRule } from "./rules/taskOutgoing.rule";
+import { endEventFixes, endEventRule } from "./rules/endEvent.rule";
+import { orphanElementsFixes, orphanElementsRule } from "./rules/orphanElements.rule";
+import { taskMultipleOutgoingFixes, taskMultipleOutgoingRule } from "./rules/taskOutgoing.rule";
+import { gatewayConditionsRule } from "./rules/gatewayConditions.rule";
+import { parallelGatewayConditionsRule } from "./rules/parallelGatewayConditions.rule";
+import { gatewayBalanceRule } from "./rules/gatewayBalance.rule";
+import { redundantGatewayRule } from "./rules/redundantGateway.rule";
+import { deadEndElementsRule, unreachableElementsRule } from "./rules/reachability.rule";
+import { gatewaySoundnessRule } from "./rules/soundness.rule";
+import { gatewayProbabilityRule } from "./rules/gatewayProbability.rule";
+
+export {
+  createRule,
+  createDeclarativeRule,
+  registerValidationRule,
+  unregisterValidationRule,
+  onRegisteredRulesChanged
+} from "./customRules";
 
 const ruleRegistry = {
     "start-event-required": startEventRule,
     "end-event-required": endEventRule,
     "no-orphan-elements": orphanElementsRule,
-    "task-multiple-outgoing": taskMultipleOutgoingRule
+    "task-multiple-outgoing": taskMultipleOutgoingRule,
+    "gateway-conditions-required": gatewayConditionsRule,
+    "parallel-gateway-no-conditions": parallelGatewayConditionsRule,
+    "gateway-split-join-balance": gatewayBalanceRule,
+    "gateway-redundant": redundantGatewayRule,
+    "unreachable-elements": unreachableElementsRule,
+    "no-path-to-end": deadEndElementsRule,
+    "gateway-soundness": gatewaySoundnessRule,
+    "gateway-probability-sum": gatewayProbabilityRule
+};
+
+/**
+ * Quick fixes declared by the rule modules:
+ * { id, label, isApplicable?(modeler, result), apply(modeler, result) }
+ */
+const fixRegistry = {
+    "end-event-required": endEventFixes,
+    "no-orphan-elements": orphanElementsFixes,
+    "task-multiple-outgoing": taskMultipleOutgoingFixes
+};
+
+const QUICK_FIX_COMMAND = "validation.quickFix";
+
+// Fixes run their modeling calls from preExecute so that all of them
+// end up in one command stack entry and undo in a single step
+const quickFixHandler = {
+    preExecute(context) {
+        context.fix.apply(context.modeler, context.result);
+    }
 };
 
-export function validateDiagram(modeler, config = validationConfig) {
+const quickFixStacks = new WeakSet();
+
+function collectExtraRules(customRules) {
+    const extraRules = new Map();
+    [...getRegisteredRules(), ...customRules].forEach(rule => extraRules.set(rule.id, rule));
+    return extraRules;
+}
+
+function getFixes(ruleId, extraRules) {
+    return fixRegistry[ruleId] || extraRules.get(ruleId)?.fixes || [];
+}
+
+/**
+ * Run the configured rules. `customRules` are rules built with
+ * createRule / createDeclarativeRule for this widget instance; rules
+ * registered through registerValidationRule run for every widget.
+ * A custom rule uses its own severity unless `config` overrides it.
+ */
+export function validateDiagram(modeler, config = validationConfig, customRules = []) {
   const seen = new Set();
   const results = [];
 
-  for (const ruleId in config) {
-    const severity = config[ruleId];
+  const extraRules = collectExtraRules(customRules);
+
+  const ruleIds = new Set([...Object.keys(config), ...extraRules.keys()]);
+
+  for (const ruleId of ruleIds) {
+    const extraRule = extraRules.get(ruleId);
+
+    if (extraRule && ruleRegistry[ruleId]) {
+      results.push({
+        ruleId,
+        severity: "warning",
+        elementId: null,
+        relatedElementIds: [],
+        message: `Custom rule "${ruleId}" is ignored, the ID is used by a built-in rule`
+      });
+    }
+
+    const { severity, options } = normalizeRuleSetting(ruleId in config ? config[ruleId] : extraRule.severity);
     if (severity === "off") continue;
 
-    const ruleFn = ruleRegistry[ruleId];
-    if (!ruleFn) continue;
+    const ruleFn = ruleRegistry[ruleId] || extraRule?.validate;
+    if (!ruleFn) {
+      results.push({
+        ruleId,
+        severity: "warning",
+        elementId: null,
+        relatedElementIds: [],
+        message: `Unknown validation rule "${ruleId}" in configuration`
+      });
+      continue;
+    }
+
+    if (!SEVERITIES.includes(severity)) {
+      results.push({
+        ruleId,
+        severity: "warning",
+        elementId: null,
+        relatedElementIds: [],
+        message: `Invalid severity "${severity}" for rule "${ruleId}"`
+      });
+      continue;
+    }
 
-    const violations = ruleFn(modeler) || [];
+    let violations;
+    try {
+      violations = ruleFn(modeler, options) || [];
+    } catch (e) {
+      // A broken host rule must not take the built-in checks down with it
+      console.error(`Validation rule "${ruleId}" failed`, e);
+      results.push({
+        ruleId,
+        severity: "warning",
+        elementId: null,
+        relatedElementIds: [],
+        message: `Validation rule "${ruleId}" failed: ${e.message}`
+      });
+      continue;
+    }
 
     violations.forEach(v => {
-      const key = `${ruleId}-${v.elementId || "global"}`;
+      const relatedElementIds = v.relatedElementIds || [];
+      const key = `${ruleId}-${v.elementId || "global"}-${relatedElementIds.join(",")}`;
       if (seen.has(key)) return;
 
       seen.add(key);
 
-      results.push({
+      const result = {
         ruleId,
         severity,
         elementId: v.elementId || null,
+        relatedElementIds,
         message: v.message
-      });
+      };
+
+      result.fixes = getFixes(ruleId, extraRules)
+        .filter(fix => !fix.isApplicable || fix.isApplicable(modeler, result))
+        .map(fix => ({ id: fix.id, label: fix.label }));
+
+      results.push(result);
     });
   }
 
@@ -48,3 +168,24 @@ export function validateDiagram(modeler, config = validationConfig) {
     all: results
   };
 }
+
+/**
+ * Run a quick fix offered on a validation result as one undoable command.
+ */
+export function applyQuickFix(modeler, result, fixId, customRules = []) {
+  const extraRules = collectExtraRules(customRules);
+
+  const fix = getFixes(result.ruleId, extraRules).find(f => f.id === fixId);
+  if (!fix) {
+    throw new Error(`Unknown quick fix "${fixId}" for rule "${result.ruleId}"`);
+  }
+
+  const commandStack = modeler.get("commandStack");
+
+  if (!quickFixStacks.has(commandStack)) {
+    commandStack.register(QUICK_FIX_COMMAND, quickFixHandler);
+    quickFixStacks.add(commandStack);
+  }
+
+  commandStack.execute(QUICK_FIX_COMMAND, { modeler, result, fix });
+}
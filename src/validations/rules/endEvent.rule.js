@@ -1,17 +1,55 @@
 // validations/rules/endEvent.rule.js
 
-import { getAllElements, isType } from "../helpers";
+import {
+    getAllElements,
+    getFlowNodes,
+    getIncomingFlows,
+    getOutgoingFlows,
+    isSubProcessScope,
+    isType
+} from "../helpers";
+
+const MESSAGE = "Process must have at least one End Event";
 
 export function endEventRule(modeler) {
     const elements = getAllElements(modeler);
     const endEvents = elements.filter(e => isType(e, "bpmn:EndEvent"));
 
-    if (endEvents.length === 0) {
-        return [{
-            elementId: null,
-            message: "Process must have at least one End Event"
-        }];
+    if (endEvents.length > 0) {
+        return [];
     }
 
-    return [];
+    // One process-level result that lists the nodes where the process
+    // currently stops, so the quick fix knows where to append the End Event
+    // (orphans are left to no-orphan-elements)
+    const sinks = getFlowNodes(modeler).filter(
+        e =>
+            !isSubProcessScope(e.businessObject.$parent) &&
+            getOutgoingFlows(e).length === 0 &&
+            (getIncomingFlows(e).length > 0 || isType(e, "bpmn:StartEvent"))
+    );
+
+    return [{
+        elementId: null,
+        relatedElementIds: sinks.map(e => e.id),
+        message: MESSAGE
+    }];
 }
+
+export const endEventFixes = [
+    {
+        id: "append-end-event",
+        label: "Add End Event after the first dead end",
+        isApplicable: (modeler, result) => result.relatedElementIds.length > 0,
+        apply(modeler, result) {
+            const modeling = modeler.get("modeling");
+            const source = modeler.get("elementRegistry").get(result.relatedElementIds[0]);
+
+            modeling.appendShape(
+                source,
+                { type: "bpmn:EndEvent" },
+                { x: source.x + source.width + 80, y: source.y + source.height / 2 }
+            );
+        }
+    }
+];
@@ -0,0 +1,58 @@
+// validations/rules/gatewayBalance.rule.js
+
+import { getFlowNodes, getOutgoingFlows, isGateway, isType } from "../helpers";
+import { findConvergence } from "../graph";
+import { classifyGatewayPair } from "./soundness.rule";
+
+const SPLIT_TYPES = ["bpmn:ExclusiveGateway", "bpmn:InclusiveGateway", "bpmn:ParallelGateway"];
+
+// Exclusive branches may legitimately end in separate End Events
+const MUST_JOIN = ["bpmn:InclusiveGateway", "bpmn:ParallelGateway"];
+
+function label(type) {
+    return type.replace("bpmn:", "").replace("Gateway", "").toLowerCase();
+}
+
+export function gatewayBalanceRule(modeler) {
+    const warnings = [];
+
+    getFlowNodes(modeler).forEach(element => {
+        const type = element.businessObject.$type;
+        if (!SPLIT_TYPES.includes(type)) return;
+        if (getOutgoingFlows(element).length < 2) return;
+
+        const convergence = findConvergence(element);
+
+        if (!convergence) {
+            if (MUST_JOIN.includes(type)) {
+                warnings.push({
+                    elementId: element.id,
+                    message: `Split ${label(type)} gateway has no matching join gateway`
+                });
+            }
+            return;
+        }
+
+        const join = convergence.node;
+
+        if (!isGateway(join)) {
+            if (type === "bpmn:ExclusiveGateway" && isType(join, "bpmn:EndEvent")) return;
+
+            warnings.push({
+                elementId: element.id,
+                message: `Branches of this ${label(type)} split merge without a join gateway`
+            });
+            return;
+        }
+
+        // Deadlocks and lack of synchronisation are reported by gateway-soundness
+        if (!isType(join, type) && !classifyGatewayPair(type, join.businessObject.$type)) {
+            warnings.push({
+                elementId: element.id,
+                message: `Split ${label(type)} gateway is joined by a ${label(join.businessObject.$type)} gateway`
+            });
+        }
+    });
+
+    return warnings;
+}
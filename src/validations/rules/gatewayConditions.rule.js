@@ -0,0 +1,31 @@
+// validations/rules/gatewayConditions.rule.js
+
+import { getFlowNodes, getOutgoingFlows, isType } from "../helpers";
+
+const CONDITIONAL_GATEWAYS = ["bpmn:ExclusiveGateway", "bpmn:InclusiveGateway"];
+
+export function gatewayConditionsRule(modeler) {
+    const errors = [];
+
+    getFlowNodes(modeler).forEach(element => {
+        if (!CONDITIONAL_GATEWAYS.some(type => isType(element, type))) return;
+
+        const outgoing = getOutgoingFlows(element);
+        if (outgoing.length < 2) return;
+
+        const defaultFlow = element.businessObject.default;
+
+        const unguarded = outgoing.filter(
+            f => !f.businessObject.conditionExpression && f.businessObject !== defaultFlow
+        );
+
+        if (unguarded.length > 0) {
+            errors.push({
+                elementId: element.id,
+                message: `Gateway has ${unguarded.length} outgoing flow(s) without a condition or default flow`
+            });
+        }
+    });
+
+    return errors;
+}
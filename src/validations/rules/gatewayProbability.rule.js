@@ -0,0 +1,46 @@
+// validations/rules/gatewayProbability.rule.js
+
+import { getFlowNodes, getOutgoingFlows } from "../helpers";
+import { getFlowProbability, hasBranchProbabilities } from "../../utils/processMetrics";
+
+/**
+ * Branch probabilities are optional, but once any outgoing flow of a
+ * gateway has one, all of them must and they must add up to 100%.
+ */
+export function gatewayProbabilityRule(modeler) {
+    const errors = [];
+
+    getFlowNodes(modeler).forEach(element => {
+        if (!hasBranchProbabilities(element)) return;
+
+        const outgoing = getOutgoingFlows(element);
+        if (outgoing.length < 2) return;
+
+        const raw = outgoing.map(f => f.businessObject.get("custom:probability"));
+        if (raw.every(value => value === undefined || String(value).trim() === "")) return;
+
+        const probabilities = outgoing.map(getFlowProbability);
+        const invalid = outgoing.filter(
+            (f, i) => probabilities[i] === null || probabilities[i] < 0 || probabilities[i] > 100
+        );
+
+        if (invalid.length > 0) {
+            errors.push({
+                elementId: element.id,
+                relatedElementIds: invalid.map(f => f.id),
+                message: `${invalid.length} outgoing flow(s) need a probability between 0 and 100%`
+            });
+            return;
+        }
+
+        const total = probabilities.reduce((sum, p) => sum + p, 0);
+        if (Math.abs(total - 100) > 0.01) {
+            errors.push({
+                elementId: element.id,
+                message: `Branch probabilities add up to ${Math.round(total * 100) / 100}% instead of 100%`
+            });
+        }
+    });
+
+    return errors;
+}
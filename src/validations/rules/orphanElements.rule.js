@@ -6,10 +6,12 @@ import {
     getIncoming,
     getOutgoing,
     isType,
-    isBoundaryEvent
+    isBoundaryEvent,
+    isLabel,
+    matchesElementTypes
 } from "../helpers";
 
-export function orphanElementsRule(modeler) {
+export function orphanElementsRule(modeler, options = {}) {
     const elements = getAllElements(modeler);
     const errors = [];
 
@@ -18,6 +20,7 @@ export function orphanElementsRule(modeler) {
         if (isType(element, "bpmn:StartEvent")) return;
         if (isType(element, "bpmn:EndEvent")) return;
         if (isBoundaryEvent(element)) return;
+        if (!matchesElementTypes(element, options.elementTypes)) return;
 
         const incoming = getIncoming(element);
         const outgoing = getOutgoing(element);
@@ -32,3 +35,47 @@ export function orphanElementsRule(modeler) {
 
     return errors;
 }
+
+function center(element) {
+    return { x: element.x + element.width / 2, y: element.y + element.height / 2 };
+}
+
+export const orphanElementsFixes = [
+    {
+        id: "delete-element",
+        label: "Delete",
+        apply(modeler, result) {
+            const element = modeler.get("elementRegistry").get(result.elementId);
+            modeler.get("modeling").removeElements([element]);
+        }
+    },
+    {
+        id: "connect-nearest",
+        label: "Connect to nearest node",
+        apply(modeler, result) {
+            const element = modeler.get("elementRegistry").get(result.elementId);
+            const origin = center(element);
+
+            const nearest = getAllElements(modeler)
+                .filter(e => e !== element && e.parent === element.parent && !isLabel(e) && isFlowNode(e))
+                .filter(e => !isBoundaryEvent(e))
+                .map(e => {
+                    const c = center(e);
+                    return { element: e, distance: Math.hypot(c.x - origin.x, c.y - origin.y) };
+                })
+                .sort((a, b) => a.distance - b.distance)[0];
+
+            if (!nearest) return;
+
+            const other = nearest.element;
+
+            // Prefer left to right, but never out of an End Event or into a Start Event
+            const forward = !isType(element, "bpmn:EndEvent") && !isType(other, "bpmn:StartEvent");
+            const backward = !isType(other, "bpmn:EndEvent") && !isType(element, "bpmn:StartEvent");
+            const [source, target] =
+                backward && (!forward || other.x < element.x) ? [other, element] : [element, other];
+
+            modeler.get("modeling").connect(source, target);
+        }
+    }
+];
@@ -0,0 +1,22 @@
+// validations/rules/parallelGatewayConditions.rule.js
+
+import { getFlowNodes, getOutgoingFlows, isType } from "../helpers";
+
+export function parallelGatewayConditionsRule(modeler) {
+    const errors = [];
+
+    getFlowNodes(modeler).forEach(element => {
+        if (!isType(element, "bpmn:ParallelGateway")) return;
+
+        const conditional = getOutgoingFlows(element).filter(f => f.businessObject.conditionExpression);
+
+        if (conditional.length > 0) {
+            errors.push({
+                elementId: element.id,
+                message: "Parallel gateway must not have conditional outgoing flows"
+            });
+        }
+    });
+
+    return errors;
+}
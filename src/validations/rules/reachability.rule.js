@@ -0,0 +1,198 @@
+// validations/rules/reachability.rule.js
+
+import { getFlowNodes, getIncoming, getOutgoing, isBoundaryEvent, isSubProcessScope, isType } from "../helpers";
+import { getSuccessors } from "../graph";
+
+function isEventSubProcess(element) {
+    return isSubProcessScope(element.businessObject) && !!element.businessObject.triggeredByEvent;
+}
+
+function isOrphan(element) {
+    return getIncoming(element).length === 0 && getOutgoing(element).length === 0;
+}
+
+function getLinkName(element, eventType) {
+    if (!isType(element, eventType)) return null;
+
+    const link = (element.businessObject.eventDefinitions || []).find(d => d.$type === "bpmn:LinkEventDefinition");
+    return link ? link.name || "" : null;
+}
+
+/**
+ * Sequence-flow graph of the diagram, grouped by the business object
+ * that contains each node (process, sub-process or event sub-process).
+ */
+function buildScopes(modeler) {
+    const nodes = getFlowNodes(modeler);
+    const scopes = new Map();
+
+    nodes.forEach(element => {
+        const scope = element.businessObject.$parent;
+        if (!scopes.has(scope)) scopes.set(scope, []);
+        scopes.get(scope).push(element);
+    });
+
+    return { nodes, scopes };
+}
+
+/**
+ * Successors of a node, including the catching side of link events
+ * and the boundary events attached to it.
+ */
+function getNext(element, scopes) {
+    const next = [...getSuccessors(element), ...(element.attachers || [])];
+
+    const linkName = getLinkName(element, "bpmn:IntermediateThrowEvent");
+    if (linkName !== null) {
+        (scopes.get(element.businessObject.$parent) || []).forEach(candidate => {
+            if (getLinkName(candidate, "bpmn:IntermediateCatchEvent") === linkName) {
+                next.push(candidate);
+            }
+        });
+    }
+
+    return next;
+}
+
+/**
+ * Nodes that start a scope: its start events, or every node without
+ * incoming flows when a sub-process has no start event. Event
+ * sub-processes are active whenever their parent scope is.
+ */
+function getEntryNodes(children) {
+    const starts = children.filter(e => isType(e, "bpmn:StartEvent"));
+    const eventSubProcesses = children.filter(isEventSubProcess);
+
+    if (starts.length > 0) {
+        return [...starts, ...eventSubProcesses];
+    }
+
+    const implicit = children.filter(
+        e => !isBoundaryEvent(e) && !isEventSubProcess(e) && getIncoming(e).length === 0 && !isOrphan(e)
+    );
+
+    return [...implicit, ...eventSubProcesses];
+}
+
+function collectReachable(scopes) {
+    const reachable = new Set();
+    const queue = [];
+
+    const enqueue = element => {
+        if (reachable.has(element)) return;
+        reachable.add(element);
+        queue.push(element);
+    };
+
+    // Seed from every top-level process that has a start event
+    scopes.forEach((children, scope) => {
+        if (isSubProcessScope(scope)) return;
+        if (!children.some(e => isType(e, "bpmn:StartEvent"))) return;
+
+        getEntryNodes(children).forEach(enqueue);
+    });
+
+    while (queue.length) {
+        const element = queue.shift();
+
+        getNext(element, scopes).forEach(enqueue);
+
+        // Entering a sub-process activates its own start events
+        if (isSubProcessScope(element.businessObject)) {
+            getEntryNodes(scopes.get(element.businessObject) || []).forEach(enqueue);
+        }
+    }
+
+    return reachable;
+}
+
+/**
+ * Predecessors of a node, including the throwing side of link events
+ * (the reverse of getNext).
+ */
+function getPrevious(element, children) {
+    const previous = getIncoming(element)
+        .filter(f => isType(f, "bpmn:SequenceFlow") && f.source)
+        .map(f => f.source);
+
+    const linkName = getLinkName(element, "bpmn:IntermediateCatchEvent");
+    if (linkName !== null) {
+        children.forEach(candidate => {
+            if (getLinkName(candidate, "bpmn:IntermediateThrowEvent") === linkName) {
+                previous.push(candidate);
+            }
+        });
+    }
+
+    return previous;
+}
+
+function collectCompletable(scopes) {
+    const completable = new Set();
+
+    scopes.forEach(children => {
+        const queue = children.filter(e => isType(e, "bpmn:EndEvent"));
+        queue.forEach(e => completable.add(e));
+
+        while (queue.length) {
+            const element = queue.shift();
+
+            getPrevious(element, children).forEach(source => {
+                if (completable.has(source)) return;
+                completable.add(source);
+                queue.push(source);
+            });
+        }
+    });
+
+    return completable;
+}
+
+/**
+ * Only report nodes whose top-level process can actually be started
+ * (pools without a Start Event are left alone).
+ */
+function canStart(scope, scopes) {
+    let process = scope;
+    while (isSubProcessScope(process) && process.$parent) {
+        process = process.$parent;
+    }
+
+    return (scopes.get(process) || []).some(e => isType(e, "bpmn:StartEvent"));
+}
+
+function isCheckable(element) {
+    return !isOrphan(element) && !isEventSubProcess(element) && !element.businessObject.isForCompensation;
+}
+
+export function unreachableElementsRule(modeler) {
+    const { nodes, scopes } = buildScopes(modeler);
+    if (!nodes.some(e => isType(e, "bpmn:StartEvent"))) return [];
+
+    const reachable = collectReachable(scopes);
+
+    return nodes
+        .filter(e => isCheckable(e) && !reachable.has(e))
+        .filter(e => canStart(e.businessObject.$parent, scopes))
+        .map(e => ({
+            elementId: e.id,
+            message: "Element cannot be reached from any Start Event"
+        }));
+}
+
+export function deadEndElementsRule(modeler) {
+    const { nodes, scopes } = buildScopes(modeler);
+    const completable = collectCompletable(scopes);
+
+    return nodes
+        .filter(e => isCheckable(e) && !completable.has(e))
+        .filter(e => {
+            // Scopes without End Events end implicitly, leave them to end-event-required
+            const scope = e.businessObject.$parent;
+            return (scopes.get(scope) || []).some(s => isType(s, "bpmn:EndEvent"));
+        })
+        .map(e => ({
+            elementId: e.id,
+            message: "Element has no path to an End Event"
+        }));
+}
@@ -0,0 +1,20 @@
+// validations/rules/redundantGateway.rule.js
+
+import { getFlowNodes, getIncomingFlows, getOutgoingFlows, isGateway } from "../helpers";
+
+export function redundantGatewayRule(modeler) {
+    const warnings = [];
+
+    getFlowNodes(modeler).forEach(element => {
+        if (!isGateway(element)) return;
+
+        if (getIncomingFlows(element).length === 1 && getOutgoingFlows(element).length === 1) {
+            warnings.push({
+                elementId: element.id,
+                message: "Gateway with a single incoming and outgoing flow is redundant"
+            });
+        }
+    });
+
+    return warnings;
+}
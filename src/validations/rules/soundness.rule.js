@@ -0,0 +1,62 @@
+// validations/rules/soundness.rule.js
+
+import { getFlowNodes, getOutgoingFlows, isGateway } from "../helpers";
+import { findConvergence } from "../graph";
+
+// Splits that route a token down only some of their branches
+const CHOICE_SPLITS = ["bpmn:ExclusiveGateway", "bpmn:EventBasedGateway", "bpmn:InclusiveGateway"];
+
+// Splits that may route a token down more than one branch
+const FORKING_SPLITS = ["bpmn:ParallelGateway", "bpmn:InclusiveGateway"];
+
+/**
+ * Classify a split/join gateway pair.
+ * Returns "deadlock", "lack-of-synchronisation" or null when sound.
+ */
+export function classifyGatewayPair(splitType, joinType) {
+    if (CHOICE_SPLITS.includes(splitType) && joinType === "bpmn:ParallelGateway") {
+        return "deadlock";
+    }
+
+    if (FORKING_SPLITS.includes(splitType) && joinType === "bpmn:ExclusiveGateway") {
+        return "lack-of-synchronisation";
+    }
+
+    return null;
+}
+
+function describe(element) {
+    const name = element.businessObject.name;
+    return name ? `"${name}"` : element.id;
+}
+
+export function gatewaySoundnessRule(modeler) {
+    const errors = [];
+
+    getFlowNodes(modeler).forEach(split => {
+        if (!isGateway(split)) return;
+        if (getOutgoingFlows(split).length < 2) return;
+
+        const convergence = findConvergence(split);
+        if (!convergence || !isGateway(convergence.node)) return;
+
+        const join = convergence.node;
+        const issue = classifyGatewayPair(split.businessObject.$type, join.businessObject.$type);
+
+        if (!issue) return;
+
+        const splitName = describe(split);
+        const joinName = describe(join);
+
+        errors.push({
+            elementId: split.id,
+            relatedElementIds: [join.id],
+            message:
+                issue === "deadlock"
+                    ? `Deadlock: split ${splitName} activates only some branches, but parallel join ${joinName} waits for all of them`
+                    : `Lack of synchronisation: split ${splitName} creates multiple tokens, but exclusive join ${joinName} lets each of them pass`
+        });
+    });
+
+    return errors;
+}
@@ -1,13 +1,14 @@
 // validations/rules/taskOutgoing.rule.js
 
-import { getAllElements, isTask, getOutgoing } from "../helpers";
+import { getAllElements, isTask, getOutgoing, matchesElementTypes } from "../helpers";
 
-export function taskMultipleOutgoingRule(modeler) {
+export function taskMultipleOutgoingRule(modeler, options = {}) {
     const elements = getAllElements(modeler);
     const warnings = [];
 
     elements.forEach(element => {
         if (!isTask(element)) return;
+        if (!matchesElementTypes(element, options.elementTypes)) return;
 
         const outgoing = getOutgoing(element)
             .filter(f => f.businessObject.$type === "bpmn:SequenceFlow");
@@ -27,3 +28,33 @@ export function taskMultipleOutgoingRule(modeler) {
 
     return warnings;
 }
+
+export const taskMultipleOutgoingFixes = [
+    {
+        id: "insert-exclusive-gateway",
+        label: "Insert exclusive gateway",
+        apply(modeler, result) {
+            const modeling = modeler.get("modeling");
+            const task = modeler.get("elementRegistry").get(result.elementId);
+
+            const unconditional = getOutgoing(task).filter(
+                f => f.businessObject.$type === "bpmn:SequenceFlow" && !f.businessObject.conditionExpression
+            );
+
+            const gateway = modeling.createShape(
+                { type: "bpmn:ExclusiveGateway" },
+                { x: task.x + task.width + 60, y: task.y + task.height / 2 },
+                task.parent
+            );
+
+            unconditional.forEach(flow => {
+                modeling.reconnectStart(flow, gateway, {
+                    x: gateway.x + gateway.width / 2,
+                    y: gateway.y + gateway.height / 2
+                });
+            });
+
+            modeling.connect(task, gateway);
+        }
+    }
+];
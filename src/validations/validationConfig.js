@@ -4,5 +4,68 @@ export const validationConfig = {
     "start-event-required": "error",
     "end-event-required": "error",
     "no-orphan-elements": "warning",
-    "task-multiple-outgoing": "warning"
+    "task-multiple-outgoing": "warning",
+    "gateway-conditions-required": "error",
+    "parallel-gateway-no-conditions": "error",
+    "gateway-split-join-balance": "warning",
+    "gateway-redundant": "warning",
+    "unreachable-elements": "warning",
+    "no-path-to-end": "warning",
+    "gateway-soundness": "error",
+    "gateway-probability-sum": "warning"
 };
+
+export const SEVERITIES = ["error", "warning", "off"];
+
+/**
+ * A rule setting is either a severity string or an object
+ * { severity, options }. Always returns the object form.
+ */
+export function normalizeRuleSetting(setting) {
+    if (typeof setting === "string") {
+        return { severity: setting, options: {} };
+    }
+
+    return {
+        severity: setting?.severity || "warning",
+        options: setting?.options || {}
+    };
+}
+
+/**
+ * Merge rule overrides (JSON string or object) from the widget
+ * properties on top of the default rule set.
+ *
+ * Example:
+ * {
+ *   "no-orphan-elements": "off",
+ *   "task-multiple-outgoing": { "severity": "error", "options": { "elementTypes": ["bpmn:UserTask"] } }
+ * }
+ */
+export function resolveValidationConfig(overrides) {
+    if (!overrides) {
+        return validationConfig;
+    }
+
+    let parsed = overrides;
+
+    if (typeof overrides === "string") {
+        if (!overrides.trim()) {
+            return validationConfig;
+        }
+
+        try {
+            parsed = JSON.parse(overrides);
+        } catch (e) {
+            console.error("Invalid validation rules JSON, falling back to defaults", e);
+            return validationConfig;
+        }
+    }
+
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        console.error("Validation rules must be an object keyed by rule ID, falling back to defaults");
+        return validationConfig;
+    }
+
+    return { ...validationConfig, ...parsed };
+}